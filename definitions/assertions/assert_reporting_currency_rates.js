@@ -0,0 +1,30 @@
+// ============================================================================
+// REPORTING CURRENCY RATES — Currencies Converted Without a Rate
+// Owned by upstream repository
+//
+// Defined only when REPORTING_CURRENCY is set (with HAS_ECOMMERCE); SQL lives
+// in includes/currency.js.
+// ============================================================================
+
+const helpers = require('../../includes/helper.js');
+const config = helpers.getConfig();
+const currency = require('../../includes/currency.js');
+
+const reportingCurrency = currency.getReportingCurrency();
+
+if (config.HAS_ECOMMERCE && reportingCurrency) {
+  console.log(`[ASSERT_REPORTING_CURRENCY_RATES] Checking rates into ${reportingCurrency}`);
+
+  // Returns rows that FAIL the check: currencies with amounts but no rate on
+  // or before their date (add the rates, or backfill the table further back)
+  assert('assert_reporting_currency_rates', {
+    schema: helpers.getDestinationDataset(),
+    description: `Tier 1: Transactions and items whose currency has no exchange rate into ${reportingCurrency}`,
+    tags: ['daily', 'ga4', 'assertion', 'tier1', 'ecommerce'],
+    dependencies: ['transactions', 'ecommerce_items']
+  })
+    .query(ctx => currency.MISSING_RATES_SQL([
+      { model: 'transactions', table: ctx.ref('transactions'), amountColumns: currency.TRANSACTION_AMOUNT_COLUMNS },
+      { model: 'ecommerce_items', table: ctx.ref('ecommerce_items'), amountColumns: currency.ITEM_AMOUNT_COLUMNS }
+    ]));
+}
@@ -4,6 +4,7 @@
 // ============================================================================
 
 const helpers = require('../includes/helper.js');
+const currency = require('../includes/currency.js');
 const config = helpers.getConfig();
 
 if (helpers.isAdvancedMode()) {
@@ -55,3 +56,16 @@ if (helpers.isAdvancedMode()) {
     });
   }
 }
+
+// Exchange rates for REPORTING_CURRENCY (optional, see includes/currency.js)
+const exchangeRatesSource = currency.getExchangeRatesSource();
+
+if (currency.getReportingCurrency() && exchangeRatesSource) {
+  console.log(`[DECLARATIONS] Exchange rates: ${exchangeRatesSource.schema}.${exchangeRatesSource.name}`);
+
+  declare({
+    database: exchangeRatesSource.database || dataform.projectConfig.vars.SOURCE_PROJECT,
+    schema: exchangeRatesSource.schema,
+    name: exchangeRatesSource.name,
+  });
+}
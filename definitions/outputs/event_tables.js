@@ -0,0 +1,39 @@
+// ============================================================================
+// EVENT TABLES — One Incremental Table per EVENT_TABLES Entry
+// Owned by upstream repository
+//
+// Tables are declared in client_config.js; SQL lives in includes/event_tables.js.
+// ============================================================================
+
+const helpers = require('../../includes/helper.js');
+const config = helpers.getConfig();
+const eventTables = require('../../includes/event_tables.js');
+
+const tables = eventTables.getEventTables();
+const refreshDays = config.ROLLING_REFRESH_DAYS;
+
+console.log(`[EVENT_TABLES] Publishing ${tables.length} event table(s)${tables.length > 0 ? `: ${tables.map(table => table.name).join(', ')}` : ''}`);
+
+tables.forEach(table => {
+  console.log(`[EVENT_TABLES] ${table.name}: ${table.grain} grain, events ${table.events.join(', ')}`);
+
+  publish(table.name, {
+    type: 'incremental',
+    schema: helpers.getDestinationDataset(),
+    description: table.description || `${table.grain === 'session' ? 'Session' : 'Event'}-grain facts for ${table.events.join(', ')} (EVENT_TABLES in client_config.js)`,
+    tags: ['daily', 'ga4', 'event_tables'],
+    dependencies: ['assert_base_events_integrity'],
+    bigquery: {
+      ...(table.partition_by ? { partitionBy: table.partition_by } : {}),
+      clusterBy: table.cluster_by
+    }
+  })
+    .preOps(ctx => eventTables.EVENT_TABLE_PREOPS_SQL(ctx.self(), {
+      forceFullBackfill: config.FORCE_FULL_BACKFILL,
+      refreshDays
+    }))
+    .query(ctx => eventTables.EVENT_TABLE_SQL(table, ctx.ref('base_events'), {
+      rollingRefresh: ctx.incremental() && !config.FORCE_FULL_BACKFILL,
+      refreshDays
+    }));
+});
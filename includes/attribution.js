@@ -0,0 +1,222 @@
+// ============================================================================
+// ATTRIBUTION.JS — Rule-Based Multi-Touch Attribution Generators
+// Owned by upstream repository
+//
+// Credit allocation for definitions/outputs/conversion_attribution.sqlx.
+// Conversions, lookback window and model parameters come from
+// ATTRIBUTION_CONFIG in client_config.js, merged over the defaults below.
+// ============================================================================
+
+const helpers = require('./helper');
+const trafficSrc = require('./traffic_source');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Attribution models computed side by side (one <model>_credit column each)
+ */
+const ATTRIBUTION_MODELS = [
+  'first_click',
+  'last_click',
+  'last_non_direct',
+  'linear',
+  'time_decay',
+  'position_based'
+];
+
+/**
+ * Values that mark a session as direct, per traffic source field; only the
+ * fields getTrafficSourceFields() returns are tested
+ */
+const DIRECT_VALUES = {
+  session_source: ['(direct)', '(not set)', ''],
+  session_medium: ['(none)', '(not set)', ''],
+  session_channel_group: ['Direct']
+};
+
+/**
+ * Traffic source of the touchpoint given to a conversion without a session in
+ * its lookback window (fields not listed are NULL)
+ */
+const SESSIONLESS_TOUCHPOINT = {
+  session_source: '(direct)',
+  session_medium: '(none)',
+  session_channel_group: 'Direct'
+};
+
+/**
+ * Defaults; ATTRIBUTION_CONFIG overrides individual settings
+ */
+const ATTRIBUTION_DEFAULTS = {
+  include_transactions: true,
+  conversion_events: [],
+  lookback_days: 30,
+  time_decay_half_life_days: 7,
+  position_based_weights: { first: 0.4, last: 0.4 }
+};
+
+/**
+ * Gets the effective attribution settings (defaults + ATTRIBUTION_CONFIG overrides)
+ */
+function getAttributionConfig() {
+  const config = helpers.getConfig();
+  return { ...ATTRIBUTION_DEFAULTS, ...(config.ATTRIBUTION_CONFIG || {}) };
+}
+
+/**
+ * Whether purchases from transactions are attributed (requires HAS_ECOMMERCE)
+ */
+function shouldAttributeTransactions(attributionConfig) {
+  const config = helpers.getConfig();
+  return config.HAS_ECOMMERCE && attributionConfig.include_transactions === true;
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates the non-direct session condition (also used for users.last_non_direct_*)
+ * Tests source and medium when traffic_source.js returns them, otherwise the channel group
+ */
+function NON_DIRECT_CONDITION_SQL(alias = 's') {
+  const fieldNames = Object.keys(trafficSrc.getTrafficSourceFields());
+  const sourceMedium = ['session_source', 'session_medium'].filter(field => fieldNames.includes(field));
+  const testedFields = sourceMedium.length > 0
+    ? sourceMedium
+    : ['session_channel_group'].filter(field => fieldNames.includes(field));
+
+  if (testedFields.length === 0) {
+    throw new Error('Traffic source fields must include session_source, session_medium or session_channel_group to tell direct sessions apart');
+  }
+  return testedFields
+    .map(field => `${alias}.${field} NOT IN (${DIRECT_VALUES[field].map(value => `'${value}'`).join(', ')})`)
+    .join('\n      AND ');
+}
+
+/**
+ * Generates the traffic source columns of a touchpoint; conversions without a
+ * session (alias columns NULL) get SESSIONLESS_TOUCHPOINT values
+ */
+function TOUCHPOINT_TRAFFIC_SQL(alias = 'cs') {
+  return Object.keys(trafficSrc.getTrafficSourceFields())
+    .map(field => SESSIONLESS_TOUCHPOINT[field] === undefined
+      ? `${alias}.${field}`
+      : `IF(${alias}.session_key IS NULL, '${SESSIONLESS_TOUCHPOINT[field]}', ${alias}.${field}) AS ${field}`)
+    .join(',\n      ');
+}
+
+/**
+ * Generates the time-decay weight for a touchpoint: 0.5 ^ (days before conversion / half-life)
+ */
+function TIME_DECAY_WEIGHT_SQL(attributionConfig) {
+  return `POW(0.5, days_before_conversion / ${attributionConfig.time_decay_half_life_days})`;
+}
+
+/**
+ * Generates one credit column per attribution model
+ * Expects per-touchpoint columns: touch_position (1 = first), touch_count,
+ * last_non_direct_position, time_decay_weight, time_decay_weight_total
+ */
+function ATTRIBUTION_CREDIT_SQL(attributionConfig) {
+  const { first, last } = attributionConfig.position_based_weights;
+  const round = value => +value.toFixed(6);
+  const firstShare = round(first / (first + last));
+
+  const credits = {
+    first_click: `IF(touch_position = 1, 1.0, 0.0)`,
+    last_click: `IF(touch_position = touch_count, 1.0, 0.0)`,
+    // Falls back to last click when every touchpoint in the window is direct
+    last_non_direct: `IF(touch_position = COALESCE(last_non_direct_position, touch_count), 1.0, 0.0)`,
+    linear: `1.0 / touch_count`,
+    time_decay: `SAFE_DIVIDE(time_decay_weight, time_decay_weight_total)`,
+    // First/last split the whole credit when there are only one or two touchpoints
+    position_based: `CASE
+      WHEN touch_count = 1 THEN 1.0
+      WHEN touch_count = 2 THEN IF(touch_position = 1, ${firstShare}, ${round(1 - firstShare)})
+      WHEN touch_position = 1 THEN ${first}
+      WHEN touch_position = touch_count THEN ${last}
+      ELSE ${round(1 - first - last)} / (touch_count - 2)
+    END`
+  };
+
+  return ATTRIBUTION_MODELS
+    .map(model => `${credits[model]} AS ${model}_credit`)
+    .join(',\n    ');
+}
+
+/**
+ * Generates one attributed value column per model (<model>_credit × conversion value)
+ */
+function ATTRIBUTED_VALUE_SQL() {
+  return ATTRIBUTION_MODELS
+    .map(model => `${model}_credit * conversion_value_usd AS ${model}_value_usd`)
+    .join(',\n  ');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks ATTRIBUTION_CONFIG (conversion_attribution)
+ */
+function checkAttribution(config, errors) {
+  const attribution = config.ATTRIBUTION_CONFIG;
+  if (attribution === undefined || attribution === null) return;
+  if (typeof attribution !== 'object' || Array.isArray(attribution)) {
+    errors.push('ATTRIBUTION_CONFIG: must be an object');
+    return;
+  }
+
+  if (attribution.include_transactions !== undefined && typeof attribution.include_transactions !== 'boolean') {
+    errors.push('ATTRIBUTION_CONFIG.include_transactions: must be true or false');
+  }
+  if (attribution.conversion_events !== undefined
+      && (!Array.isArray(attribution.conversion_events) || attribution.conversion_events.some(e => typeof e !== 'string' || e === ''))) {
+    errors.push('ATTRIBUTION_CONFIG.conversion_events: must be an array of event names');
+  }
+  if (attribution.lookback_days !== undefined && (!Number.isInteger(attribution.lookback_days) || attribution.lookback_days <= 0)) {
+    errors.push('ATTRIBUTION_CONFIG.lookback_days: must be a positive integer');
+  }
+  if (attribution.time_decay_half_life_days !== undefined
+      && !(typeof attribution.time_decay_half_life_days === 'number' && attribution.time_decay_half_life_days > 0)) {
+    errors.push('ATTRIBUTION_CONFIG.time_decay_half_life_days: must be a number greater than 0');
+  }
+
+  const weights = attribution.position_based_weights;
+  if (weights !== undefined) {
+    const valid = weights && typeof weights === 'object'
+      && [weights.first, weights.last].every(w => typeof w === 'number' && w > 0 && w < 1)
+      && weights.first + weights.last <= 1;
+    if (!valid) {
+      errors.push('ATTRIBUTION_CONFIG.position_based_weights: must be { first, last } between 0 and 1, summing to at most 1');
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  ATTRIBUTION_MODELS,
+  DIRECT_VALUES,
+  SESSIONLESS_TOUCHPOINT,
+  ATTRIBUTION_DEFAULTS,
+  getAttributionConfig,
+  shouldAttributeTransactions,
+
+  // SQL Generation
+  NON_DIRECT_CONDITION_SQL,
+  TOUCHPOINT_TRAFFIC_SQL,
+  TIME_DECAY_WEIGHT_SQL,
+  ATTRIBUTION_CREDIT_SQL,
+  ATTRIBUTED_VALUE_SQL,
+
+  // Validation
+  checkAttribution
+};
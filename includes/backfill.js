@@ -0,0 +1,179 @@
+// ============================================================================
+// BACKFILL.JS — Backfill Date Range Validation & Chunk Planning
+// Owned by upstream repository
+//
+// Pure date logic (no dataform dependency) shared by config_validator.js,
+// which checks the BACKFILL_START_DATE / BACKFILL_END_DATE compilation
+// variables, and scripts/plan_backfill.js, which splits a large backfill into
+// one release per chunk. Dates are YYYYMMDD strings, like GA4 table suffixes.
+// ============================================================================
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+const BACKFILL_DATE_PATTERN = /^\d{8}$/;
+
+/**
+ * Chunk sizes accepted by planBackfillChunks besides a number of days
+ * month  calendar months (the first and last chunk may be partial)
+ */
+const CHUNK_UNITS = ['month'];
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+/**
+ * Parses a YYYYMMDD string into a UTC date, or null when it is not a real calendar date
+ */
+function parseBackfillDate(value) {
+  if (typeof value !== 'string' || !BACKFILL_DATE_PATTERN.test(value)) return null;
+  const year = Number(value.slice(0, 4));
+  const month = Number(value.slice(4, 6));
+  const day = Number(value.slice(6, 8));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Formats a UTC date as YYYYMMDD
+ */
+function formatBackfillDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+/**
+ * Number of days from start to end, both included
+ */
+function spanDays(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / 86400000) + 1;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks a backfill range: YYYYMMDD dates, start <= end, end not after today
+ * (UTC) and at most maxDays days
+ * @returns {string[]} problems, prefixed with the variable they concern
+ */
+function getBackfillRangeErrors(startValue, endValue, { maxDays = null, today = new Date() } = {}) {
+  const errors = [];
+  const start = parseBackfillDate(startValue);
+  const end = parseBackfillDate(endValue);
+  if (!start) errors.push(`BACKFILL_START_DATE: '${startValue}' is not a valid YYYYMMDD date`);
+  if (!end) errors.push(`BACKFILL_END_DATE: '${endValue}' is not a valid YYYYMMDD date`);
+  if (!start || !end) return errors;
+
+  const todayValue = formatBackfillDate(today);
+  if (startValue > endValue) {
+    errors.push(`BACKFILL_START_DATE: ${startValue} is after BACKFILL_END_DATE ${endValue}`);
+  } else if (maxDays !== null && spanDays(start, end) > maxDays) {
+    errors.push(`BACKFILL_END_DATE: ${startValue}-${endValue} spans ${spanDays(start, end)} days; ` +
+      `BACKFILL_MAX_DAYS is ${maxDays}`);
+  }
+  if (endValue > todayValue) {
+    errors.push(`BACKFILL_END_DATE: ${endValue} is in the future (today is ${todayValue})`);
+  }
+  return errors;
+}
+
+// ============================================================================
+// CHUNK PLANNING
+// ============================================================================
+
+/**
+ * Splits start..end into consecutive chunks of `chunk` days or calendar months
+ * @param {number|string} chunk - days per chunk, or 'month'
+ * @returns {Array<{start: string, end: string, days: number}>}
+ */
+function planBackfillChunks(startValue, endValue, chunk) {
+  const start = parseBackfillDate(startValue);
+  const end = parseBackfillDate(endValue);
+  if (!start || !end || start > end) {
+    throw new Error(`Invalid backfill range ${startValue}-${endValue}: expected YYYYMMDD dates with start <= end`);
+  }
+  if (!CHUNK_UNITS.includes(chunk) && !(Number.isInteger(chunk) && chunk > 0)) {
+    throw new Error(`Invalid chunk size '${chunk}': expected a positive number of days or one of ${CHUNK_UNITS.join(', ')}`);
+  }
+
+  const chunks = [];
+  let chunkStart = start;
+  while (chunkStart <= end) {
+    const naturalEnd = chunk === 'month'
+      ? new Date(Date.UTC(chunkStart.getUTCFullYear(), chunkStart.getUTCMonth() + 1, 0))
+      : addDays(chunkStart, chunk - 1);
+    const chunkEnd = naturalEnd < end ? naturalEnd : end;
+    chunks.push({
+      start: formatBackfillDate(chunkStart),
+      end: formatBackfillDate(chunkEnd),
+      days: spanDays(chunkStart, chunkEnd)
+    });
+    chunkStart = addDays(chunkEnd, 1);
+  }
+  return chunks;
+}
+
+/**
+ * Checks that ordered chunks cover start..end exactly: each chunk is a valid
+ * range, and each starts the day after the previous one ends
+ * @returns {string[]} problems (empty when the plan is sound)
+ */
+function getChunkCoverageErrors(chunks, startValue, endValue) {
+  const errors = [];
+  if (chunks.length === 0) return [`no chunks cover ${startValue}-${endValue}`];
+
+  chunks.forEach((chunk, index) => {
+    const chunkStart = parseBackfillDate(chunk.start);
+    const chunkEnd = parseBackfillDate(chunk.end);
+    if (!chunkStart || !chunkEnd || chunkStart > chunkEnd) {
+      errors.push(`chunk ${index + 1} (${chunk.start}-${chunk.end}): not a valid range`);
+      return;
+    }
+    if (index === 0) {
+      if (chunk.start !== startValue) errors.push(`chunk 1 starts on ${chunk.start}, not ${startValue}`);
+      return;
+    }
+    const previousEnd = parseBackfillDate(chunks[index - 1].end);
+    if (!previousEnd) return;
+    const expectedStart = formatBackfillDate(addDays(previousEnd, 1));
+    if (chunk.start < expectedStart) {
+      errors.push(`chunk ${index + 1} (${chunk.start}-${chunk.end}) overlaps chunk ${index} (ends ${chunks[index - 1].end})`);
+    } else if (chunk.start > expectedStart) {
+      errors.push(`gap between chunk ${index} (ends ${chunks[index - 1].end}) and chunk ${index + 1} (starts ${chunk.start})`);
+    }
+  });
+
+  const last = chunks[chunks.length - 1];
+  if (last.end !== endValue) errors.push(`chunk ${chunks.length} ends on ${last.end}, not ${endValue}`);
+  return errors;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  BACKFILL_DATE_PATTERN,
+  CHUNK_UNITS,
+
+  // Dates
+  parseBackfillDate,
+  formatBackfillDate,
+  spanDays,
+
+  // Validation
+  getBackfillRangeErrors,
+
+  // Chunk Planning
+  planBackfillChunks,
+  getChunkCoverageErrors
+};
@@ -0,0 +1,378 @@
+// ============================================================================
+// CHANNEL_GROUPING.JS — Declarative Channel Grouping Rule Engine
+// Owned by upstream repository
+//
+// Compiles ordered channel rules into a SQL CASE expression. Ships GA4's
+// default channel group definitions; forks extend or override individual
+// channels from getChannelGroupingRules() in traffic_source.js.
+// ============================================================================
+
+// ============================================================================
+// SOURCE CATEGORIES
+// ============================================================================
+
+/**
+ * GA4 source categories (lowercase, exact match), used by { category } matchers
+ * Mirrors the source lists behind GA4's default channel group definitions
+ */
+const SOURCE_CATEGORIES = {
+  search: [
+    'google', 'google.com', 'www.google.com', 'lens.google.com',
+    'bing', 'bing.com', 'cn.bing.com',
+    'yahoo', 'yahoo.com', 'search.yahoo.com', 'yahoo.co.jp', 'search.yahoo.co.jp',
+    'baidu', 'baidu.com', 'm.baidu.com',
+    'duckduckgo', 'duckduckgo.com',
+    'yandex', 'yandex.ru', 'yandex.com', 'ya.ru',
+    'ecosia', 'ecosia.org',
+    'naver', 'naver.com', 'search.naver.com', 'm.search.naver.com',
+    'daum', 'daum.net', 'search.daum.net',
+    'ask', 'ask.com',
+    'aol', 'search.aol.com',
+    'msn', 'msn.com',
+    'startpage', 'startpage.com',
+    'qwant', 'qwant.com',
+    'seznam', 'seznam.cz',
+    'sogou', 'sogou.com', 'm.sogou.com',
+    'so.com', 'm.so.com',
+    'coccoc', 'coccoc.com',
+    'brave', 'search.brave.com',
+    'avg.com', 'onet.pl', 'wp.pl', 'rambler.ru', 'mail.ru', 'go.mail.ru',
+    'dogpile.com', 'ekstrabladet.dk', 'search.smt.docomo.ne.jp'
+  ],
+  social: [
+    'facebook', 'facebook.com', 'm.facebook.com', 'l.facebook.com', 'lm.facebook.com', 'fb',
+    'instagram', 'instagram.com', 'l.instagram.com', 'ig',
+    'twitter', 'twitter.com', 't.co', 'x.com', 'mobile.twitter.com',
+    'linkedin', 'linkedin.com', 'lnkd.in',
+    'pinterest', 'pinterest.com', 'pin.it', 'pinterest.co.uk',
+    'tiktok', 'tiktok.com',
+    'snapchat', 'snapchat.com',
+    'reddit', 'reddit.com', 'old.reddit.com', 'out.reddit.com',
+    'quora', 'quora.com',
+    'tumblr', 'tumblr.com',
+    'threads', 'threads.net',
+    'whatsapp', 'whatsapp.com', 'web.whatsapp.com',
+    'messenger', 'messenger.com',
+    'telegram', 'telegram.org', 't.me',
+    'discord', 'discord.com', 'discordapp.com',
+    'vk.com', 'm.vk.com', 'ok.ru',
+    'weibo', 'weibo.com', 'douban', 'douban.com',
+    'line', 'line.me',
+    'wechat', 'xing', 'xing.com',
+    'nextdoor', 'nextdoor.com',
+    'meetup', 'meetup.com',
+    'yelp', 'yelp.com',
+    'medium.com', 'slideshare.net', 'stackoverflow.com', 'news.ycombinator.com',
+    'mastodon.social', 'bsky.app'
+  ],
+  video: [
+    'youtube', 'youtube.com', 'm.youtube.com', 'youtu.be', 'music.youtube.com',
+    'vimeo', 'vimeo.com',
+    'twitch', 'twitch.tv', 'm.twitch.tv',
+    'dailymotion', 'dailymotion.com',
+    'wistia', 'wistia.com',
+    'netflix', 'netflix.com',
+    'hulu', 'hulu.com',
+    'disneyplus', 'disneyplus.com',
+    'bilibili', 'bilibili.com',
+    'iqiyi', 'iqiyi.com',
+    'youku', 'youku.com',
+    'rutube.ru', 'ted', 'ted.com', 'veoh', 'veoh.com', 'crackle', 'crackle.com'
+  ],
+  shopping: [
+    'google shopping', 'shopping.google.com', 'igshopping',
+    'amazon', 'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.ca', 'amazon.in', 'amazon.co.jp',
+    'ebay', 'ebay.com', 'ebay.co.uk', 'ebay.de',
+    'etsy', 'etsy.com',
+    'walmart', 'walmart.com',
+    'target', 'target.com',
+    'alibaba', 'alibaba.com', 'aliexpress', 'aliexpress.com',
+    'mercadolibre', 'mercadolibre.com', 'mercadolivre.com.br',
+    'rakuten', 'rakuten.com', 'rakuten.co.jp',
+    'shopify', 'shopify.com', 'checkout.shopify.com', 'shop.app',
+    'stripe', 'stripe.com',
+    'shopzilla', 'shopzilla.com', 'pricegrabber', 'pricegrabber.com',
+    'shopping.yahoo.com', 'store.shopping.yahoo.com',
+    'zalando', 'zalando.com', 'bestbuy.com', 'wish.com', 'wayfair.com'
+  ]
+};
+
+// ============================================================================
+// GA4 DEFAULT CHANNEL GROUPS
+// ============================================================================
+
+const PAID_MEDIUM = { regex: '^(.*cp.*|ppc|retargeting|paid.*)$' };
+const SHOPPING_CAMPAIGN = { regex: '^(.*(([^a-df-z]|^)shop|shopping).*)$' };
+const EMAIL_VALUES = ['email', 'e-mail', 'e_mail', 'e mail'];
+
+/**
+ * GA4 default channel group definitions, evaluated in order (first match wins)
+ * Each rule: { channel, match: [group, ...] } — groups are OR'd, the fields
+ * inside a group are AND'd. Field matchers: { exact }, { regex } or { category }.
+ */
+const GA4_DEFAULT_CHANNEL_RULES = [
+  { channel: 'Direct', match: [{ source: { exact: '(direct)' }, medium: { exact: ['(not set)', '(none)'] } }] },
+  { channel: 'Cross-network', match: [{ campaign: { regex: 'cross-network' } }] },
+  { channel: 'Paid Shopping', match: [
+    { source: { category: 'shopping' }, medium: PAID_MEDIUM },
+    { campaign: SHOPPING_CAMPAIGN, medium: PAID_MEDIUM }
+  ] },
+  { channel: 'Paid Search', match: [{ source: { category: 'search' }, medium: PAID_MEDIUM }] },
+  { channel: 'Paid Social', match: [{ source: { category: 'social' }, medium: PAID_MEDIUM }] },
+  { channel: 'Paid Video', match: [{ source: { category: 'video' }, medium: PAID_MEDIUM }] },
+  { channel: 'Display', match: [{ medium: { exact: ['display', 'banner', 'expandable', 'interstitial', 'cpm'] } }] },
+  { channel: 'Paid Other', match: [{ medium: PAID_MEDIUM }] },
+  { channel: 'Organic Shopping', match: [
+    { source: { category: 'shopping' } },
+    { campaign: SHOPPING_CAMPAIGN }
+  ] },
+  { channel: 'Organic Social', match: [
+    { source: { category: 'social' } },
+    { medium: { exact: ['social', 'social-network', 'social-media', 'sm', 'social network', 'social media'] } }
+  ] },
+  { channel: 'Organic Video', match: [
+    { source: { category: 'video' } },
+    { medium: { regex: '^(.*video.*)$' } }
+  ] },
+  { channel: 'Organic Search', match: [
+    { source: { category: 'search' } },
+    { medium: { exact: 'organic' } }
+  ] },
+  { channel: 'Referral', match: [{ medium: { exact: ['referral', 'app', 'link'] } }] },
+  { channel: 'Email', match: [
+    { source: { exact: EMAIL_VALUES } },
+    { medium: { exact: EMAIL_VALUES } }
+  ] },
+  { channel: 'Affiliates', match: [{ medium: { exact: 'affiliate' } }] },
+  { channel: 'Audio', match: [{ medium: { exact: 'audio' } }] },
+  { channel: 'SMS', match: [
+    { source: { exact: 'sms' } },
+    { medium: { exact: 'sms' } }
+  ] },
+  { channel: 'Mobile Push Notifications', match: [
+    { medium: { regex: '(push$|mobile|notification)' } },
+    { source: { exact: 'firebase' } }
+  ] }
+];
+
+/**
+ * GA4 export columns the rules match on (session last-click traffic source)
+ */
+const DEFAULT_FIELD_REFS = {
+  source: 'session_traffic_source_last_click.cross_channel_campaign.source',
+  medium: 'session_traffic_source_last_click.cross_channel_campaign.medium',
+  campaign: 'session_traffic_source_last_click.cross_channel_campaign.campaign_name',
+  source_platform: 'session_traffic_source_last_click.cross_channel_campaign.source_platform'
+};
+
+const MATCHER_TYPES = ['exact', 'regex', 'category'];
+
+// ============================================================================
+// RULE BUILDING
+// ============================================================================
+
+/**
+ * Builds a channel grouping from GA4's defaults plus fork customizations
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - { 'Channel': { match: [...] } } replaces a default channel's match in place
+ * @param {Array} [options.additions] - [{ channel, match, before }] new channels, inserted before `before` (default: end)
+ * @param {string[]} [options.remove] - default channels to drop
+ * @param {Object} [options.sourceCategories] - { category: ['source', ...] } extra sources per category (new categories allowed)
+ * @param {string} [options.defaultChannel] - channel when no rule matches (default 'Unassigned')
+ * @returns {{rules, sourceCategories, defaultChannel}}
+ */
+function buildChannelRules(options = {}) {
+  const { overrides = {}, additions = [], remove = [], sourceCategories = {}, defaultChannel = 'Unassigned' } = options;
+  const errors = [];
+  const defaultNames = GA4_DEFAULT_CHANNEL_RULES.map(rule => rule.channel);
+
+  [...Object.keys(overrides), ...remove]
+    .filter(channel => !defaultNames.includes(channel))
+    .forEach(channel => errors.push(`'${channel}' is not a default channel (${defaultNames.join(', ')})`));
+
+  let rules = GA4_DEFAULT_CHANNEL_RULES
+    .filter(rule => !remove.includes(rule.channel))
+    .map(rule => (overrides[rule.channel] ? { ...rule, ...overrides[rule.channel], channel: rule.channel } : rule));
+
+  additions.forEach((addition, i) => {
+    const { before, ...rule } = addition;
+    const index = before === undefined ? rules.length : rules.findIndex(r => r.channel === before);
+    if (index === -1) {
+      errors.push(`additions[${i}].before: '${before}' is not a channel`);
+      return;
+    }
+    rules = [...rules.slice(0, index), rule, ...rules.slice(index)];
+  });
+
+  const categories = { ...SOURCE_CATEGORIES };
+  Object.entries(sourceCategories).forEach(([category, sources]) => {
+    if (!Array.isArray(sources)) {
+      errors.push(`sourceCategories.${category}: must be an array of sources`);
+      return;
+    }
+    categories[category] = [...(categories[category] || []), ...sources.map(s => String(s).toLowerCase())];
+  });
+
+  throwIfInvalid(errors);
+  return { rules, sourceCategories: categories, defaultChannel };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates a channel grouping
+ * @returns {string[]} list of problems (empty when valid)
+ */
+function collectChannelRuleErrors(grouping) {
+  const errors = [];
+  const seen = new Set();
+
+  if (typeof grouping.defaultChannel !== 'string' || grouping.defaultChannel === '') {
+    errors.push('defaultChannel: must be a non-empty string');
+  }
+
+  grouping.rules.forEach((rule, i) => {
+    const location = `rules[${i}]${rule && rule.channel ? ` (${rule.channel})` : ''}`;
+    if (!rule || typeof rule.channel !== 'string' || rule.channel === '') {
+      errors.push(`${location}: missing channel name`);
+      return;
+    }
+    if (seen.has(rule.channel)) {
+      errors.push(`${location}: duplicate channel (only the first rule would ever match)`);
+    }
+    seen.add(rule.channel);
+
+    if (!Array.isArray(rule.match) || rule.match.length === 0) {
+      errors.push(`${location}.match: must be a non-empty array of condition groups`);
+      return;
+    }
+    rule.match.forEach((group, g) => {
+      const groupLocation = `${location}.match[${g}]`;
+      if (!group || typeof group !== 'object' || Object.keys(group).length === 0) {
+        errors.push(`${groupLocation}: must be an object of field matchers`);
+        return;
+      }
+      Object.entries(group).forEach(([field, matcher]) => {
+        checkMatcher(`${groupLocation}.${field}`, field, matcher, grouping.sourceCategories, errors);
+      });
+    });
+  });
+
+  return errors;
+}
+
+function checkMatcher(location, field, matcher, sourceCategories, errors) {
+  if (!DEFAULT_FIELD_REFS[field]) {
+    errors.push(`${location}: unknown field (supported: ${Object.keys(DEFAULT_FIELD_REFS).join(', ')})`);
+    return;
+  }
+  const types = matcher && typeof matcher === 'object' ? Object.keys(matcher) : [];
+  if (types.length !== 1 || !MATCHER_TYPES.includes(types[0])) {
+    errors.push(`${location}: must be exactly one of { exact }, { regex } or { category }`);
+    return;
+  }
+
+  const type = types[0];
+  const value = matcher[type];
+  if (type === 'exact') {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(v => typeof v !== 'string')) {
+      errors.push(`${location}.exact: must be a string or array of strings`);
+    }
+  } else if (type === 'regex') {
+    if (typeof value !== 'string' || value === '') {
+      errors.push(`${location}.regex: must be a non-empty string`);
+    } else if (value.includes("'")) {
+      errors.push(`${location}.regex: single quotes are not supported`);
+    } else {
+      try {
+        new RegExp(value);
+      } catch (e) {
+        errors.push(`${location}.regex: invalid pattern (${e.message})`);
+      }
+    }
+  } else if (field !== 'source') {
+    errors.push(`${location}.category: categories only apply to source`);
+  } else if (!sourceCategories[value]) {
+    errors.push(`${location}.category: unknown category '${value}' (available: ${Object.keys(sourceCategories).join(', ')})`);
+  }
+}
+
+function throwIfInvalid(errors) {
+  if (errors.length === 0) return;
+  throw new Error(
+    `Invalid channel grouping rules (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+    errors.map(e => `  - ${e}`).join('\n')
+  );
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generates the SQL condition for one field matcher
+ * Field values are lowercased first (GA4 matching is case-insensitive), so
+ * regex patterns should be written in lowercase
+ */
+function MATCHER_SQL(fieldRef, matcher, sourceCategories) {
+  const field = `LOWER(${fieldRef})`;
+  if (matcher.exact !== undefined) {
+    const values = (Array.isArray(matcher.exact) ? matcher.exact : [matcher.exact]).map(v => quote(v.toLowerCase()));
+    return values.length === 1 ? `${field} = ${values[0]}` : `${field} IN (${values.join(', ')})`;
+  }
+  if (matcher.regex !== undefined) {
+    return `REGEXP_CONTAINS(${field}, r'${matcher.regex}')`;
+  }
+  return `${field} IN (${sourceCategories[matcher.category].map(quote).join(', ')})`;
+}
+
+/**
+ * Compiles a channel grouping into a CASE expression (first matching rule wins)
+ * @param {{rules, sourceCategories, defaultChannel}} grouping - from buildChannelRules()
+ * @param {Object} [fieldRefs] - SQL expressions for source, medium, campaign, source_platform
+ */
+function CHANNEL_GROUP_SQL(grouping, fieldRefs = DEFAULT_FIELD_REFS) {
+  throwIfInvalid(collectChannelRuleErrors(grouping));
+  const refs = { ...DEFAULT_FIELD_REFS, ...fieldRefs };
+
+  const whens = grouping.rules.map(rule => {
+    const groups = rule.match.map(group => {
+      const conditions = Object.entries(group)
+        .map(([field, matcher]) => MATCHER_SQL(refs[field], matcher, grouping.sourceCategories));
+      return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+    });
+    return `WHEN ${groups.join('\n        OR ')} THEN ${quote(rule.channel)}`;
+  });
+
+  return `CASE
+      ${whens.join('\n      ')}
+      ELSE ${quote(grouping.defaultChannel)}
+    END`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Definitions
+  SOURCE_CATEGORIES,
+  GA4_DEFAULT_CHANNEL_RULES,
+  DEFAULT_FIELD_REFS,
+
+  // Rule building & validation
+  buildChannelRules,
+  collectChannelRuleErrors,
+
+  // SQL Generation
+  MATCHER_SQL,
+  CHANNEL_GROUP_SQL
+};
@@ -19,6 +19,7 @@
  * {
  *   'property_name': {
  *     source_dataset: 'analytics_XXXXXXXXX',
+ *     has_fresh_daily: true/false,     // optional; false = no events_fresh_* tables (non-360)
  *     streams: {
  *       'stream_id': {
  *         include: true/false,
@@ -28,6 +29,15 @@
  *     }
  *   }
  * }
+ *
+ * Validated at compile time (see includes/config_validator.js): property names
+ * must be letters, digits and underscores, stream IDs must be numeric,
+ * stream_type must be 'web' or 'app', and all included streams in a property
+ * must agree on use_fresh_daily.
+ *
+ * base_events and the models built on it stamp the property name as property_name
+ * and the stream's stream_type; renaming a property changes its keys and needs a
+ * backfill (a full refresh of base_events keeps only INITIAL_LOAD_DAYS).
  */
 
 const PROPERTIES_CONFIG = {
@@ -96,9 +106,21 @@ const USE_CUSTOM_TRAFFIC_SOURCE_LOGIC = false;
 // PARAMETER EXTRACTION CONFIGURATION
 // ============================================================================
 
+/**
+ * Param spec (shared by every array below, including user properties and item params):
+ *   { name: "<GA4 key>", type: "string" | "int" | "float" | "double" | "bool" | "timestamp" | "auto" }
+ * Optional:
+ *   target   with type "auto": coalesce every value field, SAFE_CAST to this type
+ *            (string, int, double, bool or timestamp; default string). Use it for keys
+ *            sent as a string on one stream and a number on another. bool and timestamp
+ *            always coalesce (timestamps accept ISO strings and epoch s/ms/µs)
+ *   alias    column name to extract into (default: name)
+ *   default  value used when the key is missing or NULL, e.g. default: 0
+ *   events   only extract for these event names, e.g. events: ["purchase"] (NULL elsewhere)
+ */
+
 /**
  * Core event parameters (extracted for all stream types)
- * Supported types: string, int, float, double
  */
 const CORE_PARAMS_ARRAY = [
     { name: "engagement_time_msec", type: "int" },
@@ -115,13 +137,14 @@ const CORE_PARAMS_ARRAY = [
 /**
  * Web-specific event parameters (extracted when stream_type = 'web')
  * consolidated_name: Used when CONSOLIDATE_WEB_APP_PARAMS = true
+ * redact: true scrubs PII from a string param before it lands in base_events (see REDACTION_CONFIG)
  */
 const WEB_PARAMS_ARRAY = [
     { name: "link_classes", type: "string" },
     { name: "link_text", type: "string" },
-    { name: "link_url", type: "string" },
-    { name: "page_location", type: "string", consolidated_name: "screen_location" },
-    { name: "page_referrer", type: "string", consolidated_name: "screen_referrer" },
+    { name: "link_url", type: "string", redact: true },
+    { name: "page_location", type: "string", consolidated_name: "screen_location", redact: true },
+    { name: "page_referrer", type: "string", consolidated_name: "screen_referrer", redact: true },
     { name: "page_title", type: "string", consolidated_name: "screen_title" },
     { name: "video_current_time", type: "int" },
     { name: "video_duration", type: "int" },
@@ -148,7 +171,7 @@ const APP_PARAMS_ARRAY = [
 
 /**
  * Custom event parameters (implementation-specific, always extracted)
- * Add your custom GA4 parameters here
+ * Add your custom GA4 parameters here; set redact: true on free-text string params
  */
 const CUSTOM_PARAMS_ARRAY = [
     { name: "blog_word_count", type: "int" },
@@ -171,6 +194,19 @@ const CUSTOM_ITEMS_PARAMS = [
     // { name: "custom_color", type: "string" },
 ];
 
+/**
+ * Catch-all for event params not in the arrays above
+ * enabled: true adds an other_params JSON column to base_events keyed by param name
+ * ({"coupon": "SPRING", "step": 2}), so unplanned keys can be queried with
+ * JSON_VALUE(other_params.coupon) before they are promoted to a column.
+ * String values are scrubbed with REDACTION_CONFIG unless redact: false.
+ */
+const OTHER_PARAMS_CONFIG = {
+    enabled: false,
+    // redact: true,
+    // ignore_keys: ["debug_mode"],
+};
+
 // ============================================================================
 // ECOMMERCE EVENT CONFIGURATION
 // ============================================================================
@@ -182,11 +218,16 @@ const TRANSACTION_EVENTS = ['purchase', 'refund'];
 
 /**
  * Ecommerce events with items array
- * These events populate the ecommerce_items table
+ * These events populate the ecommerce_items table, and each one becomes a
+ * stage column in product_performance_daily
  */
 const ECOMMERCE_ITEM_EVENTS = [
     'purchase',
     'refund',
+    'view_item_list',
+    'select_item',
+    'view_promotion',
+    'select_promotion',
     'view_item',
     'add_to_cart',
     'remove_from_cart',
@@ -195,6 +236,415 @@ const ECOMMERCE_ITEM_EVENTS = [
     'add_shipping_info'
 ];
 
+/**
+ * product_performance_daily settings (defaults in includes/products.js)
+ *
+ *   breakdown  null for item_id × date, 'list' to add item_list_id / item_list_name,
+ *              'promotion' to add promotion_id / promotion_name / creative_name / creative_slot
+ *
+ * CUSTOM_ITEMS_PARAMS are always added as dimensions.
+ */
+const PRODUCT_PERFORMANCE_CONFIG = {
+    breakdown: null
+};
+
+/**
+ * transactions reconciliation settings (defaults in includes/transactions.js)
+ *
+ *   dedup_policy             purchase hit kept when a transaction_id is sent more than once:
+ *                            'first_wins', 'last_wins' or 'max_revenue'
+ *   max_duplicate_order_pct  assert_transaction_duplicates fails (blocking users and
+ *                            conversion_attribution) above this share of orders (0-100)
+ *                            with duplicate hits over the refresh window
+ */
+const TRANSACTION_RECONCILIATION = {
+    dedup_policy: 'first_wins',
+    max_duplicate_order_pct: 5
+};
+
+// ============================================================================
+// CURRENCY CONFIGURATION
+// ============================================================================
+
+/**
+ * Currency that transactions, ecommerce_items and users also report revenue in
+ * (ISO 4217 code, e.g. 'EUR'). null = local currency and GA4's *_in_usd only.
+ *
+ * Requires EXCHANGE_RATES_SOURCE and the GA4 `currency` event param as a
+ * base_events column: add { name: "currency", type: "string" } to CORE_PARAMS_ARRAY.
+ */
+const REPORTING_CURRENCY = null;
+
+/**
+ * Daily exchange-rate table (declared in definitions/declarations.js)
+ * Columns: date (DATE), from_currency, to_currency, rate (1 from_currency = rate to_currency)
+ * Days without a rate use the nearest prior one.
+ *
+ * Example:
+ *   { database: 'finance-project', schema: 'finance', name: 'fx_rates_daily' }
+ *   (database defaults to SOURCE_PROJECT)
+ */
+const EXCHANGE_RATES_SOURCE = null;
+
+// ============================================================================
+// KEY EVENT CONFIGURATION
+// ============================================================================
+
+/**
+ * Key events (conversions) counted in sessions and users
+ * sessions gets <name>_conversions, <name>_value (with value_param) and has_<name>
+ * per entry plus key_event_count / converted_session; users gets
+ * total_<name>_conversions, lifetime_<name>_value and first_<name>_date plus
+ * converted_sessions / first_conversion_date.
+ *
+ * Structure:
+ * {
+ *   event_name: '...',                // GA4 event name
+ *   name: '...',                      // column prefix; default event_name
+ *   conditions: {                     // optional, AND'd; keys are base_events columns
+ *     form_id: { exact: 'contact' },  // string/number or array of them
+ *     page_location: { regex: '/pricing' }
+ *   },
+ *   counting: 'once_per_session',     // default; or 'every_event'
+ *   value_param: 'value'              // optional numeric base_events column
+ * }
+ *
+ * sessions adds new key event columns on its next run (onSchemaChange: EXTEND);
+ * run it with a full refresh only to restate older sessions.
+ */
+const KEY_EVENTS = [
+    // Example:
+    // { event_name: 'generate_lead', value_param: 'event_value_in_usd' },
+    // { event_name: 'form_submit', name: 'contact_request', conditions: { form_id: { exact: 'contact' } } },
+    // { event_name: 'file_download', counting: 'every_event' }
+];
+
+// ============================================================================
+// FUNNEL CONFIGURATION
+// ============================================================================
+
+/**
+ * Funnels reported in funnel_steps (definitions/outputs/funnel_steps.sqlx)
+ * One row per funnel, entry date, entry-session traffic source and step with
+ * entrants, completions, drop_offs and median_seconds_to_next_step.
+ *
+ * Structure:
+ * {
+ *   name: '...',                        // funnel_name (letters, digits, underscores)
+ *   steps: [                            // 2 to 10 ordered steps
+ *     { event_name: '...', name: '...', conditions: { page_location: { regex: '/signup' } } }
+ *   ],                                  // conditions work like KEY_EVENTS conditions
+ *   type: 'closed',                     // default; 'open' lets units enter at any step
+ *   scope: 'session',                   // default; 'user' spans sessions of a resolved user
+ *   max_step_interval_minutes: null,    // longest gap between consecutive steps
+ *   lookback_days: 30                   // days of events scanned
+ * }
+ */
+const FUNNELS = [
+    // Example:
+    // {
+    //     name: 'checkout',
+    //     steps: [
+    //         { event_name: 'view_item' },
+    //         { event_name: 'add_to_cart' },
+    //         { event_name: 'begin_checkout' },
+    //         { event_name: 'purchase' }
+    //     ]
+    // },
+    // {
+    //     name: 'onboarding',
+    //     type: 'open',
+    //     scope: 'user',
+    //     max_step_interval_minutes: 10080,
+    //     steps: [
+    //         { event_name: 'sign_up' },
+    //         { event_name: 'page_view', name: 'profile', conditions: { page_location: { regex: '/profile' } } },
+    //         { event_name: 'tutorial_complete' }
+    //     ]
+    // }
+];
+
+// ============================================================================
+// EVENT TABLE CONFIGURATION
+// ============================================================================
+
+/**
+ * Event fact tables published by definitions/outputs/event_tables.js
+ * (instead of hand-written SQLX in definitions/custom/), one incremental table
+ * per entry, registered in model_execution_log. Keys (session_key, event_key,
+ * page/screen session key, user ids) come from base_events.
+ *
+ * Structure:
+ * {
+ *   name: 'fct_...',                  // table name
+ *   events: ['...'],                  // event names included
+ *   params: ['...'],                  // base_events columns to surface (extracted params, user properties)
+ *   grain: 'event' | 'session',       // default 'event'; session params are the first non-NULL value
+ *   aggregations: [                   // session grain only
+ *     { name: '...', fn: 'count' | 'count_distinct' | 'sum' | 'avg' | 'min' | 'max' | 'first' | 'last',
+ *       column: '...', events: ['...'] }   // column optional for count; events narrows the rows
+ *   ],
+ *   partition_by: 'event_date',       // default; null = unpartitioned
+ *   cluster_by: ['...']               // default ['event_name', 'session_key'] / ['session_key']
+ * }
+ *
+ * Validated at compile time: names must not reuse a pipeline table, and params,
+ * aggregation and cluster columns must exist.
+ */
+const EVENT_TABLES = [
+    // Example:
+    // {
+    //     name: 'fct_form_submits',
+    //     events: ['form_start', 'form_submit'],
+    //     params: ['form_name']
+    // },
+    // {
+    //     name: 'fct_video_sessions',
+    //     events: ['video_start', 'video_progress', 'video_complete'],
+    //     grain: 'session',
+    //     params: ['video_title'],
+    //     aggregations: [
+    //         { name: 'videos_started', fn: 'count', events: ['video_start'] },
+    //         { name: 'max_video_percent', fn: 'max', column: 'video_percent' }
+    //     ]
+    // }
+];
+
+// ============================================================================
+// MACHINE LEARNING CONFIGURATION
+// ============================================================================
+
+/**
+ * BigQuery ML models (definitions/ml/, enabled via ENABLE_ML compilation variable)
+ * Each key overrides the defaults in includes/ml.js — omit a setting to keep the default.
+ *
+ * purchase_propensity:
+ *   model_type             'BOOSTED_TREE_CLASSIFIER' or 'LOGISTIC_REG'
+ *   features               feature names from the catalog in includes/ml.js
+ *   feature_lookback_days  history window before each snapshot used for features
+ *   label_window_days      label = purchased within N days after the snapshot
+ *   training_snapshots     number of historical snapshots in the training set
+ *   snapshot_interval_days spacing between training snapshots
+ *   retrain_every_days     retrain cadence (model is also trained when missing)
+ *   model_options          extra CREATE MODEL OPTIONS, e.g. { max_iterations: 50 }
+ *
+ * churn_risk: same settings as above, except the label is the inactivity definition
+ *   inactivity_days        label = churned when no activity within N days after the snapshot
+ *   activity_events        event names that count as activity ([] = any event)
+ */
+const ML_CONFIG = {
+    purchase_propensity: {
+        model_type: 'BOOSTED_TREE_CLASSIFIER',
+        label_window_days: 30,
+        retrain_every_days: 7
+    },
+    churn_risk: {
+        model_type: 'BOOSTED_TREE_CLASSIFIER',
+        inactivity_days: 28,
+        activity_events: [],
+        retrain_every_days: 7
+    }
+};
+
+/**
+ * User segmentation (definitions/outputs/user_segments.sqlx)
+ * Method is set with the SEGMENTATION_METHOD compilation variable: 'rfm' (default) or
+ * 'kmeans' (requires ENABLE_ML). Omit a setting to keep the default in includes/ml.js.
+ *
+ *   lookback_days          purchase history used for RFM (ecommerce only)
+ *   rfm_buckets            quantile buckets per R/F/M score (1 = worst)
+ *   rfm_segments           [{ label, r: [min, max], f: [...], m: [...] }], first match wins
+ *   default_label          label when no rfm_segments entry matches
+ *   non_purchaser_label    label for users without a purchase (ecommerce only)
+ *   num_clusters           KMEANS cluster count
+ *   features               KMEANS features (ecommerce-only features are dropped without HAS_ECOMMERCE)
+ *   cluster_labels         { <cluster_id>: 'label' } — re-check after a retrain, IDs are not stable
+ *   retrain_every_days     KMEANS retrain cadence
+ */
+const SEGMENTATION_CONFIG = {
+    rfm_buckets: 5,
+    default_label: 'Needs Attention',
+    num_clusters: 5,
+    cluster_labels: {}
+};
+
+// ============================================================================
+// ATTRIBUTION CONFIGURATION
+// ============================================================================
+
+/**
+ * Multi-touch attribution (definitions/outputs/conversion_attribution.sqlx)
+ * Omit a setting to keep the default in includes/attribution.js.
+ *
+ *   include_transactions       attribute purchases from transactions (requires HAS_ECOMMERCE)
+ *   conversion_events          additional conversion events from base_events (value = event_value_in_usd)
+ *   lookback_days              sessions started up to N days before the conversion get credit
+ *   time_decay_half_life_days  a touchpoint N days earlier gets half the time-decay weight
+ *   position_based_weights     first/last touch share; the rest is split across middle touches
+ */
+const ATTRIBUTION_CONFIG = {
+    include_transactions: true,
+    conversion_events: [],
+    lookback_days: 30,
+    time_decay_half_life_days: 7
+};
+
+// ============================================================================
+// IDENTITY RESOLUTION CONFIGURATION
+// ============================================================================
+
+/**
+ * Transitive identity resolution (definitions/outputs/user_identity_graph.sqlx)
+ * Pseudo IDs and user_ids linked directly or through each other form one resolved user.
+ * Omit a setting to keep the default in includes/identity.js.
+ *
+ *   max_depth            hops a component can span (one label propagation pass per hop)
+ *   max_component_size   identifiers per component before it is treated as a shared device
+ *                        and each pseudo ID falls back to its own earliest user_id
+ *   deny_user_ids        placeholder user_id values that must never link identifiers
+ *                        (e.g. 'undefined', '0', QA accounts)
+ */
+const IDENTITY_RESOLUTION_CONFIG = {
+    max_depth: 8,
+    max_component_size: 50,
+    deny_user_ids: []
+};
+
+// ============================================================================
+// CONSENT POLICY
+// ============================================================================
+
+/**
+ * Consent-mode handling, based on the privacy_info fields of each event.
+ * An event is denied when any of denied_signals is 'No' (NULL counts as consented).
+ * Omit a setting to keep the default in includes/consent.js.
+ *
+ *   mode             'keep_all'         store denied events as exported
+ *                    'exclude_denied'   drop denied events in base_events
+ *                    'anonymize_denied' keep denied events without identifiers; they are left
+ *                                       out of user_identity_map and users
+ *   anonymize_with   'null' removes user_pseudo_id / user_id, 'hash' stores a SHA-256 hex
+ *                    salted with the CONSENT_HASH_SALT compilation variable (required).
+ *                    Hashing is pseudonymization: hashed IDs stay stable and linkable.
+ *                    With 'null', keys of denied sessions use a per-session hash instead
+ *   denied_signals   'analytics_storage' and/or 'ads_storage'
+ *
+ * Changing mode only affects data loaded from then on; run a backfill to re-apply it.
+ */
+const CONSENT_POLICY = {
+    mode: 'keep_all',
+    anonymize_with: 'null',
+    denied_signals: ['analytics_storage']
+};
+
+// ============================================================================
+// PII REDACTION CONFIGURATION
+// ============================================================================
+
+/**
+ * Scrubbing for params flagged redact: true (includes/redaction.js)
+ * Matches are replaced with [REDACTED:<detector>] and counted per day in model_execution_log.
+ * Omit a setting to keep the default in includes/redaction.js.
+ *
+ *   query_keys        query-string keys whose values are always removed (case-insensitive)
+ *   detectors         built-in detectors: 'email', 'card_number', 'phone'
+ *   custom_patterns   { <detector_name>: '<RE2 pattern>' } for client-specific identifiers
+ */
+const REDACTION_CONFIG = {
+    query_keys: [
+        'email', 'e-mail', 'mail', 'phone', 'tel', 'mobile',
+        'token', 'access_token', 'id_token', 'auth', 'password', 'pwd', 'ssn'
+    ],
+    detectors: ['email', 'card_number', 'phone'],
+    custom_patterns: {}
+};
+
+// ============================================================================
+// PAGE URL & CONTENT GROUP CONFIGURATION
+// ============================================================================
+
+/**
+ * Page URL normalization for sessions, dim_pages and fct_page_views (includes/pages.js)
+ * Hosts are always lowercased. Omit a setting to keep the default in includes/pages.js.
+ *
+ *   strip_params          query params removed from page URLs ('utm_*' matches every utm_ param)
+ *   strip_fragment        drop #fragments
+ *   lowercase_path        lowercase paths too (set false for case-sensitive sites)
+ *   strip_trailing_slash  treat /blog/ and /blog as one page
+ *   index_documents       /blog/index.html → /blog
+ *
+ * Changes re-key pages, including the base_events page keys, from the rolling refresh window
+ * onward: backfill base_events and full-refresh sessions and fct_page_views to restate history.
+ */
+const URL_NORMALIZATION = {
+    strip_params: [
+        'utm_*', 'gclid', 'gbraid', 'wbraid', 'dclid', 'gclsrc', 'fbclid', 'msclkid',
+        'ttclid', 'twclid', 'li_fat_id', 'mc_cid', 'mc_eid', '_ga', '_gl', 'srsltid'
+    ],
+    strip_fragment: true,
+    lowercase_path: true,
+    strip_trailing_slash: true,
+    index_documents: ['index.html', 'index.htm', 'index.php', 'default.aspx']
+};
+
+/**
+ * Content groups: one entry per level, becoming content_group_1 … content_group_N
+ * (max 5) in dim_pages and fct_page_views. Rules are tried in order; the first match wins.
+ *
+ *   name      label for the level (logs only)
+ *   default   value when no rule matches (default '(other)')
+ *   rules     { match: '<RE2 pattern>', value: 'Group' }
+ *             { match: '<pattern with one capture group>', extract: true }  → captured text
+ *             field: 'path' (default), 'location' or 'title'
+ *
+ * Example:
+ *   { name: 'Section', rules: [
+ *       { match: '^/blog(/|$)', value: 'Blog' },
+ *       { match: '^/products?/', value: 'Products' },
+ *       { match: '^/$', value: 'Home' }
+ *   ] },
+ *   { name: 'Blog category', default: '(none)', rules: [
+ *       { match: '^/blog/([^/]+)/', extract: true }
+ *   ] }
+ */
+const CONTENT_GROUPS = [];
+
+/**
+ * Navigation paths for page_paths_daily (step_1 … step_N from the landing page).
+ * Omit a setting to keep the default in includes/pages.js.
+ *
+ *   depth             pages per path, 2-10 (sessions that go deeper end at step_N)
+ *   collapse_reloads  count consecutive views of the same page as one step
+ *   top_paths         most frequent paths kept per day
+ */
+const PAGE_PATHS_CONFIG = {
+    depth: 5,
+    collapse_reloads: true,
+    top_paths: 500
+};
+
+// ============================================================================
+// PARAMETER DISCOVERY CONFIGURATION
+// ============================================================================
+
+/**
+ * Onboarding inventory (definitions/outputs/param_discovery.sqlx), built only when
+ * the ENABLE_PARAM_DISCOVERY compilation variable is 'true'.
+ * Omit a setting to keep the default in includes/discovery.js.
+ *
+ *   lookback_days   daily export tables scanned, ending yesterday
+ *   sample_values   most frequent values kept per key (string values are PII-redacted)
+ *   top_events      most frequent event names kept per key
+ *   ignore_keys     GA4 housekeeping keys reported as 'ignored' rather than 'unconfigured'
+ *
+ * Turn an export of the table into param arrays with scripts/suggest_params.js.
+ */
+const PARAM_DISCOVERY_CONFIG = {
+    lookback_days: 14,
+    sample_values: 5,
+    top_events: 10
+};
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -214,10 +664,50 @@ const clientConfig = {
     CUSTOM_PARAMS_ARRAY,
     CORE_USER_PROPS_ARRAY,
     CUSTOM_ITEMS_PARAMS,
+    OTHER_PARAMS_CONFIG,
 
     // Ecommerce Event Config
     TRANSACTION_EVENTS,
-    ECOMMERCE_ITEM_EVENTS
+    ECOMMERCE_ITEM_EVENTS,
+    PRODUCT_PERFORMANCE_CONFIG,
+    TRANSACTION_RECONCILIATION,
+
+    // Currency Config
+    REPORTING_CURRENCY,
+    EXCHANGE_RATES_SOURCE,
+
+    // Key Event Config
+    KEY_EVENTS,
+
+    // Funnel Config
+    FUNNELS,
+
+    // Event Table Config
+    EVENT_TABLES,
+
+    // Machine Learning Config
+    ML_CONFIG,
+    SEGMENTATION_CONFIG,
+
+    // Attribution Config
+    ATTRIBUTION_CONFIG,
+
+    // Identity Resolution Config
+    IDENTITY_RESOLUTION_CONFIG,
+
+    // Consent Config
+    CONSENT_POLICY,
+
+    // PII Redaction Config
+    REDACTION_CONFIG,
+
+    // Page Config
+    URL_NORMALIZATION,
+    CONTENT_GROUPS,
+    PAGE_PATHS_CONFIG,
+
+    // Discovery Config
+    PARAM_DISCOVERY_CONFIG
 };
 
 module.exports = { clientConfig };
\ No newline at end of file
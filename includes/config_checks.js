@@ -0,0 +1,292 @@
+// ============================================================================
+// CONFIG_CHECKS.JS — Shared Building Blocks for Config Validation
+// Owned by upstream repository
+//
+// Column lists and checks used by config_validator.js and by the validation
+// section of each feature module (key_events.js, funnels.js, ...). No
+// dependencies, so feature modules can require it without a cycle through
+// helper.js, and scripts/suggest_params.js can use it outside Dataform.
+// ============================================================================
+
+// ============================================================================
+// REFERENCE LISTS
+// ============================================================================
+
+const SUPPORTED_PARAM_TYPES = ['string', 'int', 'integer', 'float', 'double', 'bool', 'boolean', 'timestamp', 'auto'];
+
+/**
+ * Target types of type: 'auto' params (mirrors includes/sql_generators.js)
+ */
+const PARAM_TARGET_TYPES = ['string', 'int', 'integer', 'float', 'double', 'bool', 'boolean', 'timestamp'];
+
+/**
+ * Accepted timestamp default literals (date, optional time and UTC offset)
+ */
+const TIMESTAMP_LITERAL_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}:\d{2}| UTC)?$/;
+
+/**
+ * Top-level columns of the GA4 BigQuery export schema
+ */
+const GA4_EXPORT_COLUMNS = [
+  'event_date', 'event_timestamp', 'event_name', 'event_params',
+  'event_previous_timestamp', 'event_value_in_usd', 'event_bundle_sequence_id',
+  'event_server_timestamp_offset', 'user_id', 'user_pseudo_id', 'privacy_info',
+  'user_properties', 'user_first_touch_timestamp', 'user_ltv', 'device', 'geo',
+  'app_info', 'traffic_source', 'stream_id', 'platform', 'event_dimensions',
+  'ecommerce', 'items', 'collected_traffic_source', 'is_active_user',
+  'batch_event_index', 'batch_page_id', 'batch_ordering_id',
+  'session_traffic_source_last_click', 'publisher'
+];
+
+/**
+ * Columns generated by base_events alongside the extracted parameters
+ */
+const GENERATED_COLUMNS = [
+  'session_key', 'event_key', 'page', 'app', 'page_session_key',
+  'screen_session_key', 'first_user_traffic_source', 'other_params',
+  'property_name', 'stream_type'
+];
+
+/**
+ * Fields of the items STRUCT built by EXTRACT_ITEMS_ARRAY()
+ */
+const ITEM_COLUMNS = [
+  'item_id', 'item_name', 'item_brand', 'item_variant', 'item_category',
+  'item_category2', 'item_category3', 'item_category4', 'item_category5',
+  'price_in_usd', 'price', 'quantity', 'item_revenue_in_usd', 'item_revenue',
+  'item_refund_in_usd', 'item_refund', 'coupon', 'affiliation', 'location_id',
+  'item_list_id', 'item_list_name', 'item_list_index', 'promotion_id',
+  'promotion_name', 'creative_name', 'creative_slot', 'item_params_custom'
+];
+
+/**
+ * BigQuery reserved keywords (cannot be used as unquoted column aliases)
+ */
+const RESERVED_KEYWORDS = [
+  'all', 'and', 'any', 'array', 'as', 'asc', 'assert_rows_modified', 'at',
+  'between', 'by', 'case', 'cast', 'collate', 'contains', 'create', 'cross',
+  'cube', 'current', 'default', 'define', 'desc', 'distinct', 'else', 'end',
+  'enum', 'escape', 'except', 'exclude', 'exists', 'extract', 'false', 'fetch',
+  'following', 'for', 'from', 'full', 'group', 'grouping', 'groups', 'hash',
+  'having', 'if', 'ignore', 'in', 'inner', 'intersect', 'interval', 'into',
+  'is', 'join', 'lateral', 'left', 'like', 'limit', 'lookup', 'merge',
+  'natural', 'new', 'no', 'not', 'null', 'nulls', 'of', 'on', 'or', 'order',
+  'outer', 'over', 'partition', 'preceding', 'proto', 'qualify', 'range',
+  'recursive', 'respect', 'right', 'rollup', 'rows', 'select', 'set', 'some',
+  'struct', 'tablesample', 'then', 'to', 'treat', 'true', 'unbounded', 'union',
+  'unnest', 'using', 'when', 'where', 'window', 'with', 'within'
+];
+
+/**
+ * Param arrays whose names become top-level base_events columns
+ */
+const EVENT_COLUMN_ARRAYS = [
+  'CORE_PARAMS_ARRAY',
+  'WEB_PARAMS_ARRAY',
+  'APP_PARAMS_ARRAY',
+  'CUSTOM_PARAMS_ARRAY',
+  'CORE_USER_PROPS_ARRAY'
+];
+
+// ============================================================================
+// SHARED CHECKS
+// ============================================================================
+
+/**
+ * Checks a name is usable as an unquoted BigQuery column alias
+ */
+function checkIdentifier(name, location, errors) {
+  if (typeof name !== 'string' || name === '') {
+    errors.push(`${location}: name must be a non-empty string`);
+    return false;
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    errors.push(`${location}: '${name}' is not a valid SQL identifier (letters, digits and underscores, not starting with a digit)`);
+    return false;
+  }
+  if (RESERVED_KEYWORDS.includes(name.toLowerCase())) {
+    errors.push(`${location}: '${name}' is a BigQuery reserved keyword`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks the shape of a single param spec: name/alias, type/target, default,
+ * events, consolidated_name and redact
+ */
+function checkParamSpec(param, location, errors) {
+  if (!param || typeof param !== 'object') {
+    errors.push(`${location}: expected an object like { name: '...', type: '...' }`);
+    return false;
+  }
+
+  // With an alias the GA4 key only has to be a string; the alias becomes the column
+  let validName;
+  if (param.alias !== undefined) {
+    const validKey = typeof param.name === 'string' && param.name !== '';
+    if (!validKey) errors.push(`${location}: name must be a non-empty string`);
+    validName = checkIdentifier(param.alias, `${location}.alias`, errors) && validKey;
+  } else {
+    validName = checkIdentifier(param.name, location, errors);
+  }
+
+  const validType = typeof param.type === 'string' && SUPPORTED_PARAM_TYPES.includes(param.type.toLowerCase());
+  if (!validType) {
+    errors.push(`${location}: unsupported type '${param.type}' for '${param.name}' (supported: ${SUPPORTED_PARAM_TYPES.join(', ')})`);
+  }
+
+  let validTarget = true;
+  if (param.target !== undefined) {
+    if (validType && param.type.toLowerCase() !== 'auto') {
+      errors.push(`${location}.target: only applies to type 'auto'`);
+      validTarget = false;
+    } else if (typeof param.target !== 'string' || !PARAM_TARGET_TYPES.includes(param.target.toLowerCase())) {
+      errors.push(`${location}.target: unsupported target '${param.target}' (supported: ${PARAM_TARGET_TYPES.join(', ')})`);
+      validTarget = false;
+    }
+  }
+  const target = validType && validTarget ? resolveParamType(param) : null;
+
+  if (param.default !== undefined && param.default !== null && target && !isValidDefault(param.default, target)) {
+    errors.push(`${location}.default: ${JSON.stringify(param.default)} is not a valid ${target} value`);
+  }
+
+  if (param.events !== undefined
+      && (!Array.isArray(param.events) || param.events.length === 0
+        || !param.events.every(name => typeof name === 'string' && name !== ''))) {
+    errors.push(`${location}.events: must be a non-empty array of event names`);
+  }
+
+  if (param.consolidated_name !== undefined) {
+    checkIdentifier(param.consolidated_name, `${location}.consolidated_name`, errors);
+  }
+
+  if (param.redact !== undefined) {
+    if (typeof param.redact !== 'boolean') {
+      errors.push(`${location}.redact: must be true or false`);
+    } else if (param.redact && target && target !== 'string') {
+      errors.push(`${location}.redact: only string params can be redacted ('${param.name}' is ${target})`);
+    }
+  }
+
+  return validName;
+}
+
+/**
+ * Checks a KEY_EVENTS / FUNNELS conditions object: base_events columns mapped to matchers
+ */
+function checkConditions(conditions, location, isBaseColumn, errors) {
+  if (conditions === undefined) return;
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    errors.push(`${location}: must be an object of { column: { exact } or { regex } }`);
+    return;
+  }
+  Object.entries(conditions).forEach(([column, matcher]) => {
+    const conditionLocation = `${location}.${column}`;
+    if (!isBaseColumn(column)) {
+      errors.push(`${conditionLocation}: '${column}' is not a base_events column`);
+    }
+    checkConditionMatcher(matcher, conditionLocation, errors);
+  });
+}
+
+/**
+ * Checks one condition matcher: exactly one of { exact } (string, number or
+ * array of them) or { regex } (inlined in an r'...' literal, so no quotes)
+ */
+function checkConditionMatcher(matcher, location, errors) {
+  const types = matcher && typeof matcher === 'object' ? ['exact', 'regex'].filter(type => matcher[type] !== undefined) : [];
+  if (types.length !== 1 || Object.keys(matcher).length !== 1) {
+    errors.push(`${location}: must be exactly one of { exact } or { regex }`);
+    return;
+  }
+
+  if (types[0] === 'exact') {
+    const values = Array.isArray(matcher.exact) ? matcher.exact : [matcher.exact];
+    if (values.length === 0 || !values.every(value => typeof value === 'string' || Number.isFinite(value))) {
+      errors.push(`${location}.exact: must be a string, number or non-empty array of them`);
+    }
+    return;
+  }
+
+  if (typeof matcher.regex !== 'string' || matcher.regex === '') {
+    errors.push(`${location}.regex: must be a non-empty string`);
+  } else if (/['\n]/.test(matcher.regex)) {
+    errors.push(`${location}.regex: quotes and newlines are not supported`);
+  } else {
+    try {
+      new RegExp(matcher.regex);
+    } catch (e) {
+      errors.push(`${location}.regex: invalid pattern (${e.message})`);
+    }
+  }
+}
+
+function normalizeType(type) {
+  const lower = type.toLowerCase();
+  if (lower === 'integer') return 'int';
+  if (lower === 'float') return 'double';
+  if (lower === 'boolean') return 'bool';
+  return lower;
+}
+
+/**
+ * Column type a param spec produces (type: 'auto' → its target, string by default)
+ */
+function resolveParamType(param) {
+  if (param.type.toLowerCase() !== 'auto') return normalizeType(param.type);
+  return normalizeType(param.target || 'string');
+}
+
+function paramColumnName(param) {
+  return param.alias || param.name;
+}
+
+/**
+ * Builds a check for base_events columns a config may reference: extracted
+ * params (by column), consolidated names, export and generated columns
+ */
+function baseEventsColumnCheck(config) {
+  const baseColumns = new Set([
+    ...GA4_EXPORT_COLUMNS.filter(column => !['event_params', 'user_properties'].includes(column)),
+    ...EVENT_COLUMN_ARRAYS.flatMap(arrayName => (Array.isArray(config[arrayName]) ? config[arrayName] : [])
+      .filter(param => param && typeof param.name === 'string')
+      .flatMap(param => [paramColumnName(param), param.consolidated_name].filter(Boolean))),
+    ...GENERATED_COLUMNS
+  ].map(column => column.toLowerCase()));
+  return column => typeof column === 'string' && baseColumns.has(column.toLowerCase());
+}
+
+function isValidDefault(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'int': return Number.isInteger(value);
+    case 'double': return typeof value === 'number' && Number.isFinite(value);
+    case 'bool': return typeof value === 'boolean';
+    case 'timestamp': return typeof value === 'string' && TIMESTAMP_LITERAL_PATTERN.test(value);
+    default: return false;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Reference Lists
+  GA4_EXPORT_COLUMNS,
+  GENERATED_COLUMNS,
+  ITEM_COLUMNS,
+  RESERVED_KEYWORDS,
+  EVENT_COLUMN_ARRAYS,
+
+  // Checks
+  checkIdentifier,
+  checkParamSpec,
+  checkConditions,
+  checkConditionMatcher,
+  resolveParamType,
+  paramColumnName,
+  baseEventsColumnCheck
+};
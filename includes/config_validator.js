@@ -0,0 +1,417 @@
+// ============================================================================
+// CONFIG_VALIDATOR.JS — Compile-time Validation of Merged Configuration
+// Owned by upstream repository
+//
+// Runs from getConfig() in helper.js. Collects every problem it finds and
+// throws a single aggregated error, so a bad client_config.js fails
+// compilation with a readable report instead of a BigQuery error later.
+// Checks the core settings (param arrays, streams, environment, backfill)
+// itself and calls the validation section of each feature module for the rest.
+// ============================================================================
+
+const {
+  GA4_EXPORT_COLUMNS,
+  GENERATED_COLUMNS,
+  ITEM_COLUMNS,
+  EVENT_COLUMN_ARRAYS,
+  checkParamSpec,
+  resolveParamType,
+  paramColumnName
+} = require('./config_checks');
+const backfill = require('./backfill');
+const sqlGenerators = require('./sql_generators');
+const eventTables = require('./event_tables');
+const keyEvents = require('./key_events');
+const funnels = require('./funnels');
+const products = require('./products');
+const transactions = require('./transactions');
+const currency = require('./currency');
+const ml = require('./ml');
+const attribution = require('./attribution');
+const identity = require('./identity');
+const consent = require('./consent');
+const redaction = require('./redaction');
+const pages = require('./pages');
+const discovery = require('./discovery');
+
+// ============================================================================
+// REFERENCE LISTS
+// ============================================================================
+
+const VALID_STREAM_TYPES = ['web', 'app'];
+
+const VALID_DATA_STREAM_TYPES = ['web', 'app', 'both'];
+
+const ANOMALY_METHODS = ['threshold', 'arima_plus'];
+
+const ARIMA_DETECTION_MODES = ['detect_anomalies', 'forecast_interval'];
+
+// ============================================================================
+// INDIVIDUAL CHECKS
+// ============================================================================
+
+/**
+ * Checks every event-level param array, flagging duplicate names and
+ * collisions with GA4 export or generated columns
+ */
+function checkEventParams(config, errors) {
+  const seen = {};
+
+  EVENT_COLUMN_ARRAYS.forEach(arrayName => {
+    const params = config[arrayName];
+    if (!Array.isArray(params)) {
+      errors.push(`${arrayName}: must be an array`);
+      return;
+    }
+
+    params.forEach((param, index) => {
+      const location = `${arrayName}[${index}]`;
+      if (!checkParamSpec(param, location, errors)) return;
+
+      const column = paramColumnName(param);
+      const key = column.toLowerCase();
+      if (seen[key]) {
+        errors.push(`${location}: duplicate name '${column}' (already defined in ${seen[key]})`);
+      } else {
+        seen[key] = location;
+      }
+
+      if (GA4_EXPORT_COLUMNS.includes(key)) {
+        errors.push(`${location}: '${column}' collides with a GA4 export column`);
+      }
+      if (GENERATED_COLUMNS.includes(key)) {
+        errors.push(`${location}: '${column}' collides with a column generated by base_events`);
+      }
+    });
+  });
+
+  return seen;
+}
+
+/**
+ * Checks consolidated_name pairs: one web and one app source per name,
+ * matching types, and no collision with other columns
+ */
+function checkConsolidation(config, paramLocations, errors) {
+  const pairs = {};
+
+  ['WEB_PARAMS_ARRAY', 'APP_PARAMS_ARRAY'].forEach(arrayName => {
+    if (!Array.isArray(config[arrayName])) return;
+    const side = arrayName === 'WEB_PARAMS_ARRAY' ? 'web' : 'app';
+
+    config[arrayName].forEach((param, index) => {
+      if (!param || typeof param.consolidated_name !== 'string') return;
+      const location = `${arrayName}[${index}]`;
+      const name = param.consolidated_name;
+
+      if (!pairs[name]) pairs[name] = { web: null, app: null };
+      if (pairs[name][side]) {
+        errors.push(`${location}: consolidated_name '${name}' is already used by ${side} param '${pairs[name][side].param.name}'`);
+        return;
+      }
+      pairs[name][side] = { param, location };
+    });
+  });
+
+  Object.keys(pairs).forEach(name => {
+    const { web, app } = pairs[name];
+    const key = name.toLowerCase();
+
+    if (web && app && typeof web.param.type === 'string' && typeof app.param.type === 'string'
+        && resolveParamType(web.param) !== resolveParamType(app.param)) {
+      errors.push(`consolidated_name '${name}': web param '${web.param.name}' is ${resolveParamType(web.param)} but app param '${app.param.name}' is ${resolveParamType(app.param)}`);
+    }
+    if (paramLocations[key]) {
+      errors.push(`consolidated_name '${name}': collides with parameter defined in ${paramLocations[key]}`);
+    }
+    if (GA4_EXPORT_COLUMNS.includes(key) || GENERATED_COLUMNS.includes(key)) {
+      errors.push(`consolidated_name '${name}': collides with a GA4 export or generated column`);
+    }
+  });
+}
+
+/**
+ * Checks CUSTOM_ITEMS_PARAMS (these live inside the items STRUCT)
+ */
+function checkItemParams(config, errors) {
+  const params = config.CUSTOM_ITEMS_PARAMS;
+  if (params === undefined || params === null) return;
+  if (!Array.isArray(params)) {
+    errors.push('CUSTOM_ITEMS_PARAMS: must be an array');
+    return;
+  }
+
+  const seen = {};
+  params.forEach((param, index) => {
+    const location = `CUSTOM_ITEMS_PARAMS[${index}]`;
+    if (!checkParamSpec(param, location, errors)) return;
+
+    const column = paramColumnName(param);
+    const key = column.toLowerCase();
+    if (seen[key]) {
+      errors.push(`${location}: duplicate name '${column}' (already defined in ${seen[key]})`);
+    } else {
+      seen[key] = location;
+    }
+    if (ITEM_COLUMNS.includes(key)) {
+      errors.push(`${location}: '${column}' collides with a standard items field`);
+    }
+  });
+}
+
+/**
+ * Checks PROPERTIES_CONFIG (advanced mode) or DATA_STREAM_TYPE (simple mode)
+ */
+function checkStreams(config, errors) {
+  if (config.PROPERTIES_CONFIG === null || config.PROPERTIES_CONFIG === undefined) {
+    if (!VALID_DATA_STREAM_TYPES.includes(config.DATA_STREAM_TYPE)) {
+      errors.push(`DATA_STREAM_TYPE: '${config.DATA_STREAM_TYPE}' is not one of ${VALID_DATA_STREAM_TYPES.join(', ')}`);
+    }
+    return;
+  }
+
+  if (typeof config.PROPERTIES_CONFIG !== 'object' || Array.isArray(config.PROPERTIES_CONFIG)) {
+    errors.push('PROPERTIES_CONFIG: must be null or an object keyed by property name');
+    return;
+  }
+
+  const propertyNames = Object.keys(config.PROPERTIES_CONFIG);
+  if (propertyNames.length === 0) {
+    errors.push('PROPERTIES_CONFIG: defines no properties (use null for simple mode)');
+  }
+
+  const streamOwners = {};
+  let includedCount = 0;
+
+  propertyNames.forEach(propertyName => {
+    const property = config.PROPERTIES_CONFIG[propertyName];
+    const location = `PROPERTIES_CONFIG['${propertyName}']`;
+
+    // Stamped on every row as property_name and used in model_execution_log model names
+    if (!/^[A-Za-z0-9_]+$/.test(propertyName)) {
+      errors.push(`${location}: property name must contain only letters, digits and underscores`);
+    }
+    if (!property || typeof property !== 'object') {
+      errors.push(`${location}: must be an object with source_dataset and streams`);
+      return;
+    }
+    if (typeof property.source_dataset !== 'string' || !/^[A-Za-z0-9_]+$/.test(property.source_dataset)) {
+      errors.push(`${location}.source_dataset: '${property.source_dataset}' is not a valid BigQuery dataset name`);
+    }
+    if (!property.streams || typeof property.streams !== 'object' || Object.keys(property.streams).length === 0) {
+      errors.push(`${location}.streams: must define at least one stream`);
+      return;
+    }
+
+    const freshFlags = new Set();
+
+    Object.keys(property.streams).forEach(streamId => {
+      const stream = property.streams[streamId];
+      const streamLocation = `${location}.streams['${streamId}']`;
+
+      if (!/^[0-9]+$/.test(streamId.trim()) || streamId !== streamId.trim()) {
+        errors.push(`${streamLocation}: stream ID must be a non-empty string of digits`);
+      }
+      if (streamOwners[streamId]) {
+        errors.push(`${streamLocation}: stream ID is also declared under ${streamOwners[streamId]}`);
+      } else {
+        streamOwners[streamId] = location;
+      }
+      if (!stream || typeof stream !== 'object') {
+        errors.push(`${streamLocation}: must be an object like { include: true, stream_type: 'web' }`);
+        return;
+      }
+      if (!VALID_STREAM_TYPES.includes(stream.stream_type)) {
+        errors.push(`${streamLocation}.stream_type: '${stream.stream_type}' is not one of ${VALID_STREAM_TYPES.join(', ')}`);
+      }
+      if (stream.use_fresh_daily !== undefined && typeof stream.use_fresh_daily !== 'boolean') {
+        errors.push(`${streamLocation}.use_fresh_daily: must be true or false`);
+      }
+      if (stream.include === false) return;
+
+      includedCount++;
+      const useFreshDaily = stream.use_fresh_daily !== undefined ? stream.use_fresh_daily : config.USE_FRESH_DAILY;
+      freshFlags.add(useFreshDaily === true);
+
+      if (useFreshDaily === true && property.has_fresh_daily === false) {
+        const source = stream.use_fresh_daily !== undefined ? 'use_fresh_daily' : 'USE_FRESH_DAILY (inherited)';
+        errors.push(`${streamLocation}: ${source} is true but the property declares has_fresh_daily: false`);
+      }
+    });
+
+    // Fresh tables are per dataset, so base_events reads them for every stream once any stream opts in
+    if (freshFlags.size > 1) {
+      errors.push(`${location}: included streams disagree on use_fresh_daily; fresh tables apply to the whole property`);
+    }
+  });
+
+  if (propertyNames.length > 0 && includedCount === 0) {
+    errors.push('PROPERTIES_CONFIG: no streams have include: true');
+  }
+}
+
+/**
+ * Checks event name lists used by the ecommerce models
+ */
+function checkEventLists(config, errors) {
+  ['TRANSACTION_EVENTS', 'ECOMMERCE_ITEM_EVENTS'].forEach(listName => {
+    const events = config[listName];
+    if (!Array.isArray(events)) {
+      errors.push(`${listName}: must be an array of event names`);
+      return;
+    }
+    events.forEach((eventName, index) => {
+      if (typeof eventName !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(eventName)) {
+        errors.push(`${listName}[${index}]: '${eventName}' is not a valid GA4 event name`);
+      }
+    });
+  });
+}
+
+/**
+ * Checks ANOMALY_DETECTION settings from core_config.js
+ */
+function checkAnomalyDetection(config, errors) {
+  const anomaly = config.ANOMALY_DETECTION;
+  if (anomaly === undefined) return;
+
+  if (!ANOMALY_METHODS.includes(anomaly.METHOD)) {
+    errors.push(`ANOMALY_DETECTION.METHOD: '${anomaly.METHOD}' is not one of ${ANOMALY_METHODS.join(', ')}`);
+  }
+  if (!ARIMA_DETECTION_MODES.includes(anomaly.ARIMA_DETECTION)) {
+    errors.push(`ANOMALY_DETECTION.ARIMA_DETECTION: '${anomaly.ARIMA_DETECTION}' is not one of ${ARIMA_DETECTION_MODES.join(', ')}`);
+  }
+  if (!(anomaly.THRESHOLD_PCT > 0)) {
+    errors.push('ANOMALY_DETECTION.THRESHOLD_PCT: must be greater than 0');
+  }
+  ['ARIMA_ANOMALY_PROB_THRESHOLD', 'ARIMA_CONFIDENCE_LEVEL'].forEach(key => {
+    if (!(anomaly[key] > 0 && anomaly[key] < 1)) {
+      errors.push(`ANOMALY_DETECTION.${key}: must be between 0 and 1 (exclusive)`);
+    }
+  });
+  Object.keys(anomaly).filter(key => key.endsWith('_DAYS')).forEach(key => {
+    if (!Number.isInteger(anomaly[key]) || anomaly[key] <= 0) {
+      errors.push(`ANOMALY_DETECTION.${key}: must be a positive integer`);
+    }
+  });
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Validates the merged configuration
+ * @returns {string[]} list of problems (empty when valid)
+ */
+function collectConfigErrors(config) {
+  const errors = [];
+
+  checkEnvironment(config, errors);
+  checkBackfill(config, errors);
+  checkStreams(config, errors);
+  const paramLocations = checkEventParams(config, errors);
+  checkConsolidation(config, paramLocations, errors);
+  checkItemParams(config, errors);
+  checkEventLists(config, errors);
+  checkAnomalyDetection(config, errors);
+
+  // Feature settings, checked by the module that reads them
+  sqlGenerators.checkOtherParams(config, errors);
+  eventTables.checkEventTables(config, errors);
+  keyEvents.checkKeyEvents(config, errors);
+  funnels.checkFunnels(config, errors);
+  products.checkProductPerformance(config, errors);
+  transactions.checkTransactionReconciliation(config, errors);
+  currency.checkReportingCurrency(config, errors);
+  ml.checkMLConfig(config, errors);
+  ml.checkSegmentation(config, errors);
+  attribution.checkAttribution(config, errors);
+  identity.checkIdentityResolution(config, errors);
+  consent.checkConsentPolicy(config, errors);
+  redaction.checkRedaction(config, errors);
+  pages.checkUrlNormalization(config, errors);
+  pages.checkContentGroups(config, errors);
+  pages.checkPagePaths(config, errors);
+  discovery.checkParamDiscovery(config, errors);
+
+  return errors;
+}
+
+/**
+ * Checks ENVIRONMENT and ENVIRONMENT_PROFILES (core_config.js)
+ */
+function checkEnvironment(config, errors) {
+  const profiles = config.ENVIRONMENT_PROFILES;
+  if (profiles === undefined) return;
+
+  if (!Object.prototype.hasOwnProperty.call(profiles, config.ENVIRONMENT)) {
+    errors.push(`ENVIRONMENT: '${config.ENVIRONMENT}' is not one of ${Object.keys(profiles).join(', ')}`);
+  }
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const location = `ENVIRONMENT_PROFILES.${name}`;
+    if (typeof profile.dataset_suffix !== 'string' || !/^[A-Za-z0-9_]*$/.test(profile.dataset_suffix)) {
+      errors.push(`${location}.dataset_suffix: must be a string of letters, digits and underscores ('' for none)`);
+    }
+    ['initial_load_days', 'rolling_refresh_days'].forEach(key => {
+      const value = profile[key];
+      if (value !== null && value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        errors.push(`${location}.${key}: must be null or a positive whole number of days`);
+      }
+    });
+    const pct = profile.sample_pct;
+    if (typeof pct !== 'number' || !(pct > 0 && pct <= 100) || Math.abs(Math.round(pct * 100) - pct * 100) > 1e-9) {
+      errors.push(`${location}.sample_pct: must be a number above 0 and up to 100, in steps of 0.01 (got ${pct})`);
+    }
+  });
+}
+
+/**
+ * Checks the backfill compilation variables (core_config.js), which base_events
+ * inlines into its _TABLE_SUFFIX filter
+ */
+function checkBackfill(config, errors) {
+  const maxDays = config.BACKFILL_MAX_DAYS;
+  const maxDaysValid = maxDays === undefined || (Number.isInteger(maxDays) && maxDays > 0);
+  if (!maxDaysValid) {
+    errors.push(`BACKFILL_MAX_DAYS: must be a positive whole number of days (got ${maxDays})`);
+  }
+
+  const start = config.BACKFILL_START_DATE;
+  const end = config.BACKFILL_END_DATE;
+  if (config.FORCE_FULL_BACKFILL && (!start || !end)) {
+    errors.push('FORCE_FULL_BACKFILL: requires both BACKFILL_START_DATE and BACKFILL_END_DATE ' +
+      '(set them on a one-off backfill release; never set FORCE_FULL_BACKFILL on a scheduled release)');
+  }
+
+  if (start && end) {
+    backfill.getBackfillRangeErrors(start, end, { maxDays: maxDaysValid && maxDays !== undefined ? maxDays : null })
+      .forEach(error => errors.push(error));
+  } else if (start || end) {
+    const [name, value] = start ? ['BACKFILL_START_DATE', start] : ['BACKFILL_END_DATE', end];
+    if (!backfill.parseBackfillDate(value)) errors.push(`${name}: '${value}' is not a valid YYYYMMDD date`);
+  }
+}
+
+/**
+ * Validates the merged configuration and throws one aggregated error
+ */
+function validateConfig(config) {
+  const errors = collectConfigErrors(config);
+  if (errors.length === 0) return;
+
+  throw new Error(
+    `Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+    errors.map(e => `  - ${e}`).join('\n')
+  );
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  collectConfigErrors,
+  validateConfig
+};
@@ -0,0 +1,193 @@
+// ============================================================================
+// CONSENT.JS — Consent-Mode Policy Generators
+// Owned by upstream repository
+//
+// Applies CONSENT_POLICY from client_config.js (merged over the defaults below)
+// using the privacy_info fields GA4 exports with every event. base_events
+// enforces the policy; downstream models only count consented vs total.
+// ============================================================================
+
+const helpers = require('./helper');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * keep_all          store denied events as exported
+ * exclude_denied    drop denied events in base_events
+ * anonymize_denied  keep denied events without usable identifiers; they never
+ *                   reach user_identity_map or users
+ */
+const CONSENT_MODES = ['keep_all', 'exclude_denied', 'anonymize_denied'];
+
+/**
+ * How anonymize_denied treats user_pseudo_id / user_id
+ * null → removed; hash → salted SHA-256 hex (CONSENT_HASH_SALT). This is
+ * pseudonymization: hashed IDs stay stable, so sessions still group and the same
+ * visitor can be linked across days; only someone without the salt cannot join
+ * them back to raw IDs
+ */
+const ANONYMIZE_METHODS = ['null', 'hash'];
+
+/**
+ * CONSENT_HASH_SALT must be at least this long and use only these characters
+ * (it is inlined as a SQL string literal)
+ */
+const HASH_SALT_MIN_LENGTH = 16;
+const HASH_SALT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * privacy_info fields that can mark an event as denied
+ */
+const CONSENT_SIGNALS = ['analytics_storage', 'ads_storage'];
+
+/**
+ * Defaults; CONSENT_POLICY overrides individual settings
+ */
+const CONSENT_DEFAULTS = {
+  mode: 'keep_all',
+  anonymize_with: 'null',
+  denied_signals: ['analytics_storage']
+};
+
+/**
+ * Gets the effective consent policy (defaults + CONSENT_POLICY overrides)
+ */
+function getConsentPolicy() {
+  const config = helpers.getConfig();
+  return {
+    ...CONSENT_DEFAULTS,
+    ...(config.CONSENT_POLICY || {}),
+    hash_salt: config.CONSENT_HASH_SALT || null
+  };
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates the denied-event condition: any configured signal explicitly 'No'
+ * (NULL, i.e. consent mode not implemented, counts as consented)
+ * @param {string} privacyInfo - privacy_info struct reference (raw export and base_events share field names)
+ */
+function CONSENT_DENIED_SQL(policy, privacyInfo = 'privacy_info') {
+  return `(${policy.denied_signals
+    .map(signal => `IFNULL(${privacyInfo}.${signal}, '') = 'No'`)
+    .join(' OR ')})`;
+}
+
+/**
+ * Wraps an identifier expression for base_events: unchanged unless the mode is
+ * anonymize_denied, where denied events get NULL or a salted SHA-256 hex hash
+ */
+function CONSENT_IDENTIFIER_SQL(policy, expression, privacyInfo = 'privacy_info') {
+  if (policy.mode !== 'anonymize_denied') return expression;
+  const anonymized = policy.anonymize_with === 'hash'
+    ? `TO_HEX(SHA256(CONCAT('${policy.hash_salt}', ${expression})))`
+    : 'CAST(NULL AS STRING)';
+  return `IF(${CONSENT_DENIED_SQL(policy, privacyInfo)}, ${anonymized}, ${expression})`;
+}
+
+/**
+ * Working column base_events keeps the raw user_pseudo_id of denied events in while it
+ * builds keys (anonymize_denied with 'null'); it is dropped before the table is written
+ */
+const DENIED_PSEUDO_ID_COLUMN = 'denied_user_pseudo_id';
+
+/**
+ * Whether denied events lose every identifier, so their keys need a per-session
+ * discriminator in place of user_id
+ */
+function needsSessionDiscriminator(policy) {
+  return policy.mode === 'anonymize_denied' && policy.anonymize_with === 'null';
+}
+
+/**
+ * Generates the DENIED_PSEUDO_ID_COLUMN value: the raw user_pseudo_id of denied events
+ */
+function DENIED_PSEUDO_ID_SQL(policy, privacyInfo = 'privacy_info') {
+  return `IF(${CONSENT_DENIED_SQL(policy, privacyInfo)}, user_pseudo_id, NULL)`;
+}
+
+/**
+ * Generates the user part of session_key and the page/screen-session keys: user_id, or
+ * for denied events without one a hash of their raw user_pseudo_id and ga_session_id.
+ * The hash changes every session, so visitors starting a session in the same second
+ * stay apart without being followed across sessions
+ */
+function SESSION_USER_KEY_SQL(policy, userId = 'user_id', sessionId = 'ga_session_id') {
+  if (!needsSessionDiscriminator(policy)) return `COALESCE(${userId}, '')`;
+  return `COALESCE(${userId}, TO_HEX(SHA256(CONCAT(${DENIED_PSEUDO_ID_COLUMN}, '-', COALESCE(CAST(${sessionId} AS STRING), '')))), '')`;
+}
+
+/**
+ * Generates the base_events row filter (TRUE unless the mode is exclude_denied)
+ */
+function CONSENT_FILTER_SQL(policy, privacyInfo = 'privacy_info') {
+  if (policy.mode !== 'exclude_denied') return 'TRUE';
+  return `NOT ${CONSENT_DENIED_SQL(policy, privacyInfo)}`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks CONSENT_POLICY (base_events, sessions, users, consent_coverage_daily)
+ */
+function checkConsentPolicy(config, errors) {
+  const policy = config.CONSENT_POLICY;
+  if (policy === undefined || policy === null) return;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    errors.push('CONSENT_POLICY: must be an object');
+    return;
+  }
+
+  if (policy.mode !== undefined && !CONSENT_MODES.includes(policy.mode)) {
+    errors.push(`CONSENT_POLICY.mode: '${policy.mode}' is not one of ${CONSENT_MODES.join(', ')}`);
+  }
+  if (policy.anonymize_with !== undefined && !ANONYMIZE_METHODS.includes(policy.anonymize_with)) {
+    errors.push(`CONSENT_POLICY.anonymize_with: '${policy.anonymize_with}' is not one of ${ANONYMIZE_METHODS.join(', ')}`);
+  }
+  if (policy.denied_signals !== undefined
+      && (!Array.isArray(policy.denied_signals) || policy.denied_signals.length === 0
+        || policy.denied_signals.some(signal => !CONSENT_SIGNALS.includes(signal)))) {
+    errors.push(`CONSENT_POLICY.denied_signals: must be a non-empty array of ${CONSENT_SIGNALS.join(', ')}`);
+  }
+
+  if (policy.mode === 'anonymize_denied' && policy.anonymize_with === 'hash') {
+    const salt = config.CONSENT_HASH_SALT;
+    if (!salt) {
+      errors.push("CONSENT_POLICY.anonymize_with: 'hash' requires the CONSENT_HASH_SALT compilation variable");
+    } else if (typeof salt !== 'string' || salt.length < HASH_SALT_MIN_LENGTH || !HASH_SALT_PATTERN.test(salt)) {
+      errors.push(`CONSENT_HASH_SALT: must be at least ${HASH_SALT_MIN_LENGTH} characters of letters, digits, '_' or '-'`);
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  CONSENT_MODES,
+  ANONYMIZE_METHODS,
+  CONSENT_SIGNALS,
+  CONSENT_DEFAULTS,
+  DENIED_PSEUDO_ID_COLUMN,
+  getConsentPolicy,
+  needsSessionDiscriminator,
+
+  // SQL Generation
+  CONSENT_DENIED_SQL,
+  CONSENT_IDENTIFIER_SQL,
+  DENIED_PSEUDO_ID_SQL,
+  SESSION_USER_KEY_SQL,
+  CONSENT_FILTER_SQL,
+
+  // Validation
+  checkConsentPolicy
+};
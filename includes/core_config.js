@@ -3,6 +3,37 @@
 // Owned by upstream repository — do not modify in client forks
 // ============================================================================
 
+/**
+ * Environment profiles, selected with the ENVIRONMENT compilation variable
+ * (workflow_settings.yaml sets prod; dev and staging releases override it)
+ *
+ *   dataset_suffix        appended to the DESTINATION_DATASET variable ('' = none)
+ *   initial_load_days     INITIAL_LOAD_DAYS override (null = framework default)
+ *   rolling_refresh_days  ROLLING_REFRESH_DAYS override (null = framework default)
+ *   sample_pct            share of users loaded into base_events (0.01-100), chosen by
+ *                         hashing user_pseudo_id so sessions and users stay whole
+ */
+const ENVIRONMENT_PROFILES = {
+  dev: { dataset_suffix: '_dev', initial_load_days: 3, rolling_refresh_days: null, sample_pct: 10 },
+  staging: { dataset_suffix: '_staging', initial_load_days: null, rolling_refresh_days: null, sample_pct: 100 },
+  prod: { dataset_suffix: '', initial_load_days: null, rolling_refresh_days: null, sample_pct: 100 }
+};
+
+const ENVIRONMENT = dataform.projectConfig.vars.ENVIRONMENT || 'prod';
+
+// Unknown names are reported by config_validator.js; fall back to no overrides until then
+const ENVIRONMENT_PROFILE = ENVIRONMENT_PROFILES[ENVIRONMENT] || {};
+
+/**
+ * Dataset every pipeline table is published to (DESTINATION_DATASET + profile suffix)
+ */
+const DESTINATION_DATASET = dataform.projectConfig.vars.DESTINATION_DATASET + (ENVIRONMENT_PROFILE.dataset_suffix || '');
+
+/**
+ * Share of users loaded into base_events (100 = no sampling)
+ */
+const SAMPLE_PCT = ENVIRONMENT_PROFILE.sample_pct === undefined ? 100 : ENVIRONMENT_PROFILE.sample_pct;
+
 /**
  * Manual full backfill mode
  * IMPORTANT: This should ALWAYS be false in repository code
@@ -12,39 +43,117 @@ const FORCE_FULL_BACKFILL = dataform.projectConfig.vars.FORCE_FULL_BACKFILL ===
 
 /**
  * Backfill date range (YYYYMMDD format, only used when FORCE_FULL_BACKFILL = true)
- * null = auto-calculate (13 months ago to yesterday)
+ * Required with FORCE_FULL_BACKFILL; validated at compile time (start <= end,
+ * not in the future, at most BACKFILL_MAX_DAYS days)
  */
 const BACKFILL_START_DATE = dataform.projectConfig.vars.BACKFILL_START_DATE || null;
 const BACKFILL_END_DATE = dataform.projectConfig.vars.BACKFILL_END_DATE || null;
 
+/**
+ * Longest backfill range (days) one release may load
+ * Override via BACKFILL_MAX_DAYS compilation variable; split longer ranges
+ * with scripts/plan_backfill.js
+ */
+const BACKFILL_MAX_DAYS = Number(dataform.projectConfig.vars.BACKFILL_MAX_DAYS || 31);
+
 /**
  * Ecommerce feature flag
  * Controlled via workflow_settings.yaml or release compilation variables
  */
 const HAS_ECOMMERCE = dataform.projectConfig.vars.HAS_ECOMMERCE === 'true';
 
+/**
+ * BigQuery ML feature flag (models in definitions/ml/)
+ * Controlled via workflow_settings.yaml or release compilation variables
+ */
+const ENABLE_ML = dataform.projectConfig.vars.ENABLE_ML === 'true';
+
+/**
+ * Force ML models to retrain on this run regardless of retrain cadence
+ * Override via release compilation variables only
+ */
+const ML_FORCE_RETRAIN = dataform.projectConfig.vars.ML_FORCE_RETRAIN === 'true';
+
+/**
+ * user_segments method (override via SEGMENTATION_METHOD compilation variable):
+ *   'rfm'    — quantile RFM scores mapped to labels (no BQML)
+ *   'kmeans' — BQML KMEANS clusters mapped to labels (requires ENABLE_ML)
+ * Clusters, features and labels are tuned in SEGMENTATION_CONFIG (client_config.js)
+ */
+const SEGMENTATION_METHOD = dataform.projectConfig.vars.SEGMENTATION_METHOD || 'rfm';
+
+/**
+ * Salt for CONSENT_POLICY anonymize_with: 'hash' (see includes/consent.js)
+ * Set via release compilation variables, never in the repository: anyone holding
+ * the salt can hash raw IDs and join them to the stored values. Changing it
+ * starts a new set of hashed IDs for denied events
+ */
+const CONSENT_HASH_SALT = dataform.projectConfig.vars.CONSENT_HASH_SALT || null;
+
 /**
  * Initial load size (days) - Used when base_events table doesn't exist
+ * Default 7; the environment profile may override it
  */
-const INITIAL_LOAD_DAYS = 7;
+const INITIAL_LOAD_DAYS = ENVIRONMENT_PROFILE.initial_load_days ?? 7;
 
 /**
  * Rolling refresh window (days) - How many days back incremental runs reprocess
- * Used by base_events incremental date filter and model_execution_log audit window
+ * Used by the base_events, sessions and fct_page_views rolling refresh and the
+ * model_execution_log audit window
+ * Default 3; the environment profile may override it
+ */
+const ROLLING_REFRESH_DAYS = ENVIRONMENT_PROFILE.rolling_refresh_days ?? 3;
+
+/**
+ * Anomaly detection settings for assert_anomaly_detection (Tier 3 report)
+ *
+ * METHOD (override via ANOMALY_DETECTION_METHOD compilation variable):
+ *   'threshold'  — compare each run to the trailing average with a fixed % band
+ *   'arima_plus' — train an ARIMA_PLUS model per model_name/metric on
+ *                  model_execution_log history (weekly seasonality + holidays)
+ *
+ * ARIMA_DETECTION:
+ *   'detect_anomalies'  — ML.DETECT_ANOMALIES with ARIMA_ANOMALY_PROB_THRESHOLD
+ *   'forecast_interval' — flag values outside the ML.FORECAST prediction interval
  */
-const ROLLING_REFRESH_DAYS = 3;
+const ANOMALY_DETECTION = {
+  METHOD: dataform.projectConfig.vars.ANOMALY_DETECTION_METHOD || 'threshold',
+
+  // Threshold method
+  THRESHOLD_PCT: 0.40,
+  THRESHOLD_LOOKBACK_DAYS: 14,
+  MIN_HISTORY_DAYS: 3,
+
+  // ARIMA_PLUS method
+  ARIMA_DETECTION: 'detect_anomalies',
+  ARIMA_TRAINING_LOOKBACK_DAYS: 365,
+  ARIMA_MIN_HISTORY_DAYS: 21,
+  ARIMA_ANOMALY_PROB_THRESHOLD: 0.99,
+  ARIMA_CONFIDENCE_LEVEL: 0.95,
+  ARIMA_HOLIDAY_REGION: 'US'
+};
 
 // ============================================================================
 // EXPORT
 // ============================================================================
 
 const coreConfig = {
+  ENVIRONMENT,
+  ENVIRONMENT_PROFILES,
+  DESTINATION_DATASET,
+  SAMPLE_PCT,
   FORCE_FULL_BACKFILL,
   BACKFILL_START_DATE,
   BACKFILL_END_DATE,
+  BACKFILL_MAX_DAYS,
   HAS_ECOMMERCE,
+  ENABLE_ML,
+  ML_FORCE_RETRAIN,
+  SEGMENTATION_METHOD,
+  CONSENT_HASH_SALT,
   INITIAL_LOAD_DAYS,
-  ROLLING_REFRESH_DAYS
+  ROLLING_REFRESH_DAYS,
+  ANOMALY_DETECTION
 };
 
 module.exports = { coreConfig };
\ No newline at end of file
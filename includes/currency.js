@@ -0,0 +1,167 @@
+// ============================================================================
+// CURRENCY.JS — Reporting Currency Conversion Generators
+// Owned by upstream repository
+//
+// When REPORTING_CURRENCY is set in client_config.js, transactions and
+// ecommerce_items convert their local-currency amounts with the rates in the
+// EXCHANGE_RATES_SOURCE table (declared in definitions/declarations.js) and
+// add *_in_reporting_currency columns; users sums them into lifetime revenue.
+// assert_reporting_currency_rates flags currencies that found no rate.
+// ============================================================================
+
+const helpers = require('./helper');
+const checks = require('./config_checks');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * base_events column holding the event's ISO 4217 currency code (the GA4
+ * `currency` event param, extracted through one of the params arrays)
+ */
+const CURRENCY_COLUMN = 'currency';
+
+/**
+ * Local-currency amounts converted in each model
+ */
+const TRANSACTION_AMOUNT_COLUMNS = ['purchase_revenue', 'refund_value', 'shipping_value', 'tax_value'];
+
+const ITEM_AMOUNT_COLUMNS = ['price', 'item_revenue', 'item_refund'];
+
+/**
+ * Gets the reporting currency code, or null when conversion is off
+ */
+function getReportingCurrency() {
+  const config = helpers.getConfig();
+  return config.REPORTING_CURRENCY || null;
+}
+
+/**
+ * Gets the exchange-rate table ({ database, schema, name }; declarations.js
+ * defaults database to SOURCE_PROJECT)
+ * Columns: date, from_currency, to_currency, rate (1 from_currency = rate to_currency)
+ */
+function getExchangeRatesSource() {
+  const config = helpers.getConfig();
+  return config.EXCHANGE_RATES_SOURCE || null;
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates the rate per event_date and currency into the reporting currency:
+ * the latest rate on or before the date (nearest prior rate when a day is
+ * missing), 1 for the reporting currency itself, NULL when no rate exists
+ * Columns: event_date, currency, reporting_rate, reporting_rate_date
+ * @param {string} ratesTable - ref() to the exchange-rate table
+ * @param {string} eventsTable - CTE or table with event_date and currency columns
+ * @param {string} [filterSQL] - condition on eventsTable rows
+ */
+function REPORTING_RATES_SQL(ratesTable, eventsTable, reportingCurrency, filterSQL = null) {
+  return `SELECT
+    ec.event_date,
+    ec.currency,
+    IF(UPPER(ec.currency) = '${reportingCurrency}', 1, r.rate) AS reporting_rate,
+    IF(UPPER(ec.currency) = '${reportingCurrency}', ec.event_date, r.date) AS reporting_rate_date
+  FROM (
+    SELECT DISTINCT event_date, ${CURRENCY_COLUMN} AS currency
+    FROM ${eventsTable}
+    WHERE ${CURRENCY_COLUMN} IS NOT NULL${filterSQL ? `
+      AND ${filterSQL}` : ''}
+  ) ec
+  LEFT JOIN (
+    SELECT date, UPPER(from_currency) AS from_currency, rate
+    FROM ${ratesTable}
+    WHERE UPPER(to_currency) = '${reportingCurrency}'
+      AND rate > 0
+  ) r
+    ON r.from_currency = UPPER(ec.currency)
+    AND r.date <= ec.event_date
+  QUALIFY ROW_NUMBER() OVER (PARTITION BY ec.event_date, ec.currency ORDER BY r.date DESC) = 1`;
+}
+
+/**
+ * Generates <column>_in_reporting_currency for each local-currency amount
+ * @param {string} [sourceAlias] - struct or table alias the amounts are read from
+ */
+function IN_REPORTING_CURRENCY_SQL(columns, sourceAlias = null, rateColumn = 'reporting_rate') {
+  const prefix = sourceAlias ? `${sourceAlias}.` : '';
+  return columns
+    .map(column => `${prefix}${column} * ${rateColumn} AS ${column}_in_reporting_currency`)
+    .join(',\n  ');
+}
+
+/**
+ * Generates the rows assert_reporting_currency_rates fails on: one per model
+ * and currency with amounts but no rate (NULL currency reported as '(not set)')
+ * @param {Array<{model: string, table: string, amountColumns: string[]}>} sources
+ */
+function MISSING_RATES_SQL(sources) {
+  return sources.map(source => `SELECT
+  '${source.model}' AS model_name,
+  COALESCE(currency, '(not set)') AS currency,
+  COUNT(*) AS rows_without_rate,
+  MIN(event_date) AS first_event_date,
+  MAX(event_date) AS last_event_date
+FROM ${source.table}
+WHERE reporting_rate IS NULL
+  AND (${source.amountColumns.map(column => `COALESCE(${column}, 0) != 0`).join(' OR ')})
+GROUP BY currency`).join('\n\nUNION ALL\n\n');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks REPORTING_CURRENCY and EXCHANGE_RATES_SOURCE (inlined in SQL and declarations.js)
+ */
+function checkReportingCurrency(config, errors) {
+  const reportingCurrency = config.REPORTING_CURRENCY;
+  if (reportingCurrency === undefined || reportingCurrency === null) return;
+  if (typeof reportingCurrency !== 'string' || !/^[A-Z]{3}$/.test(reportingCurrency)) {
+    errors.push(`REPORTING_CURRENCY: '${reportingCurrency}' must be null or an ISO 4217 code such as 'EUR'`);
+  }
+
+  const source = config.EXCHANGE_RATES_SOURCE;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    errors.push('EXCHANGE_RATES_SOURCE: required when REPORTING_CURRENCY is set ({ database, schema, name })');
+  } else {
+    ['schema', 'name'].forEach(key => {
+      if (typeof source[key] !== 'string' || !/^[A-Za-z0-9_\-]+$/.test(source[key])) {
+        errors.push(`EXCHANGE_RATES_SOURCE.${key}: must be a table ${key} (letters, digits, _ -)`);
+      }
+    });
+    if (source.database !== undefined && (typeof source.database !== 'string' || !/^[a-z0-9\-]+$/.test(source.database))) {
+      errors.push('EXCHANGE_RATES_SOURCE.database: must be a GCP project ID');
+    }
+  }
+
+  if (!checks.baseEventsColumnCheck(config)(CURRENCY_COLUMN)) {
+    errors.push(`REPORTING_CURRENCY: requires a '${CURRENCY_COLUMN}' base_events column (add { name: "currency", type: "string" } to CORE_PARAMS_ARRAY)`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  CURRENCY_COLUMN,
+  TRANSACTION_AMOUNT_COLUMNS,
+  ITEM_AMOUNT_COLUMNS,
+  getReportingCurrency,
+  getExchangeRatesSource,
+
+  // SQL Generation
+  REPORTING_RATES_SQL,
+  IN_REPORTING_CURRENCY_SQL,
+  MISSING_RATES_SQL,
+
+  // Validation
+  checkReportingCurrency
+};
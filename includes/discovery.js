@@ -0,0 +1,202 @@
+// ============================================================================
+// DISCOVERY.JS — Event-Parameter Discovery Generators
+// Owned by upstream repository
+//
+// Inventories the event_params, user_properties and items.item_params keys
+// found in the raw export and diffs them against the configured param arrays
+// (definitions/outputs/param_discovery.sqlx). Lookback, sample size and
+// ignored keys come from PARAM_DISCOVERY_CONFIG in client_config.js, merged
+// over the defaults below. scripts/suggest_params.js turns an export of the
+// table into a client_config.js snippet.
+// ============================================================================
+
+const helpers = require('./helper');
+const redaction = require('./redaction');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Defaults; PARAM_DISCOVERY_CONFIG overrides individual settings
+ *
+ * lookback_days   daily export tables scanned (ending yesterday)
+ * sample_values   most frequent values kept per key (strings are PII-redacted)
+ * top_events      most frequent event names kept per key
+ * ignore_keys     GA4 housekeeping keys reported as 'ignored' instead of 'unconfigured'
+ */
+const DISCOVERY_DEFAULTS = {
+  lookback_days: 14,
+  sample_values: 5,
+  top_events: 10,
+  ignore_keys: [
+    'debug_mode', 'batch_page_id', 'batch_ordering_id', 'firebase_event_origin',
+    'firebase_conversion', 'update_with_analytics', 'synthetic_bundle'
+  ]
+};
+
+/**
+ * Configured type → observed type it should match (float and double both read double_value)
+ * bool, timestamp and auto coalesce every value field, so they have no expected type
+ */
+const EXPECTED_TYPES = {
+  string: 'string',
+  int: 'int',
+  integer: 'int',
+  float: 'double',
+  double: 'double'
+};
+
+/**
+ * Gets the effective discovery settings (defaults + PARAM_DISCOVERY_CONFIG overrides)
+ */
+function getDiscoveryConfig() {
+  const config = helpers.getConfig();
+  return { ...DISCOVERY_DEFAULTS, ...(config.PARAM_DISCOVERY_CONFIG || {}) };
+}
+
+/**
+ * Every configured key with its scope, type and array
+ * Event param arrays follow the effective data stream type, like base_events
+ */
+function getConfiguredParams() {
+  const config = helpers.getConfig();
+  const effectiveType = helpers.getEffectiveDataStreamType();
+
+  const arrays = [['event_param', 'CORE_PARAMS_ARRAY']];
+  if (effectiveType === 'web' || effectiveType === 'both') arrays.push(['event_param', 'WEB_PARAMS_ARRAY']);
+  if (effectiveType === 'app' || effectiveType === 'both') arrays.push(['event_param', 'APP_PARAMS_ARRAY']);
+  arrays.push(
+    ['event_param', 'CUSTOM_PARAMS_ARRAY'],
+    ['user_property', 'CORE_USER_PROPS_ARRAY'],
+    ['item_param', 'CUSTOM_ITEMS_PARAMS']
+  );
+
+  return arrays.flatMap(([scope, arrayName]) => (config[arrayName] || []).map(param => ({
+    scope,
+    name: param.name,
+    type: param.type.toLowerCase(),
+    expected_type: EXPECTED_TYPES[param.type.toLowerCase()] || null,
+    array: arrayName
+  })));
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  if (value === null) return 'NULL';
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generates the scanned source rows: one SELECT per property over its events_* tables
+ * @param {Array<{property_name, table, stream_filter}>} sources - table is a ref() to events_*
+ */
+function DISCOVERY_SOURCE_SQL(sources, discoveryConfig) {
+  return sources.map(source => `SELECT
+    ${quote(source.property_name)} AS property_name,
+    PARSE_DATE('%Y%m%d', event_date) AS event_date,
+    event_name,
+    event_params,
+    user_properties,
+    items
+  FROM ${source.table}
+  WHERE _TABLE_SUFFIX BETWEEN FORMAT_DATE('%Y%m%d', DATE_SUB(CURRENT_DATE(), INTERVAL ${discoveryConfig.lookback_days} DAY))
+                          AND FORMAT_DATE('%Y%m%d', DATE_SUB(CURRENT_DATE(), INTERVAL 1 DAY))
+    AND _TABLE_SUFFIX NOT LIKE 'intraday%'
+    AND (${source.stream_filter})`).join('\n\n  UNION ALL\n\n  ');
+}
+
+/**
+ * Generates one row per property × configured key
+ * Columns: property_name, scope, param_key, configured_type, expected_type, configured_array
+ */
+function CONFIGURED_PARAMS_SQL(configuredParams, propertyNames) {
+  const rows = configuredParams.map(param =>
+    `(${[param.scope, param.name, param.type, param.expected_type, param.array].map(quote).join(', ')})`);
+
+  return `SELECT
+    property_name,
+    configured.*
+  FROM UNNEST([${propertyNames.map(quote).join(', ')}]) AS property_name
+  CROSS JOIN UNNEST(ARRAY<STRUCT<scope STRING, param_key STRING, configured_type STRING, expected_type STRING, configured_array STRING>>[
+    ${rows.join(',\n    ')}
+  ]) AS configured`;
+}
+
+/**
+ * Generates a display value for a key/value row, with string values PII-redacted
+ * and cut to 100 characters (sample_values end up in a shared table)
+ */
+function SAMPLE_VALUE_SQL() {
+  const redacted = redaction.REDACT_SQL('string_value', redaction.getRedactionConfig());
+  return `COALESCE(
+      SUBSTR(${redacted}, 1, 100),
+      CAST(int_value AS STRING),
+      CAST(double_value AS STRING),
+      CAST(float_value AS STRING)
+    )`;
+}
+
+/**
+ * Generates the condition matching ignore_keys (FALSE when the list is empty)
+ */
+function IGNORED_KEY_SQL(discoveryConfig, column = 'param_key') {
+  if (discoveryConfig.ignore_keys.length === 0) return 'FALSE';
+  return `${column} IN (${discoveryConfig.ignore_keys.map(quote).join(', ')})`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks PARAM_DISCOVERY_CONFIG (param_discovery onboarding inventory)
+ */
+function checkParamDiscovery(config, errors) {
+  const discovery = config.PARAM_DISCOVERY_CONFIG;
+  if (discovery === undefined || discovery === null) return;
+  if (typeof discovery !== 'object' || Array.isArray(discovery)) {
+    errors.push('PARAM_DISCOVERY_CONFIG: must be an object');
+    return;
+  }
+
+  const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (discovery.lookback_days !== undefined && !isIntegerBetween(discovery.lookback_days, 1, 400)) {
+    errors.push('PARAM_DISCOVERY_CONFIG.lookback_days: must be an integer between 1 and 400');
+  }
+  if (discovery.sample_values !== undefined && !isIntegerBetween(discovery.sample_values, 1, 100)) {
+    errors.push('PARAM_DISCOVERY_CONFIG.sample_values: must be an integer between 1 and 100');
+  }
+  if (discovery.top_events !== undefined && !isIntegerBetween(discovery.top_events, 1, 100)) {
+    errors.push('PARAM_DISCOVERY_CONFIG.top_events: must be an integer between 1 and 100');
+  }
+  if (discovery.ignore_keys !== undefined
+      && (!Array.isArray(discovery.ignore_keys) || !discovery.ignore_keys.every(key => typeof key === 'string'))) {
+    errors.push('PARAM_DISCOVERY_CONFIG.ignore_keys: must be an array of strings');
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  DISCOVERY_DEFAULTS,
+  EXPECTED_TYPES,
+  getDiscoveryConfig,
+  getConfiguredParams,
+
+  // SQL Generation
+  DISCOVERY_SOURCE_SQL,
+  CONFIGURED_PARAMS_SQL,
+  SAMPLE_VALUE_SQL,
+  IGNORED_KEY_SQL,
+
+  // Validation
+  checkParamDiscovery
+};
@@ -0,0 +1,374 @@
+// ============================================================================
+// EVENT_TABLES.JS — Config-Driven Event Fact Table Generators
+// Owned by upstream repository
+//
+// definitions/outputs/event_tables.js publishes one incremental table per
+// EVENT_TABLES entry in client_config.js, at event or session grain, reading
+// the keys and extracted params already in base_events. model_execution_log
+// registers every published table through EXECUTION_LOG_STATS_SQL.
+// ============================================================================
+
+const helpers = require('./helper');
+const checks = require('./config_checks');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Row grain of a published table
+ *
+ * event    one row per matching event
+ * session  one row per session with at least one matching event (dated by its first one)
+ */
+const EVENT_TABLE_GRAINS = ['event', 'session'];
+
+/**
+ * Session-grain aggregation functions (first/last = earliest/latest non-NULL value)
+ */
+const EVENT_TABLE_AGGREGATIONS = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'first', 'last'];
+
+/**
+ * Defaults applied to every EVENT_TABLES entry; cluster_by defaults per grain
+ */
+const EVENT_TABLE_DEFAULTS = {
+  grain: 'event',
+  params: [],
+  aggregations: [],
+  partition_by: 'event_date',
+  description: null
+};
+
+const DEFAULT_CLUSTER_BY = {
+  event: ['event_name', 'session_key'],
+  session: ['session_key']
+};
+
+/**
+ * Gets the EVENT_TABLES entries merged over the defaults
+ */
+function getEventTables() {
+  const config = helpers.getConfig();
+  return (config.EVENT_TABLES || []).map(table => {
+    const merged = { ...EVENT_TABLE_DEFAULTS, ...table };
+    return { ...merged, cluster_by: table.cluster_by || DEFAULT_CLUSTER_BY[merged.grain] };
+  });
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function eventFilterSQL(events) {
+  return `event_name IN (${events.map(quote).join(', ')})`;
+}
+
+/**
+ * Internal: one session-grain aggregation (events narrows the rows it sees)
+ */
+function aggregationSQL(aggregation) {
+  const condition = aggregation.events && aggregation.events.length > 0 ? eventFilterSQL(aggregation.events) : null;
+  const value = condition ? `IF(${condition}, ${aggregation.column}, NULL)` : aggregation.column;
+
+  switch (aggregation.fn) {
+    case 'count':
+      if (aggregation.column) return `COUNT(${value})`;
+      return condition ? `COUNTIF(${condition})` : 'COUNT(*)';
+    case 'count_distinct':
+      return `COUNT(DISTINCT ${value})`;
+    case 'sum':
+    case 'avg':
+    case 'min':
+    case 'max':
+      return `${aggregation.fn.toUpperCase()}(${value})`;
+    case 'first':
+      return `ARRAY_AGG(${value} IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)]`;
+    case 'last':
+      return `ARRAY_AGG(${value} IGNORE NULLS ORDER BY event_timestamp DESC LIMIT 1)[SAFE_OFFSET(0)]`;
+    default:
+      throw new Error(`Unsupported aggregation: ${aggregation.fn} for ${aggregation.name}`);
+  }
+}
+
+/**
+ * Generates the SELECT for an event-grain table
+ * Columns: keys from base_events, then the table's params
+ */
+function EVENT_GRAIN_SQL(table, baseEventsTable, dateFilter = null) {
+  const params = table.params.map(param => `,\n    ${param}`).join('');
+  const pageSessionKey = helpers.getPageSessionKeyRef();
+  return `SELECT
+    event_date,
+    event_timestamp,
+    event_name,
+    event_key,
+    session_key,
+    ${pageSessionKey === 'page_session_key' ? pageSessionKey : `${pageSessionKey} AS page_session_key`},
+    user_id,
+    user_pseudo_id,
+    stream_id${params}
+  FROM ${baseEventsTable}
+  WHERE ${eventFilterSQL(table.events)}${dateFilter ? `
+    AND ${dateFilter}` : ''}`;
+}
+
+/**
+ * Generates the SELECT for a session-grain table
+ * Params surface as their first non-NULL value in the session; sessions whose
+ * first matching event falls before sessionStartFilter are left out
+ */
+function SESSION_GRAIN_SQL(table, baseEventsTable, dateFilter = null, sessionStartFilter = null) {
+  const params = table.params
+    .map(param => `,\n    ${aggregationSQL({ fn: 'first', column: param })} AS ${param}`)
+    .join('');
+  const aggregations = table.aggregations
+    .map(aggregation => `,\n    ${aggregationSQL(aggregation)} AS ${aggregation.name}`)
+    .join('');
+
+  return `SELECT
+    MIN(event_date) AS event_date,
+    session_key,
+    ANY_VALUE(user_id) AS user_id,
+    ANY_VALUE(user_pseudo_id) AS user_pseudo_id,
+    ANY_VALUE(stream_id) AS stream_id,
+    MIN(event_timestamp) AS session_start_timestamp,
+    MAX(event_timestamp) AS session_end_timestamp,
+    COUNT(*) AS event_count${params}${aggregations}
+  FROM ${baseEventsTable}
+  WHERE ${eventFilterSQL(table.events)}${dateFilter ? `
+    AND ${dateFilter}` : ''}
+  GROUP BY session_key${sessionStartFilter ? `
+  HAVING ${sessionStartFilter}` : ''}`;
+}
+
+/**
+ * Generates a published table's query
+ * @param {Object} options - rollingRefresh: rebuild only the last refreshDays days
+ */
+function EVENT_TABLE_SQL(table, baseEventsTable, { rollingRefresh, refreshDays }) {
+  const windowStart = `DATE_SUB(CURRENT_DATE(), INTERVAL ${refreshDays} DAY)`;
+
+  if (table.grain === 'session') {
+    // One extra day is read so sessions already running before the window are recognised and skipped
+    return rollingRefresh
+      ? SESSION_GRAIN_SQL(table, baseEventsTable,
+          `event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${refreshDays + 1} DAY)`,
+          `MIN(event_date) >= ${windowStart}`)
+      : SESSION_GRAIN_SQL(table, baseEventsTable);
+  }
+
+  return EVENT_GRAIN_SQL(table, baseEventsTable, rollingRefresh ? `event_date >= ${windowStart}` : null);
+}
+
+/**
+ * Generates the pre-operation clearing what the query rebuilds: the rolling
+ * window, or everything on FORCE_FULL_BACKFILL (skipped while the table doesn't exist)
+ * @param {string} tableRef - ctx.self() of the published table
+ */
+function EVENT_TABLE_PREOPS_SQL(tableRef, { forceFullBackfill, refreshDays }) {
+  const statement = forceFullBackfill
+    ? `TRUNCATE TABLE ${tableRef};`
+    : `DELETE FROM ${tableRef}
+  WHERE event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${refreshDays} DAY);`;
+
+  return `BEGIN
+  ${statement}
+EXCEPTION WHEN ERROR THEN
+  SELECT 1; -- Table doesn't exist yet, skip silently
+END;`;
+}
+
+/**
+ * Generates a table's model_execution_log stats per event_date
+ * Columns: event_date, row_count, min_event_timestamp, max_event_timestamp, sessions, users
+ */
+function EXECUTION_LOG_STATS_SQL(table, tableRef, dateFilter) {
+  const timestamps = table.grain === 'session'
+    ? ['session_start_timestamp', 'session_end_timestamp']
+    : ['event_timestamp', 'event_timestamp'];
+
+  return `SELECT
+    event_date,
+    COUNT(*) AS row_count,
+    MIN(${timestamps[0]}) AS min_event_timestamp,
+    MAX(${timestamps[1]}) AS max_event_timestamp,
+    COUNT(DISTINCT session_key) AS sessions,
+    COUNT(DISTINCT user_id) AS users
+  FROM ${tableRef}
+  WHERE ${dateFilter}
+  GROUP BY event_date`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Columns every table of a grain selects before its params and aggregations
+ */
+const EVENT_TABLE_KEY_COLUMNS = {
+  event: [
+    'event_date', 'event_timestamp', 'event_name', 'event_key', 'session_key',
+    'page_session_key', 'user_id', 'user_pseudo_id', 'stream_id'
+  ],
+  session: [
+    'event_date', 'session_key', 'user_id', 'user_pseudo_id', 'stream_id',
+    'session_start_timestamp', 'session_end_timestamp', 'event_count'
+  ]
+};
+
+/**
+ * Actions defined in definitions/ that an EVENT_TABLES name may not reuse
+ */
+const PIPELINE_ACTIONS = [
+  'base_events', 'base_events_preops', 'sessions', 'sessions_preops', 'dim_pages',
+  'fct_page_views', 'fct_page_views_preops', 'fct_page_transitions', 'fct_page_transitions_preops',
+  'page_paths_daily', 'page_paths_daily_preops', 'transactions', 'ecommerce_items',
+  'assert_transaction_duplicates',
+  'product_performance_daily', 'user_identity_graph', 'user_identity_map', 'users', 'user_segments',
+  'conversion_attribution', 'consent_coverage_daily', 'param_discovery', 'funnel_steps',
+  'model_execution_log', 'assert_base_events_integrity', 'assert_cross_model_consistency',
+  'assert_anomaly_detection', 'anomaly_detection_arima_model', 'ml_churn_risk_features',
+  'ml_churn_risk_model', 'ml_purchase_propensity_features', 'ml_purchase_propensity_model',
+  'ml_user_segments_model', 'ml_model_evaluation_log', 'user_churn_scores',
+  'user_purchase_propensity'
+];
+
+/**
+ * Checks EVENT_TABLES: unique names that don't shadow pipeline actions, and
+ * params / aggregation columns that exist in base_events
+ */
+function checkEventTables(config, errors) {
+  const tables = config.EVENT_TABLES;
+  if (tables === undefined || tables === null) return;
+  if (!Array.isArray(tables)) {
+    errors.push('EVENT_TABLES: must be an array');
+    return;
+  }
+
+  const isBaseColumn = checks.baseEventsColumnCheck(config);
+
+  const seen = {};
+  tables.forEach((table, index) => {
+    const location = `EVENT_TABLES[${index}]`;
+    if (!table || typeof table !== 'object') {
+      errors.push(`${location}: expected an object like { name: '...', events: ['...'] }`);
+      return;
+    }
+
+    if (checks.checkIdentifier(table.name, `${location}.name`, errors)) {
+      const key = table.name.toLowerCase();
+      if (seen[key]) {
+        errors.push(`${location}: duplicate table name '${table.name}' (already defined in ${seen[key]})`);
+      } else {
+        seen[key] = location;
+      }
+      if (PIPELINE_ACTIONS.includes(key)) {
+        errors.push(`${location}: '${table.name}' is already a pipeline table`);
+      }
+    }
+
+    if (!Array.isArray(table.events) || table.events.length === 0
+        || !table.events.every(name => typeof name === 'string' && name !== '')) {
+      errors.push(`${location}.events: must be a non-empty array of event names`);
+    }
+
+    const grain = table.grain === undefined ? 'event' : table.grain;
+    if (!EVENT_TABLE_GRAINS.includes(grain)) {
+      errors.push(`${location}.grain: '${table.grain}' is not one of ${EVENT_TABLE_GRAINS.join(', ')}`);
+      return;
+    }
+    const columns = new Set(EVENT_TABLE_KEY_COLUMNS[grain]);
+
+    if (table.params !== undefined) {
+      if (!Array.isArray(table.params)) {
+        errors.push(`${location}.params: must be an array of base_events column names`);
+      } else {
+        table.params.forEach(param => {
+          if (!isBaseColumn(param)) {
+            errors.push(`${location}.params: '${param}' is not a base_events column (extracted param, user property or GA4 export column)`);
+          } else if (columns.has(param.toLowerCase())) {
+            errors.push(`${location}.params: '${param}' is already a ${grain}-grain key column`);
+          } else {
+            columns.add(param.toLowerCase());
+          }
+        });
+      }
+    }
+
+    if (table.aggregations !== undefined) {
+      if (grain !== 'session') {
+        errors.push(`${location}.aggregations: only apply to grain 'session'`);
+      } else if (!Array.isArray(table.aggregations)) {
+        errors.push(`${location}.aggregations: must be an array`);
+      } else {
+        table.aggregations.forEach((aggregation, aggIndex) => {
+          const aggLocation = `${location}.aggregations[${aggIndex}]`;
+          if (!aggregation || typeof aggregation !== 'object') {
+            errors.push(`${aggLocation}: expected an object like { name: '...', fn: 'count' }`);
+            return;
+          }
+          if (checks.checkIdentifier(aggregation.name, `${aggLocation}.name`, errors)) {
+            if (columns.has(aggregation.name.toLowerCase())) {
+              errors.push(`${aggLocation}: '${aggregation.name}' is already a column of the table`);
+            }
+            columns.add(aggregation.name.toLowerCase());
+          }
+          if (!EVENT_TABLE_AGGREGATIONS.includes(aggregation.fn)) {
+            errors.push(`${aggLocation}.fn: '${aggregation.fn}' is not one of ${EVENT_TABLE_AGGREGATIONS.join(', ')}`);
+          } else if (aggregation.column === undefined && aggregation.fn !== 'count') {
+            errors.push(`${aggLocation}.column: required for '${aggregation.fn}'`);
+          }
+          if (aggregation.column !== undefined && !isBaseColumn(aggregation.column)) {
+            errors.push(`${aggLocation}.column: '${aggregation.column}' is not a base_events column`);
+          }
+          if (aggregation.events !== undefined
+              && (!Array.isArray(aggregation.events) || aggregation.events.length === 0
+                || !aggregation.events.every(name => typeof name === 'string' && name !== ''))) {
+            errors.push(`${aggLocation}.events: must be a non-empty array of event names`);
+          }
+        });
+      }
+    }
+
+    if (table.partition_by !== undefined && table.partition_by !== null
+        && (typeof table.partition_by !== 'string' || !/\bevent_date\b/.test(table.partition_by))) {
+      errors.push(`${location}.partition_by: must be null or an expression on event_date (the rolling refresh deletes by it)`);
+    }
+    if (table.cluster_by !== undefined) {
+      if (!Array.isArray(table.cluster_by) || table.cluster_by.length === 0 || table.cluster_by.length > 4) {
+        errors.push(`${location}.cluster_by: must be an array of 1 to 4 column names`);
+      } else {
+        table.cluster_by
+          .filter(column => typeof column !== 'string' || !columns.has(column.toLowerCase()))
+          .forEach(column => errors.push(`${location}.cluster_by: '${column}' is not a column of the table`));
+      }
+    }
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  EVENT_TABLE_GRAINS,
+  EVENT_TABLE_AGGREGATIONS,
+  EVENT_TABLE_DEFAULTS,
+  getEventTables,
+
+  // SQL Generation
+  EVENT_GRAIN_SQL,
+  SESSION_GRAIN_SQL,
+  EVENT_TABLE_SQL,
+  EVENT_TABLE_PREOPS_SQL,
+  EXECUTION_LOG_STATS_SQL,
+
+  // Validation
+  checkEventTables
+};
@@ -0,0 +1,286 @@
+// ============================================================================
+// FUNNELS.JS — Configurable Funnel Generators
+// Owned by upstream repository
+//
+// Step matching for definitions/outputs/funnel_steps.sqlx. Funnels are
+// declared in FUNNELS in client_config.js and merged over the defaults below.
+// Each funnel compiles to its own chain of CTEs ending in
+// funnel_<name>_rows (one row per unit × reached step); funnel_steps.sqlx
+// unions them and aggregates per funnel, date and traffic source.
+// ============================================================================
+
+const helpers = require('./helper');
+const keyEvents = require('./key_events');
+const checks = require('./config_checks');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * closed  units enter at step 1 only
+ * open    units enter at whichever step they reach first, then continue in order
+ */
+const FUNNEL_TYPES = ['closed', 'open'];
+
+/**
+ * session  steps must happen within one session
+ * user     steps can span sessions of one resolved user (user_identity_graph)
+ */
+const FUNNEL_SCOPES = ['session', 'user'];
+
+const MAX_FUNNEL_STEPS = 10;
+
+/**
+ * Defaults applied to every FUNNELS entry; step names default to event_name
+ *
+ * max_step_interval_minutes  longest gap allowed between consecutive steps (null = no limit)
+ * lookback_days              days of base_events scanned, ending today
+ */
+const FUNNEL_DEFAULTS = {
+  type: 'closed',
+  scope: 'session',
+  max_step_interval_minutes: null,
+  lookback_days: 30
+};
+
+/**
+ * Gets the FUNNELS entries merged over the defaults
+ */
+function getFunnels() {
+  const config = helpers.getConfig();
+  return (config.FUNNELS || []).map(funnel => ({
+    ...FUNNEL_DEFAULTS,
+    ...funnel,
+    steps: funnel.steps.map(step => ({
+      conditions: {},
+      ...step,
+      name: step.name || step.event_name
+    }))
+  }));
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generates the timestamp a unit reaches step k > 1: the first step-k event at
+ * or after step k-1 (within max_step_interval_minutes). In open funnels a unit
+ * that skipped the earlier steps reaches step k at its entry when it entered there
+ */
+function STEP_TIMESTAMP_SQL(funnel, stepNumber) {
+  const previous = `step_${stepNumber - 1}_timestamp`;
+  const interval = funnel.max_step_interval_minutes
+    ? `\n        AND event_timestamp <= ${previous} + ${Math.round(funnel.max_step_interval_minutes * 60000000)}`
+    : '';
+  const next = `(
+      SELECT MIN(event_timestamp)
+      FROM UNNEST(step_events)
+      WHERE step = ${stepNumber}
+        AND event_timestamp >= ${previous}${interval}
+    )`;
+
+  if (funnel.type === 'closed') return next;
+  return `IF(${previous} IS NULL, IF(entry.step = ${stepNumber}, entry.event_timestamp, NULL), ${next})`;
+}
+
+/**
+ * Generates a funnel's CTEs, ending in funnel_<name>_rows
+ * Columns: funnel_name, funnel_type, funnel_scope, funnel_date (entry date),
+ * entry_session_key, step_number, step_name, is_last_step, step_timestamp, next_step_timestamp
+ * User-scoped funnels expect a user_lookup CTE (identifier → resolved_user_id)
+ * @param {string} baseEventsTable - ref() to base_events
+ */
+function FUNNEL_CTES_SQL(funnel, baseEventsTable) {
+  const prefix = `funnel_${funnel.name}`;
+  const isUserScope = funnel.scope === 'user';
+  const stepCount = funnel.steps.length;
+  const eventNames = [...new Set(funnel.steps.map(step => step.event_name))];
+
+  const stepMatches = funnel.steps
+    .map((step, index) => `IF(${keyEvents.KEY_EVENT_CONDITION_SQL(step)}, ${index + 1}, NULL)`)
+    .join(',\n    ');
+
+  const stepCTEs = funnel.steps.slice(1).map((step, index) => {
+    const stepNumber = index + 2;
+    return `${prefix}_step_${stepNumber} AS (
+  SELECT
+    *,
+    ${STEP_TIMESTAMP_SQL(funnel, stepNumber)} AS step_${stepNumber}_timestamp
+  FROM ${prefix}_step_${stepNumber - 1}
+)`;
+  });
+
+  const stepRows = funnel.steps.map((step, index) => {
+    const stepNumber = index + 1;
+    const isLast = stepNumber === stepCount;
+    return `STRUCT(${stepNumber} AS step_number, ${quote(step.name)} AS step_name, ${isLast ? 'TRUE' : 'FALSE'} AS is_last_step, ` +
+      `step_${stepNumber}_timestamp AS step_timestamp, ` +
+      `${isLast ? 'CAST(NULL AS INT64)' : `step_${stepNumber + 1}_timestamp`} AS next_step_timestamp)`;
+  }).join(',\n    ');
+
+  return `-- Funnel ${funnel.name}: ${funnel.type}, ${funnel.scope}-scoped, ${stepCount} steps
+${prefix}_events AS (
+  SELECT
+    ${isUserScope ? 'ul.resolved_user_id' : 'e.session_key'} AS funnel_unit,
+    e.session_key,
+    e.event_date,
+    e.event_timestamp,
+    step
+  FROM ${baseEventsTable} e${isUserScope ? `
+  INNER JOIN user_lookup ul
+    ON e.user_id = ul.identifier` : ''}
+  CROSS JOIN UNNEST([
+    ${stepMatches}
+  ]) AS step
+  WHERE e.event_name IN (${eventNames.map(quote).join(', ')})
+    AND e.event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${funnel.lookback_days} DAY)
+    AND e.session_key IS NOT NULL
+    AND step IS NOT NULL
+),
+
+${prefix}_step_1 AS (
+  SELECT
+    *,
+    IF(entry.step = 1, entry.event_timestamp, NULL) AS step_1_timestamp
+  FROM (
+    SELECT
+      funnel_unit,
+      ARRAY_AGG(STRUCT(step, event_date, event_timestamp, session_key) ORDER BY event_timestamp, step) AS step_events,
+      ARRAY_AGG(STRUCT(step, event_date, event_timestamp, session_key)${funnel.type === 'closed' ? ' ORDER BY IF(step = 1, 0, 1), event_timestamp' : ' ORDER BY event_timestamp, step'} LIMIT 1)[OFFSET(0)] AS entry
+    FROM ${prefix}_events
+    GROUP BY funnel_unit
+  )
+),
+
+${stepCTEs.join(',\n\n')}${stepCTEs.length > 0 ? ',\n\n' : ''}${prefix}_rows AS (
+  SELECT
+    ${quote(funnel.name)} AS funnel_name,
+    ${quote(funnel.type)} AS funnel_type,
+    ${quote(funnel.scope)} AS funnel_scope,
+    entry.event_date AS funnel_date,
+    entry.session_key AS entry_session_key,
+    step.*
+  FROM ${prefix}_step_${stepCount}
+  CROSS JOIN UNNEST([
+    ${stepRows}
+  ]) AS step
+  WHERE step.step_timestamp IS NOT NULL
+)`;
+}
+
+/**
+ * Generates the union of every funnel's rows
+ */
+function FUNNEL_ROWS_SQL(funnels) {
+  return funnels
+    .map(funnel => `SELECT * FROM funnel_${funnel.name}_rows`)
+    .join('\n  UNION ALL\n  ');
+}
+
+/**
+ * Generates the per-step metrics over funnel rows (alias r)
+ * The last step has no next step: all its entrants count as completions
+ */
+function FUNNEL_STEP_METRICS_SQL(alias = 'r') {
+  return `COUNT(*) AS entrants,
+  COUNTIF(${alias}.is_last_step OR ${alias}.next_step_timestamp IS NOT NULL) AS completions,
+  COUNTIF(NOT ${alias}.is_last_step AND ${alias}.next_step_timestamp IS NULL) AS drop_offs,
+  SAFE_DIVIDE(COUNTIF(${alias}.is_last_step OR ${alias}.next_step_timestamp IS NOT NULL), COUNT(*)) AS completion_rate,
+  APPROX_QUANTILES((${alias}.next_step_timestamp - ${alias}.step_timestamp) / 1000000, 2)[SAFE_OFFSET(1)] AS median_seconds_to_next_step`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks FUNNELS: unique names, types and scopes, 2 to MAX_FUNNEL_STEPS steps
+ * with valid event names and conditions, interval and lookback settings
+ */
+function checkFunnels(config, errors) {
+  const funnels = config.FUNNELS;
+  if (funnels === undefined || funnels === null) return;
+  if (!Array.isArray(funnels)) {
+    errors.push('FUNNELS: must be an array');
+    return;
+  }
+
+  const isBaseColumn = checks.baseEventsColumnCheck(config);
+  const seen = {};
+  funnels.forEach((funnel, index) => {
+    const location = `FUNNELS[${index}]`;
+    if (!funnel || typeof funnel !== 'object') {
+      errors.push(`${location}: expected an object like { name: '...', steps: [...] }`);
+      return;
+    }
+
+    if (checks.checkIdentifier(funnel.name, `${location}.name`, errors)) {
+      const key = funnel.name.toLowerCase();
+      if (seen[key]) {
+        errors.push(`${location}: duplicate funnel name '${funnel.name}' (already defined in ${seen[key]})`);
+      } else {
+        seen[key] = location;
+      }
+    }
+    if (funnel.type !== undefined && !FUNNEL_TYPES.includes(funnel.type)) {
+      errors.push(`${location}.type: '${funnel.type}' is not one of ${FUNNEL_TYPES.join(', ')}`);
+    }
+    if (funnel.scope !== undefined && !FUNNEL_SCOPES.includes(funnel.scope)) {
+      errors.push(`${location}.scope: '${funnel.scope}' is not one of ${FUNNEL_SCOPES.join(', ')}`);
+    }
+    if (funnel.max_step_interval_minutes !== undefined && funnel.max_step_interval_minutes !== null
+        && !(typeof funnel.max_step_interval_minutes === 'number' && funnel.max_step_interval_minutes > 0)) {
+      errors.push(`${location}.max_step_interval_minutes: must be null or a number greater than 0`);
+    }
+    if (funnel.lookback_days !== undefined && (!Number.isInteger(funnel.lookback_days) || funnel.lookback_days <= 0)) {
+      errors.push(`${location}.lookback_days: must be a positive integer`);
+    }
+
+    if (!Array.isArray(funnel.steps) || funnel.steps.length < 2 || funnel.steps.length > MAX_FUNNEL_STEPS) {
+      errors.push(`${location}.steps: must be an array of 2 to ${MAX_FUNNEL_STEPS} steps`);
+      return;
+    }
+    funnel.steps.forEach((step, stepIndex) => {
+      const stepLocation = `${location}.steps[${stepIndex}]`;
+      if (!step || typeof step !== 'object') {
+        errors.push(`${stepLocation}: expected an object like { event_name: '...' }`);
+        return;
+      }
+      if (typeof step.event_name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(step.event_name)) {
+        errors.push(`${stepLocation}.event_name: '${step.event_name}' is not a valid GA4 event name`);
+      }
+      if (step.name !== undefined && (typeof step.name !== 'string' || step.name === '')) {
+        errors.push(`${stepLocation}.name: must be a non-empty string`);
+      }
+      checks.checkConditions(step.conditions, `${stepLocation}.conditions`, isBaseColumn, errors);
+    });
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  FUNNEL_TYPES,
+  FUNNEL_SCOPES,
+  MAX_FUNNEL_STEPS,
+  FUNNEL_DEFAULTS,
+  getFunnels,
+
+  // SQL Generation
+  STEP_TIMESTAMP_SQL,
+  FUNNEL_CTES_SQL,
+  FUNNEL_ROWS_SQL,
+  FUNNEL_STEP_METRICS_SQL,
+
+  // Validation
+  checkFunnels
+};
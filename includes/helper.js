@@ -3,16 +3,55 @@
 // Owned by upstream repository
 // ============================================================================
 
+const pages = require("./pages");
+
+// config_validator.js is required on first use: it loads the feature modules,
+// which all require this module back
+function validateConfig(mergedConfig) {
+  require("./config_validator").validateConfig(mergedConfig);
+}
+
+// Injected config (set via setConfig); null = read core_config + client_config
+let injectedConfig = null;
+
+// core_config + client_config, validated once per compilation (helpers call getConfig() constantly)
+let validatedConfig = null;
+
 /**
  * Get merged configuration from core and client configs
+ * Validated on first use so a bad client_config.js fails compilation early.
+ * Returns the injected config instead when one has been set via setConfig().
  */
 const getConfig = () => {
-  const { coreConfig } = require("./core_config");
-  const { clientConfig } = require("./client_config");
-  return { ...coreConfig, ...clientConfig };
+  if (injectedConfig) return injectedConfig;
+  if (!validatedConfig) {
+    const { coreConfig } = require("./core_config");
+    const { clientConfig } = require("./client_config");
+    const merged = { ...coreConfig, ...clientConfig };
+    validateConfig(merged);
+    validatedConfig = merged;
+  }
+  return validatedConfig;
 };
 
-const config = getConfig();
+/**
+ * Drives every helper and generator from the given merged config instead of
+ * the config files (used by the offline test harness and fork fixtures)
+ */
+function setConfig(mergedConfig) {
+  validateConfig(mergedConfig);
+  injectedConfig = mergedConfig;
+  validatedConfig = null;
+}
+
+/**
+ * Clears an injected config, reverting to core_config + client_config
+ * (re-read and re-validated on the next getConfig() call)
+ */
+function resetConfig() {
+  injectedConfig = null;
+  validatedConfig = null;
+}
 
 // ============================================================================
 // PROPERTY & STREAM CONFIGURATION HELPERS
@@ -22,6 +61,7 @@ const config = getConfig();
  * Determines if using simple or advanced property configuration
  */
 function isAdvancedMode() {
+  const config = getConfig();
   return config.PROPERTIES_CONFIG !== null && config.PROPERTIES_CONFIG !== undefined;
 }
 
@@ -29,6 +69,7 @@ function isAdvancedMode() {
  * Gets all included streams across all properties
  */
 function getIncludedStreams() {
+  const config = getConfig();
   if (!isAdvancedMode()) {
     return [{
       simple_mode: true,
@@ -62,6 +103,7 @@ function getIncludedStreams() {
  * @returns {string} 'web', 'app', or 'both'
  */
 function getEffectiveDataStreamType() {
+  const config = getConfig();
   if (!isAdvancedMode()) {
     return config.DATA_STREAM_TYPE;
   }
@@ -81,6 +123,7 @@ function getEffectiveDataStreamType() {
  * Determines if parameter consolidation should occur
  */
 function shouldConsolidateParams() {
+  const config = getConfig();
   const effectiveType = getEffectiveDataStreamType();
   return effectiveType === 'both' && config.CONSOLIDATE_WEB_APP_PARAMS;
 }
@@ -89,6 +132,7 @@ function shouldConsolidateParams() {
  * Gets the consolidated field name for a given parameter
  */
 function getConsolidatedFieldName(paramName) {
+  const config = getConfig();
   const webParam = config.WEB_PARAMS_ARRAY.find(p => p.name === paramName);
   if (webParam && webParam.consolidated_name) {
     return webParam.consolidated_name;
@@ -102,10 +146,33 @@ function getConsolidatedFieldName(paramName) {
   return null;
 }
 
+/**
+ * Gets the column a param spec is extracted into (alias, else the GA4 key)
+ */
+function getParamColumnName(param) {
+  return param.alias || param.name;
+}
+
+/**
+ * Gets the event param specs base_events extracts for the effective data stream type
+ */
+function getExtractedEventParams() {
+  const config = getConfig();
+  const effectiveType = getEffectiveDataStreamType();
+
+  const arrays = [config.CORE_PARAMS_ARRAY];
+  if (effectiveType === 'web' || effectiveType === 'both') arrays.push(config.WEB_PARAMS_ARRAY);
+  if (effectiveType === 'app' || effectiveType === 'both') arrays.push(config.APP_PARAMS_ARRAY);
+  arrays.push(config.CUSTOM_PARAMS_ARRAY);
+
+  return arrays.flatMap(params => params || []);
+}
+
 /**
  * Generates SQL filter for stream_id (used in advanced mode)
  */
 function generateStreamFilter(propertyName) {
+  const config = getConfig();
   if (!isAdvancedMode()) {
     return '1=1';
   }
@@ -124,6 +191,47 @@ function generateStreamFilter(propertyName) {
   return `stream_id IN (${includedStreamIds.join(', ')})`;
 }
 
+/**
+ * Generates a CASE mapping each included stream_id to one of its attributes
+ * (stream IDs are unique across properties, so the stream identifies the property)
+ */
+function streamAttributeCase(attribute, streamIdColumn) {
+  const cases = getIncludedStreams()
+    .map(stream => `WHEN '${stream.stream_id}' THEN '${stream[attribute]}'`)
+    .join(' ');
+  return `CASE ${streamIdColumn} ${cases} END`;
+}
+
+/**
+ * Generates the property_name lineage column: the PROPERTIES_CONFIG key the
+ * event's stream is declared under (NULL in simple mode)
+ */
+function PROPERTY_NAME_SQL(streamIdColumn = 'stream_id') {
+  if (!isAdvancedMode()) return 'CAST(NULL AS STRING)';
+  return streamAttributeCase('property_name', streamIdColumn);
+}
+
+/**
+ * Generates the stream_type lineage column ('web' or 'app'): declared per
+ * stream in advanced mode; DATA_STREAM_TYPE in simple mode, by platform when 'both'
+ */
+function STREAM_TYPE_SQL(streamIdColumn = 'stream_id', platformColumn = 'platform') {
+  const config = getConfig();
+  if (isAdvancedMode()) return streamAttributeCase('stream_type', streamIdColumn);
+  if (config.DATA_STREAM_TYPE === 'both') return `IF(${platformColumn} = 'WEB', 'web', 'app')`;
+  return `'${config.DATA_STREAM_TYPE}'`;
+}
+
+/**
+ * Key parts prepended to session_key, event_key and the page/screen-session
+ * keys in advanced mode so identical IDs from two properties never collide.
+ * Empty in simple mode (one property), where keys keep their original shape
+ * @returns {string[]} SQL expressions over base_events columns
+ */
+function PROPERTY_KEY_PARTS() {
+  return isAdvancedMode() ? ["COALESCE(property_name, '')"] : [];
+}
+
 // ============================================================================
 // FIELD REFERENCE HELPERS
 // ============================================================================
@@ -131,18 +239,21 @@ function generateStreamFilter(propertyName) {
 /**
  * Gets screen field references for session aggregations
  * Returns appropriate field paths based on web/app/both configuration
+ * Page URLs are normalized per URL_NORMALIZATION (see pages.js); app screens are used as-is
  */
 function getScreenFieldRefs() {
   const effectiveType = getEffectiveDataStreamType();
   const consolidate = shouldConsolidateParams();
+  const normalization = pages.getUrlNormalizationConfig(getConfig());
   
   if (effectiveType === 'web') {
     return {
-      location: 'page.page_location',
-      path: 'page.page_path',
-      referrer: 'page.page_referrer',
-      key: 'page.page_key',
-      title: 'page.page_title'
+      location: pages.NORMALIZED_URL_SQL('page.page_location', normalization),
+      path: pages.NORMALIZED_PATH_SQL('page.page_location', normalization),
+      referrer: pages.NORMALIZED_URL_SQL('page.page_referrer', normalization),
+      key: pages.NORMALIZED_PAGE_KEY_SQL('page.page_location', normalization),
+      title: 'page.page_title',
+      hostname: pages.HOSTNAME_SQL('page.page_location')
     };
   }
   
@@ -152,26 +263,29 @@ function getScreenFieldRefs() {
       path: 'COALESCE(app.firebase_screen, app.firebase_screen_class)',
       referrer: 'CAST(NULL AS STRING)',
       key: 'app.screen_key',
-      title: 'app.firebase_screen_class'
+      title: 'app.firebase_screen_class',
+      hostname: 'CAST(NULL AS STRING)'
     };
   }
   
   // For 'both'
   if (consolidate) {
     return {
-      location: 'page.screen_location',
-      path: 'page.page_path',
-      referrer: 'page.screen_referrer',
-      key: 'page.screen_key',
-      title: 'page.screen_title'
+      location: pages.NORMALIZED_URL_SQL('page.screen_location', normalization),
+      path: `COALESCE(${pages.NORMALIZED_PATH_SQL('page.screen_location', normalization)}, page.page_path)`,
+      referrer: pages.NORMALIZED_URL_SQL('page.screen_referrer', normalization),
+      key: pages.NORMALIZED_PAGE_KEY_SQL('page.screen_location', normalization),
+      title: 'page.screen_title',
+      hostname: pages.HOSTNAME_SQL('page.screen_location')
     };
   } else {
     return {
-      location: 'COALESCE(page.page_location, app.firebase_screen, app.firebase_screen_class)',
-      path: 'COALESCE(page.page_path, app.firebase_screen, app.firebase_screen_class)',
-      referrer: 'page.page_referrer',
-      key: 'COALESCE(page.page_key, app.screen_key)',
-      title: 'COALESCE(page.page_title, app.firebase_screen_class)'
+      location: `COALESCE(${pages.NORMALIZED_URL_SQL('page.page_location', normalization)}, app.firebase_screen, app.firebase_screen_class)`,
+      path: `COALESCE(${pages.NORMALIZED_PATH_SQL('page.page_location', normalization)}, app.firebase_screen, app.firebase_screen_class)`,
+      referrer: pages.NORMALIZED_URL_SQL('page.page_referrer', normalization),
+      key: `COALESCE(${pages.NORMALIZED_PAGE_KEY_SQL('page.page_location', normalization)}, app.screen_key)`,
+      title: 'COALESCE(page.page_title, app.firebase_screen_class)',
+      hostname: pages.HOSTNAME_SQL('page.page_location')
     };
   }
 }
@@ -202,6 +316,30 @@ function REPLACE_NULL_STRING(fieldName) {
   return `IF(${fieldName} IS NULL OR ${fieldName} = '', '(not set)', ${fieldName})`;
 }
 
+// ============================================================================
+// ENVIRONMENT HELPERS
+// ============================================================================
+
+/**
+ * Dataset the pipeline publishes to (config blocks read it through the `helper`
+ * global). core_config.js has already appended the environment's dataset_suffix
+ */
+function getDestinationDataset() {
+  const config = getConfig();
+  return config.DESTINATION_DATASET;
+}
+
+/**
+ * Generates the base_events user sample filter for the environment profile:
+ * keeps SAMPLE_PCT percent of users (0.01% buckets of a user_pseudo_id hash);
+ * events without a user_pseudo_id share one bucket. null when not sampling
+ */
+function SAMPLE_FILTER_SQL(column = 'user_pseudo_id') {
+  const config = getConfig();
+  if (config.SAMPLE_PCT >= 100) return null;
+  return `ABS(MOD(FARM_FINGERPRINT(COALESCE(${column}, '')), 10000)) < ${Math.round(config.SAMPLE_PCT * 100)}`;
+}
+
 // ============================================================================
 // DATE & BACKFILL HELPERS
 // ============================================================================
@@ -210,18 +348,19 @@ function EXCLUDE_INTRADAY_TABLES() {
   return `_TABLE_SUFFIX NOT LIKE 'intraday%'`;
 }
 
+/**
+ * Backfill range bounds as quoted _TABLE_SUFFIX literals
+ * Only called on FORCE_FULL_BACKFILL, which config_validator.js only accepts
+ * with both dates set and valid
+ */
 function GET_BACKFILL_START_DATE() {
-  if (config.BACKFILL_START_DATE) {
-    return config.BACKFILL_START_DATE;
-  }
-  return `FORMAT_DATE('%Y%m%d', DATE_SUB(CURRENT_DATE(), INTERVAL 13 MONTH))`;
+  const config = getConfig();
+  return `'${config.BACKFILL_START_DATE}'`;
 }
 
 function GET_BACKFILL_END_DATE() {
-  if (config.BACKFILL_END_DATE) {
-    return config.BACKFILL_END_DATE;
-  }
-  return `FORMAT_DATE('%Y%m%d', DATE_SUB(CURRENT_DATE(), INTERVAL 1 DAY))`;
+  const config = getConfig();
+  return `'${config.BACKFILL_END_DATE}'`;
 }
 
 // ============================================================================
@@ -231,6 +370,8 @@ function GET_BACKFILL_END_DATE() {
 module.exports = {
   // Config
   getConfig,
+  setConfig,
+  resetConfig,
   
   // Property & Stream Helpers
   isAdvancedMode,
@@ -238,8 +379,13 @@ module.exports = {
   getEffectiveDataStreamType,
   shouldConsolidateParams,
   getConsolidatedFieldName,
+  getParamColumnName,
+  getExtractedEventParams,
   generateStreamFilter,
-  
+  PROPERTY_NAME_SQL,
+  STREAM_TYPE_SQL,
+  PROPERTY_KEY_PARTS,
+
   // Field Reference Helpers
   getScreenFieldRefs,
   getPageSessionKeyRef,
@@ -247,6 +393,10 @@ module.exports = {
   // String & Utility Helpers
   REPLACE_NULL_STRING,
   
+  // Environment Helpers
+  getDestinationDataset,
+  SAMPLE_FILTER_SQL,
+
   // Date & Backfill Helpers
   EXCLUDE_INTRADAY_TABLES,
   GET_BACKFILL_START_DATE,
@@ -0,0 +1,122 @@
+// ============================================================================
+// IDENTITY.JS — Identity Graph Resolution Generators
+// Owned by upstream repository
+//
+// Connected-components resolution for definitions/outputs/user_identity_graph.sqlx.
+// Depth, component size guardrail and user_id deny-list come from
+// IDENTITY_RESOLUTION_CONFIG in client_config.js, merged over the defaults below.
+// ============================================================================
+
+const helpers = require('./helper');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Defaults; IDENTITY_RESOLUTION_CONFIG overrides individual settings
+ *
+ * max_depth           label propagation iterations (hops a component can span)
+ * max_component_size  larger components are not merged (shared devices, test accounts)
+ * deny_user_ids       user_id values never used to link identifiers
+ */
+const IDENTITY_DEFAULTS = {
+  max_depth: 8,
+  max_component_size: 50,
+  deny_user_ids: []
+};
+
+/**
+ * Gets the effective identity settings (defaults + IDENTITY_RESOLUTION_CONFIG overrides)
+ */
+function getIdentityConfig() {
+  const config = helpers.getConfig();
+  return { ...IDENTITY_DEFAULTS, ...(config.IDENTITY_RESOLUTION_CONFIG || {}) };
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generates the condition excluding deny-listed user_id values (TRUE when the list is empty)
+ */
+function ALLOWED_USER_ID_SQL(identityConfig, column = 'user_id') {
+  const denied = identityConfig.deny_user_ids || [];
+  if (denied.length === 0) return 'TRUE';
+  return `(${column} IS NULL OR ${column} NOT IN (${denied.map(quote).join(', ')}))`;
+}
+
+/**
+ * Generates the label propagation CTEs labels_1 … labels_<max_depth>
+ * Each pass gives every node the smallest label among itself and its neighbours,
+ * so after N passes nodes up to N hops apart share a label; previous_label
+ * (read through the self-loop) tells whether the last pass still changed it
+ * Expects CTEs: adjacency (node, neighbor, including self-loops) and labels_0 (node, label)
+ */
+function COMPONENT_LABELS_SQL(identityConfig) {
+  const ctes = [];
+  for (let i = 1; i <= identityConfig.max_depth; i++) {
+    ctes.push(`labels_${i} AS (
+  SELECT
+    a.node,
+    MIN(l.label) AS label,
+    MIN(IF(a.neighbor = a.node, l.label, NULL)) AS previous_label
+  FROM adjacency a
+  INNER JOIN labels_${i - 1} l
+    ON a.neighbor = l.node
+  GROUP BY a.node
+)`);
+  }
+  return ctes.join(',\n\n');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks IDENTITY_RESOLUTION_CONFIG (user_identity_graph)
+ */
+function checkIdentityResolution(config, errors) {
+  const identity = config.IDENTITY_RESOLUTION_CONFIG;
+  if (identity === undefined || identity === null) return;
+  if (typeof identity !== 'object' || Array.isArray(identity)) {
+    errors.push('IDENTITY_RESOLUTION_CONFIG: must be an object');
+    return;
+  }
+
+  if (identity.max_depth !== undefined
+      && (!Number.isInteger(identity.max_depth) || identity.max_depth < 1 || identity.max_depth > 50)) {
+    errors.push('IDENTITY_RESOLUTION_CONFIG.max_depth: must be an integer between 1 and 50');
+  }
+  if (identity.max_component_size !== undefined
+      && (!Number.isInteger(identity.max_component_size) || identity.max_component_size < 2)) {
+    errors.push('IDENTITY_RESOLUTION_CONFIG.max_component_size: must be an integer of at least 2');
+  }
+  if (identity.deny_user_ids !== undefined
+      && (!Array.isArray(identity.deny_user_ids) || identity.deny_user_ids.some(id => typeof id !== 'string'))) {
+    errors.push('IDENTITY_RESOLUTION_CONFIG.deny_user_ids: must be an array of strings');
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  IDENTITY_DEFAULTS,
+  getIdentityConfig,
+
+  // SQL Generation
+  ALLOWED_USER_ID_SQL,
+  COMPONENT_LABELS_SQL,
+
+  // Validation
+  checkIdentityResolution
+};
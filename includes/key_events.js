@@ -0,0 +1,236 @@
+// ============================================================================
+// KEY_EVENTS.JS — Key Event (Conversion) Metric Generators
+// Owned by upstream repository
+//
+// Key events are declared in KEY_EVENTS in client_config.js. sessions.sqlx
+// counts each one per session (once per session or every event) and flags
+// converted sessions; users.sqlx rolls the session counts up to lifetime
+// conversions and first-conversion dates per resolved user.
+// ============================================================================
+
+const helpers = require('./helper');
+const checks = require('./config_checks');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * How matching events are counted per session
+ *
+ * once_per_session  a session converts at most once (value of its first matching event)
+ * every_event       every matching event counts (values summed)
+ */
+const COUNTING_METHODS = ['once_per_session', 'every_event'];
+
+/**
+ * Defaults applied to every KEY_EVENTS entry; name defaults to event_name
+ */
+const KEY_EVENT_DEFAULTS = {
+  conditions: {},
+  counting: 'once_per_session',
+  value_param: null
+};
+
+/**
+ * Gets the KEY_EVENTS entries merged over the defaults
+ */
+function getKeyEvents() {
+  const config = helpers.getConfig();
+  return (config.KEY_EVENTS || []).map(keyEvent => ({
+    ...KEY_EVENT_DEFAULTS,
+    ...keyEvent,
+    name: keyEvent.name || keyEvent.event_name
+  }));
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Generates the condition for one param matcher ({ exact } or { regex })
+ * Values are compared as strings, so int params match { exact: 42 } too
+ */
+function CONDITION_MATCHER_SQL(column, matcher) {
+  const field = `CAST(${column} AS STRING)`;
+  if (matcher.exact !== undefined) {
+    const values = (Array.isArray(matcher.exact) ? matcher.exact : [matcher.exact]).map(quote);
+    return values.length === 1 ? `${field} = ${values[0]}` : `${field} IN (${values.join(', ')})`;
+  }
+  return `REGEXP_CONTAINS(${field}, r'${matcher.regex}')`;
+}
+
+/**
+ * Generates the condition an event must meet to count as the key event
+ * (event name plus every param condition, AND'd)
+ */
+function KEY_EVENT_CONDITION_SQL(keyEvent) {
+  const conditions = Object.entries(keyEvent.conditions)
+    .map(([column, matcher]) => CONDITION_MATCHER_SQL(column, matcher));
+  return [`event_name = ${quote(keyEvent.event_name)}`, ...conditions].join(' AND ');
+}
+
+/**
+ * Generates the per-event columns sessions aggregates (one match flag, plus the
+ * value when value_param is set, per key event)
+ */
+function KEY_EVENT_EVENT_COLUMNS_SQL(keyEvents) {
+  return keyEvents.map(keyEvent => {
+    const condition = KEY_EVENT_CONDITION_SQL(keyEvent);
+    const columns = [`${condition} AS is_${keyEvent.name}_event`];
+    if (keyEvent.value_param) {
+      columns.push(`IF(${condition}, SAFE_CAST(${keyEvent.value_param} AS FLOAT64), NULL) AS ${keyEvent.name}_event_value`);
+    }
+    return columns.join(',\n    ');
+  }).join(',\n    ');
+}
+
+/**
+ * Generates the session aggregates per key event
+ * Columns: <name>_conversions, <name>_value (with value_param)
+ */
+function KEY_EVENT_SESSION_AGGREGATES_SQL(keyEvents) {
+  return keyEvents.map(keyEvent => {
+    const flag = `is_${keyEvent.name}_event`;
+    const value = `${keyEvent.name}_event_value`;
+    const columns = keyEvent.counting === 'every_event'
+      ? [`COUNTIF(${flag}) AS ${keyEvent.name}_conversions`]
+      : [`IF(LOGICAL_OR(${flag}), 1, 0) AS ${keyEvent.name}_conversions`];
+    if (keyEvent.value_param) {
+      columns.push(keyEvent.counting === 'every_event'
+        ? `SUM(${value}) AS ${keyEvent.name}_value`
+        : `ARRAY_AGG(${value} IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)] AS ${keyEvent.name}_value`);
+    }
+    return columns.join(',\n    ');
+  }).join(',\n    ');
+}
+
+/**
+ * Generates the sessions output columns: per key event counts, values and flags,
+ * then key_event_count and converted_session
+ */
+function KEY_EVENT_SESSION_COLUMNS_SQL(keyEvents) {
+  const columns = keyEvents.flatMap(keyEvent => [
+    `${keyEvent.name}_conversions`,
+    ...(keyEvent.value_param ? [`${keyEvent.name}_value`] : []),
+    `${keyEvent.name}_conversions > 0 AS has_${keyEvent.name}`
+  ]);
+  const total = keyEvents.map(keyEvent => `${keyEvent.name}_conversions`).join(' + ');
+  return [
+    ...columns,
+    `${total} AS key_event_count`,
+    `${total} > 0 AS converted_session`
+  ].join(',\n  ');
+}
+
+/**
+ * Generates the users aggregates over sessions (alias s) per key event
+ * Columns: total_<name>_conversions, lifetime_<name>_value (with value_param),
+ * first_<name>_date, then converted_sessions and first_conversion_date
+ */
+function KEY_EVENT_USER_AGGREGATES_SQL(keyEvents, alias = 's') {
+  const columns = keyEvents.flatMap(keyEvent => [
+    `SUM(${alias}.${keyEvent.name}_conversions) AS total_${keyEvent.name}_conversions`,
+    ...(keyEvent.value_param ? [`SUM(${alias}.${keyEvent.name}_value) AS lifetime_${keyEvent.name}_value`] : []),
+    `MIN(IF(${alias}.has_${keyEvent.name}, ${alias}.session_date, NULL)) AS first_${keyEvent.name}_date`
+  ]);
+  return [
+    ...columns,
+    `COUNTIF(${alias}.converted_session) AS converted_sessions`,
+    `MIN(IF(${alias}.converted_session, ${alias}.session_date, NULL)) AS first_conversion_date`
+  ].join(',\n    ');
+}
+
+/**
+ * Generates the users output columns (alias km = the key event metrics CTE);
+ * users without sessions in sessions get 0 conversions
+ */
+function KEY_EVENT_USER_COLUMNS_SQL(keyEvents, alias = 'km') {
+  const columns = keyEvents.flatMap(keyEvent => [
+    `COALESCE(${alias}.total_${keyEvent.name}_conversions, 0) AS total_${keyEvent.name}_conversions`,
+    ...(keyEvent.value_param ? [`COALESCE(${alias}.lifetime_${keyEvent.name}_value, 0) AS lifetime_${keyEvent.name}_value`] : []),
+    `${alias}.first_${keyEvent.name}_date`
+  ]);
+  return [
+    ...columns,
+    `COALESCE(${alias}.converted_sessions, 0) AS converted_sessions`,
+    `${alias}.first_conversion_date`
+  ].join(',\n  ');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks KEY_EVENTS: event names, unique column prefixes, counting methods,
+ * and condition / value columns that exist in base_events
+ */
+function checkKeyEvents(config, errors) {
+  const keyEvents = config.KEY_EVENTS;
+  if (keyEvents === undefined || keyEvents === null) return;
+  if (!Array.isArray(keyEvents)) {
+    errors.push('KEY_EVENTS: must be an array');
+    return;
+  }
+
+  const isBaseColumn = checks.baseEventsColumnCheck(config);
+  const seen = {};
+  keyEvents.forEach((keyEvent, index) => {
+    const location = `KEY_EVENTS[${index}]`;
+    if (!keyEvent || typeof keyEvent !== 'object') {
+      errors.push(`${location}: expected an object like { event_name: '...' }`);
+      return;
+    }
+
+    if (typeof keyEvent.event_name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(keyEvent.event_name)) {
+      errors.push(`${location}.event_name: '${keyEvent.event_name}' is not a valid GA4 event name`);
+    }
+    const name = keyEvent.name === undefined ? keyEvent.event_name : keyEvent.name;
+    if (typeof name === 'string' && checks.checkIdentifier(name, `${location}.name`, errors)) {
+      const key = name.toLowerCase();
+      if (seen[key]) {
+        errors.push(`${location}: duplicate key event name '${name}' (already defined in ${seen[key]}; set name to tell them apart)`);
+      } else {
+        seen[key] = location;
+      }
+    }
+
+    if (keyEvent.counting !== undefined && !COUNTING_METHODS.includes(keyEvent.counting)) {
+      errors.push(`${location}.counting: '${keyEvent.counting}' is not one of ${COUNTING_METHODS.join(', ')}`);
+    }
+    if (keyEvent.value_param !== undefined && keyEvent.value_param !== null && !isBaseColumn(keyEvent.value_param)) {
+      errors.push(`${location}.value_param: '${keyEvent.value_param}' is not a base_events column`);
+    }
+
+    checks.checkConditions(keyEvent.conditions, `${location}.conditions`, isBaseColumn, errors);
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  COUNTING_METHODS,
+  KEY_EVENT_DEFAULTS,
+  getKeyEvents,
+
+  // SQL Generation
+  CONDITION_MATCHER_SQL,
+  KEY_EVENT_CONDITION_SQL,
+  KEY_EVENT_EVENT_COLUMNS_SQL,
+  KEY_EVENT_SESSION_AGGREGATES_SQL,
+  KEY_EVENT_SESSION_COLUMNS_SQL,
+  KEY_EVENT_USER_AGGREGATES_SQL,
+  KEY_EVENT_USER_COLUMNS_SQL,
+
+  // Validation
+  checkKeyEvents
+};
@@ -0,0 +1,613 @@
+// ============================================================================
+// ML.JS — BigQuery ML Feature, Training & Scoring Generators
+// Owned by upstream repository
+//
+// Point-in-time user features for BQML models in definitions/ml/. Each model's
+// feature list, windows and retrain cadence come from ML_CONFIG in
+// client_config.js, merged over the defaults below. user_segments (RFM /
+// KMEANS) is tuned through SEGMENTATION_CONFIG the same way.
+// ============================================================================
+
+const helpers = require('./helper');
+const trafficSrc = require('./traffic_source');
+
+// ============================================================================
+// MODEL DEFAULTS
+// ============================================================================
+
+/**
+ * Defaults per model key; ML_CONFIG.<key> overrides individual settings
+ */
+const ML_MODEL_DEFAULTS = {
+  purchase_propensity: {
+    model_type: 'BOOSTED_TREE_CLASSIFIER',
+    features: [
+      'session_count',
+      'engaged_session_count',
+      'active_days',
+      'sessions_last_7_days',
+      'days_since_last_session',
+      'days_since_first_seen',
+      'total_engagement_seconds',
+      'page_view_count',
+      'purchase_count',
+      'revenue_usd',
+      'days_since_last_purchase',
+      'primary_device_category',
+      'primary_country'
+    ],
+    feature_lookback_days: 90,
+    label_window_days: 30,
+    training_snapshots: 6,
+    snapshot_interval_days: 14,
+    retrain_every_days: 7,
+    model_options: {}
+  },
+  churn_risk: {
+    model_type: 'BOOSTED_TREE_CLASSIFIER',
+    features: [
+      'session_count',
+      'engaged_session_count',
+      'active_days',
+      'sessions_last_7_days',
+      'sessions_last_30_days',
+      'days_since_last_session',
+      'days_since_first_seen',
+      'total_engagement_seconds',
+      'avg_session_duration_seconds',
+      'page_view_count',
+      'event_count',
+      'distinct_event_names',
+      'primary_device_category',
+      'primary_platform'
+    ],
+    feature_lookback_days: 90,
+    // Churned = none of activity_events (empty = any event) within inactivity_days after the snapshot
+    inactivity_days: 28,
+    activity_events: [],
+    training_snapshots: 6,
+    snapshot_interval_days: 14,
+    retrain_every_days: 7,
+    model_options: {}
+  }
+};
+
+/**
+ * Gets the effective settings for a model (defaults + ML_CONFIG overrides)
+ */
+function getModelConfig(modelKey) {
+  const config = helpers.getConfig();
+  const defaults = ML_MODEL_DEFAULTS[modelKey];
+  if (!defaults) {
+    throw new Error(`Unknown ML model: ${modelKey}`);
+  }
+  const overrides = (config.ML_CONFIG && config.ML_CONFIG[modelKey]) || {};
+  return { ...defaults, ...overrides };
+}
+
+// ============================================================================
+// FEATURE CATALOG
+// ============================================================================
+
+/**
+ * All features the point-in-time feature tables can compute
+ *
+ * source 'sessions'     → aggregated from sessions before the snapshot (alias s)
+ * source 'transactions' → aggregated from transactions before the snapshot (alias t)
+ * source 'events'       → aggregated from base_events before the snapshot (alias e)
+ * source 'users'        → read from the users table (alias u, snapshot via sf)
+ * default               → value used when the user has no rows in that source
+ */
+function getUserFeatureCatalog() {
+  const catalog = {
+    // Sessions
+    session_count: { source: 'sessions', sql: 'COUNT(DISTINCT s.session_key)', default: 0 },
+    engaged_session_count: { source: 'sessions', sql: 'COUNTIF(s.is_engaged_session)', default: 0 },
+    active_days: { source: 'sessions', sql: 'COUNT(DISTINCT s.session_date)', default: 0 },
+    sessions_last_7_days: { source: 'sessions', sql: 'COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 7 DAY))', default: 0 },
+    sessions_last_30_days: { source: 'sessions', sql: 'COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 30 DAY))', default: 0 },
+    days_since_last_session: { source: 'sessions', sql: 'DATE_DIFF(sd.snapshot_date, MAX(s.session_date), DAY)' },
+    days_since_first_session: { source: 'sessions', sql: 'DATE_DIFF(sd.snapshot_date, MIN(s.session_date), DAY)' },
+    total_engagement_seconds: { source: 'sessions', sql: 'SUM(s.total_engagement_time_seconds)', default: 0 },
+    avg_session_duration_seconds: { source: 'sessions', sql: 'AVG(s.session_duration_seconds)' },
+    page_view_count: { source: 'sessions', sql: 'SUM(s.page_view_count)', default: 0 },
+    avg_screens_per_session: { source: 'sessions', sql: 'AVG(s.unique_screens_viewed)' },
+    primary_device_category: { source: 'sessions', sql: 'APPROX_TOP_COUNT(s.device_category, 1)[OFFSET(0)].value' },
+    primary_platform: { source: 'sessions', sql: 'APPROX_TOP_COUNT(s.platform, 1)[OFFSET(0)].value' },
+    primary_country: { source: 'sessions', sql: 'APPROX_TOP_COUNT(s.country, 1)[OFFSET(0)].value' },
+
+    // Transactions
+    purchase_count: { source: 'transactions', sql: "COUNT(DISTINCT IF(t.event_name = 'purchase', t.transaction_id, NULL))", default: 0 },
+    refund_count: { source: 'transactions', sql: "COUNT(DISTINCT IF(t.event_name = 'refund', t.transaction_id, NULL))", default: 0 },
+    revenue_usd: { source: 'transactions', sql: 'SUM(t.net_revenue_in_usd)', default: 0 },
+    days_since_last_purchase: { source: 'transactions', sql: "DATE_DIFF(sd.snapshot_date, MAX(IF(t.event_name = 'purchase', t.event_date, NULL)), DAY)" },
+
+    // Events
+    event_count: { source: 'events', sql: 'COUNT(*)', default: 0 },
+    distinct_event_names: { source: 'events', sql: 'COUNT(DISTINCT e.event_name)', default: 0 },
+    events_last_7_days: { source: 'events', sql: 'COUNTIF(e.event_date >= DATE_SUB(sd.snapshot_date, INTERVAL 7 DAY))', default: 0 },
+    days_since_last_event: { source: 'events', sql: 'DATE_DIFF(sd.snapshot_date, MAX(e.event_date), DAY)' },
+
+    // Users
+    days_since_first_seen: { source: 'users', sql: 'DATE_DIFF(sf.snapshot_date, u.first_seen_date, DAY)' }
+  };
+
+  // Last-session traffic source, one feature per traffic_source.js field
+  Object.keys(trafficSrc.getTrafficSourceFields()).forEach(field => {
+    catalog[`last_${field}`] = {
+      source: 'sessions',
+      sql: `ARRAY_AGG(s.${field} ORDER BY s.session_start_timestamp DESC LIMIT 1)[SAFE_OFFSET(0)]`
+    };
+  });
+
+  return catalog;
+}
+
+/**
+ * Resolves a feature list against the catalog, failing on unknown names
+ * @returns {Array<{name, source, sql, default}>}
+ */
+function resolveFeatures(featureNames, modelKey) {
+  const catalog = getUserFeatureCatalog();
+  const unknown = featureNames.filter(name => !catalog[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `ML_CONFIG.${modelKey}.features: unknown feature(s) ${unknown.join(', ')}. ` +
+      `Available: ${Object.keys(catalog).join(', ')}`
+    );
+  }
+  return featureNames.map(name => ({ name, ...catalog[name] }));
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates the snapshot date spine: training snapshots whose label window has
+ * fully elapsed, plus today's scoring snapshot
+ * @param {number} [labelDays] - Label window; defaults to modelConfig.label_window_days
+ */
+function SNAPSHOT_DATES_SQL(modelConfig, labelDays = modelConfig.label_window_days) {
+  const interval = modelConfig.snapshot_interval_days;
+  const oldestOffset = labelDays + interval * (modelConfig.training_snapshots - 1);
+
+  return `SELECT snapshot_date, 'train' AS snapshot_type
+  FROM UNNEST(GENERATE_DATE_ARRAY(
+    DATE_SUB(CURRENT_DATE(), INTERVAL ${oldestOffset} DAY),
+    DATE_SUB(CURRENT_DATE(), INTERVAL ${labelDays} DAY),
+    INTERVAL ${interval} DAY
+  )) AS snapshot_date
+
+  UNION ALL
+
+  SELECT CURRENT_DATE() AS snapshot_date, 'score' AS snapshot_type`;
+}
+
+/**
+ * Generates the aggregate SELECT list for features from one source
+ */
+function FEATURE_AGGREGATES_SQL(features, source) {
+  const selected = features.filter(f => f.source === source);
+  if (selected.length === 0) return '';
+  return selected.map(f => `${f.sql} AS ${f.name}`).join(',\n    ');
+}
+
+/**
+ * Generates the final feature column list, applying per-feature defaults
+ * Aliases: sf = session features, tf = transaction features, ef = event features, u = users
+ */
+function FEATURE_COLUMNS_SQL(features) {
+  const aliases = { sessions: 'sf', transactions: 'tf', events: 'ef' };
+  return features.map(f => {
+    if (f.source === 'users') return `${f.sql} AS ${f.name}`;
+    const ref = `${aliases[f.source]}.${f.name}`;
+    return f.default !== undefined
+      ? `COALESCE(${ref}, ${f.default}) AS ${f.name}`
+      : `${ref} AS ${f.name}`;
+  }).join(',\n  ');
+}
+
+/**
+ * Generates the base_events filter for events that count as activity
+ * (churn label); empty activity_events means any event
+ */
+function ACTIVITY_FILTER_SQL(modelConfig, alias = 'e') {
+  const activityEvents = modelConfig.activity_events || [];
+  if (activityEvents.length === 0) return 'TRUE';
+  return `${alias}.event_name IN (${activityEvents.map(name => `'${name}'`).join(', ')})`;
+}
+
+/**
+ * Generates the OPTIONS(...) body for CREATE MODEL
+ */
+function MODEL_OPTIONS_SQL(options) {
+  return Object.entries(options)
+    .map(([key, value]) => `${key} = ${formatOptionValue(value)}`)
+    .join(',\n    ');
+}
+
+function formatOptionValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatOptionValue).join(', ')}]`;
+  if (typeof value === 'string') return `'${value}'`;
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+/**
+ * Generates the scripting condition deciding whether a model is (re)trained:
+ * model missing, forced via ML_FORCE_RETRAIN, or the retrain cadence is due
+ */
+function RETRAIN_CONDITION_SQL(modelConfig) {
+  const config = helpers.getConfig();
+  if (config.ML_FORCE_RETRAIN) return 'TRUE';
+  return `NOT model_exists OR MOD(UNIX_DATE(CURRENT_DATE()), ${modelConfig.retrain_every_days}) = 0`;
+}
+
+// ============================================================================
+// SEGMENTATION (user_segments)
+// ============================================================================
+
+/**
+ * Defaults for user_segments; SEGMENTATION_CONFIG overrides individual settings
+ * RFM ranges are inclusive [min, max] score bounds; the first matching segment wins
+ */
+const SEGMENTATION_DEFAULTS = {
+  lookback_days: 365,
+  rfm_buckets: 5,
+  rfm_segments: [
+    { label: 'Champions', r: [4, 5], f: [4, 5], m: [4, 5] },
+    { label: 'Loyal', r: [3, 5], f: [3, 5] },
+    { label: 'New', r: [5, 5], f: [1, 1] },
+    { label: 'Potential Loyalists', r: [4, 5], f: [1, 3] },
+    { label: 'At Risk', r: [1, 2], f: [3, 5] },
+    { label: 'Hibernating', r: [1, 2], f: [1, 2] }
+  ],
+  default_label: 'Needs Attention',
+  non_purchaser_label: 'Prospect',
+  num_clusters: 5,
+  features: [
+    'recency_days',
+    'frequency',
+    'monetary',
+    'active_days',
+    'total_sessions',
+    'total_engagement_time_seconds',
+    'average_order_value_usd'
+  ],
+  cluster_labels: {},
+  retrain_every_days: 7,
+  model_options: {}
+};
+
+/**
+ * Gets the effective segmentation settings (defaults + SEGMENTATION_CONFIG overrides)
+ */
+function getSegmentationConfig() {
+  const config = helpers.getConfig();
+  return { ...SEGMENTATION_DEFAULTS, ...(config.SEGMENTATION_CONFIG || {}) };
+}
+
+/**
+ * Columns of SEGMENT_METRICS_SQL usable as KMEANS features
+ *
+ * ecommerce → only available when HAS_ECOMMERCE (dropped otherwise)
+ * default   → value used for users without a purchase (RFM inputs are NULL)
+ */
+function getSegmentFeatureCatalog(segmentConfig) {
+  return {
+    recency_days: { default: segmentConfig.lookback_days },
+    frequency: { default: 0 },
+    monetary: { default: 0 },
+    average_order_value_usd: { ecommerce: true, default: 0 },
+    active_days: {},
+    total_sessions: {},
+    total_page_views: {},
+    total_engagement_time_seconds: {},
+    days_since_first_seen: {},
+    days_since_last_seen: {}
+  };
+}
+
+/**
+ * Resolves the KMEANS feature list, falling back to engagement-only features
+ * when ecommerce is off
+ * @returns {Array<{name, default}>}
+ */
+function resolveSegmentFeatures(segmentConfig) {
+  const config = helpers.getConfig();
+  const catalog = getSegmentFeatureCatalog(segmentConfig);
+  const unknown = segmentConfig.features.filter(name => !catalog[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `SEGMENTATION_CONFIG.features: unknown feature(s) ${unknown.join(', ')}. ` +
+      `Available: ${Object.keys(catalog).join(', ')}`
+    );
+  }
+
+  const features = segmentConfig.features
+    .filter(name => config.HAS_ECOMMERCE || !catalog[name].ecommerce)
+    .map(name => ({ name, ...catalog[name] }));
+  if (features.length === 0) {
+    throw new Error('SEGMENTATION_CONFIG.features: no features left without ecommerce');
+  }
+  return features;
+}
+
+/**
+ * Generates one row per resolved user with RFM inputs and engagement totals
+ *
+ * Ecommerce on:  recency/frequency/monetary from purchases in the lookback
+ *                (net_revenue_in_usd); users without a purchase are not rfm_eligible
+ * Ecommerce off: recency = days_since_last_seen, frequency = active_days,
+ *                monetary = total_engagement_time_seconds
+ * @param {string} usersTable - ref("users")
+ * @param {string|null} transactionsTable - ref("transactions"), only used with ecommerce
+ * @param {string|null} identityTable - ref("user_identity_graph"), only used with ecommerce
+ */
+function SEGMENT_METRICS_SQL(segmentConfig, usersTable, transactionsTable, identityTable) {
+  const config = helpers.getConfig();
+  const engagementColumns = `u.active_days,
+    u.total_sessions,
+    u.total_page_views,
+    u.total_engagement_time_seconds,
+    u.days_since_first_seen,
+    u.days_since_last_seen`;
+
+  if (!config.HAS_ECOMMERCE) {
+    return `SELECT
+    u.resolved_user_id,
+    u.primary_user_id,
+    'engagement' AS rfm_basis,
+    TRUE AS rfm_eligible,
+    u.days_since_last_seen AS recency_days,
+    u.active_days AS frequency,
+    u.total_engagement_time_seconds AS monetary,
+    ${engagementColumns}
+  FROM ${usersTable} u`;
+  }
+
+  return `SELECT
+    u.resolved_user_id,
+    u.primary_user_id,
+    'transactions' AS rfm_basis,
+    p.resolved_user_id IS NOT NULL AS rfm_eligible,
+    DATE_DIFF(CURRENT_DATE(), p.last_purchase_date, DAY) AS recency_days,
+    p.purchase_count AS frequency,
+    p.net_revenue_usd AS monetary,
+    SAFE_DIVIDE(p.net_revenue_usd, p.purchase_count) AS average_order_value_usd,
+    ${engagementColumns}
+  FROM ${usersTable} u
+  LEFT JOIN (
+    SELECT
+      ul.resolved_user_id,
+      MAX(IF(t.event_name = 'purchase', t.event_date, NULL)) AS last_purchase_date,
+      COUNT(DISTINCT IF(t.event_name = 'purchase', t.transaction_id, NULL)) AS purchase_count,
+      SUM(t.net_revenue_in_usd) AS net_revenue_usd
+    FROM ${transactionsTable} t
+    INNER JOIN ${identityTable} ul
+      ON t.user_id = ul.identifier
+    WHERE t.event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${segmentConfig.lookback_days} DAY)
+    GROUP BY ul.resolved_user_id
+    HAVING purchase_count > 0
+  ) p
+    ON u.resolved_user_id = p.resolved_user_id`;
+}
+
+/**
+ * Generates the KMEANS feature column list, applying per-feature defaults
+ */
+function SEGMENT_FEATURE_COLUMNS_SQL(features) {
+  return features.map(f => f.default !== undefined
+    ? `COALESCE(${f.name}, ${f.default}) AS ${f.name}`
+    : f.name
+  ).join(',\n    ');
+}
+
+/**
+ * Generates the CASE mapping r/f/m scores to SEGMENTATION_CONFIG.rfm_segments labels
+ */
+function RFM_SEGMENT_LABEL_SQL(segmentConfig) {
+  const whens = segmentConfig.rfm_segments.map(segment => {
+    const conditions = ['r', 'f', 'm']
+      .filter(dim => segment[dim])
+      .map(dim => `${dim}_score BETWEEN ${segment[dim][0]} AND ${segment[dim][1]}`);
+    return `WHEN ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'} THEN '${segment.label}'`;
+  });
+
+  return `CASE
+    WHEN r_score IS NULL THEN '${segmentConfig.non_purchaser_label}'
+    ${whens.join('\n    ')}
+    ELSE '${segmentConfig.default_label}'
+  END`;
+}
+
+/**
+ * Generates the CASE mapping KMEANS cluster_id to SEGMENTATION_CONFIG.cluster_labels
+ * (unmapped clusters → 'Cluster <id>')
+ */
+function CLUSTER_LABEL_SQL(segmentConfig) {
+  const whens = Object.entries(segmentConfig.cluster_labels)
+    .map(([clusterId, label]) => `WHEN ${clusterId} THEN '${label}'`);
+  if (whens.length === 0) return `CONCAT('Cluster ', CAST(cluster_id AS STRING))`;
+
+  return `CASE cluster_id
+    ${whens.join('\n    ')}
+    ELSE CONCAT('Cluster ', CAST(cluster_id AS STRING))
+  END`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * BQML model types accepted per ML_CONFIG model key
+ */
+const ML_MODEL_TYPES = {
+  purchase_propensity: ['BOOSTED_TREE_CLASSIFIER', 'LOGISTIC_REG'],
+  churn_risk: ['BOOSTED_TREE_CLASSIFIER', 'LOGISTIC_REG']
+};
+
+const SEGMENTATION_METHODS = ['rfm', 'kmeans'];
+
+/**
+ * Checks ML_CONFIG overrides (feature names are resolved later by resolveFeatures(),
+ * since the catalog depends on traffic_source.js fields)
+ */
+function checkMLConfig(config, errors) {
+  const mlConfig = config.ML_CONFIG;
+  if (mlConfig === undefined || mlConfig === null) return;
+  if (typeof mlConfig !== 'object' || Array.isArray(mlConfig)) {
+    errors.push('ML_CONFIG: must be an object keyed by model name');
+    return;
+  }
+
+  Object.keys(mlConfig).forEach(modelKey => {
+    const model = mlConfig[modelKey];
+    const location = `ML_CONFIG.${modelKey}`;
+
+    if (!ML_MODEL_TYPES[modelKey]) {
+      errors.push(`${location}: unknown model (supported: ${Object.keys(ML_MODEL_TYPES).join(', ')})`);
+      return;
+    }
+    if (!model || typeof model !== 'object') {
+      errors.push(`${location}: must be an object`);
+      return;
+    }
+    if (model.model_type !== undefined && !ML_MODEL_TYPES[modelKey].includes(model.model_type)) {
+      errors.push(`${location}.model_type: '${model.model_type}' is not one of ${ML_MODEL_TYPES[modelKey].join(', ')}`);
+    }
+    if (model.features !== undefined
+        && (!Array.isArray(model.features) || model.features.length === 0 || model.features.some(f => typeof f !== 'string'))) {
+      errors.push(`${location}.features: must be a non-empty array of feature names`);
+    }
+    Object.keys(model).filter(key => /_(days|snapshots)$/.test(key)).forEach(key => {
+      if (!Number.isInteger(model[key]) || model[key] <= 0) {
+        errors.push(`${location}.${key}: must be a positive integer`);
+      }
+    });
+    if (model.activity_events !== undefined
+        && (!Array.isArray(model.activity_events) || model.activity_events.some(e => typeof e !== 'string'))) {
+      errors.push(`${location}.activity_events: must be an array of event names`);
+    }
+    if (model.model_options !== undefined && (typeof model.model_options !== 'object' || Array.isArray(model.model_options))) {
+      errors.push(`${location}.model_options: must be an object of CREATE MODEL options`);
+    }
+  });
+}
+
+/**
+ * Checks SEGMENTATION_METHOD and SEGMENTATION_CONFIG (user_segments)
+ */
+function checkSegmentation(config, errors) {
+  if (config.SEGMENTATION_METHOD !== undefined) {
+    if (!SEGMENTATION_METHODS.includes(config.SEGMENTATION_METHOD)) {
+      errors.push(`SEGMENTATION_METHOD: '${config.SEGMENTATION_METHOD}' is not one of ${SEGMENTATION_METHODS.join(', ')}`);
+    } else if (config.SEGMENTATION_METHOD === 'kmeans' && !config.ENABLE_ML) {
+      errors.push(`SEGMENTATION_METHOD: 'kmeans' requires ENABLE_ML`);
+    }
+  }
+
+  const segmentation = config.SEGMENTATION_CONFIG;
+  if (segmentation === undefined || segmentation === null) return;
+  if (typeof segmentation !== 'object' || Array.isArray(segmentation)) {
+    errors.push('SEGMENTATION_CONFIG: must be an object');
+    return;
+  }
+
+  Object.keys(segmentation).filter(key => key.endsWith('_days')).forEach(key => {
+    if (!Number.isInteger(segmentation[key]) || segmentation[key] <= 0) {
+      errors.push(`SEGMENTATION_CONFIG.${key}: must be a positive integer`);
+    }
+  });
+  if (segmentation.rfm_buckets !== undefined
+      && (!Number.isInteger(segmentation.rfm_buckets) || segmentation.rfm_buckets < 2 || segmentation.rfm_buckets > 10)) {
+    errors.push('SEGMENTATION_CONFIG.rfm_buckets: must be an integer between 2 and 10');
+  }
+  if (segmentation.num_clusters !== undefined
+      && (!Number.isInteger(segmentation.num_clusters) || segmentation.num_clusters < 2 || segmentation.num_clusters > 100)) {
+    errors.push('SEGMENTATION_CONFIG.num_clusters: must be an integer between 2 and 100');
+  }
+  if (segmentation.features !== undefined
+      && (!Array.isArray(segmentation.features) || segmentation.features.length === 0 || segmentation.features.some(f => typeof f !== 'string'))) {
+    errors.push('SEGMENTATION_CONFIG.features: must be a non-empty array of feature names');
+  }
+  ['default_label', 'non_purchaser_label'].forEach(key => {
+    if (segmentation[key] !== undefined && typeof segmentation[key] !== 'string') {
+      errors.push(`SEGMENTATION_CONFIG.${key}: must be a string`);
+    }
+  });
+
+  if (segmentation.rfm_segments !== undefined) {
+    if (!Array.isArray(segmentation.rfm_segments)) {
+      errors.push('SEGMENTATION_CONFIG.rfm_segments: must be an array of { label, r, f, m }');
+    } else {
+      segmentation.rfm_segments.forEach((segment, i) => {
+        const location = `SEGMENTATION_CONFIG.rfm_segments[${i}]`;
+        if (!segment || typeof segment.label !== 'string' || segment.label === '') {
+          errors.push(`${location}: missing label`);
+          return;
+        }
+        ['r', 'f', 'm'].filter(dim => segment[dim] !== undefined).forEach(dim => {
+          const range = segment[dim];
+          if (!Array.isArray(range) || range.length !== 2 || !range.every(n => Number.isInteger(n) && n >= 1) || range[0] > range[1]) {
+            errors.push(`${location}.${dim}: must be an inclusive [min, max] score range`);
+          }
+        });
+      });
+    }
+  }
+
+  if (segmentation.cluster_labels !== undefined) {
+    if (typeof segmentation.cluster_labels !== 'object' || Array.isArray(segmentation.cluster_labels)) {
+      errors.push('SEGMENTATION_CONFIG.cluster_labels: must be an object of cluster_id → label');
+    } else {
+      Object.entries(segmentation.cluster_labels).forEach(([clusterId, label]) => {
+        if (!/^[1-9][0-9]*$/.test(clusterId) || typeof label !== 'string') {
+          errors.push(`SEGMENTATION_CONFIG.cluster_labels.${clusterId}: keys must be cluster IDs (1..num_clusters) and values labels`);
+        }
+      });
+    }
+  }
+
+  if (segmentation.model_options !== undefined && (typeof segmentation.model_options !== 'object' || Array.isArray(segmentation.model_options))) {
+    errors.push('SEGMENTATION_CONFIG.model_options: must be an object of CREATE MODEL options');
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Model config
+  ML_MODEL_DEFAULTS,
+  getModelConfig,
+
+  // Features
+  getUserFeatureCatalog,
+  resolveFeatures,
+
+  // SQL Generation
+  SNAPSHOT_DATES_SQL,
+  FEATURE_AGGREGATES_SQL,
+  FEATURE_COLUMNS_SQL,
+  ACTIVITY_FILTER_SQL,
+  MODEL_OPTIONS_SQL,
+  RETRAIN_CONDITION_SQL,
+
+  // Segmentation
+  SEGMENTATION_DEFAULTS,
+  getSegmentationConfig,
+  getSegmentFeatureCatalog,
+  resolveSegmentFeatures,
+  SEGMENT_METRICS_SQL,
+  SEGMENT_FEATURE_COLUMNS_SQL,
+  RFM_SEGMENT_LABEL_SQL,
+  CLUSTER_LABEL_SQL,
+
+  // Validation
+  checkMLConfig,
+  checkSegmentation
+};
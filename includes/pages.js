@@ -0,0 +1,377 @@
+// ============================================================================
+// PAGES.JS — URL Normalization & Content Grouping Generators
+// Owned by upstream repository
+//
+// helper.getScreenFieldRefs() wraps page URLs in the normalizer below, so
+// sessions, dim_pages, fct_page_views and fct_page_transitions key pages on
+// one canonical URL. Settings come from URL_NORMALIZATION, CONTENT_GROUPS and
+// PAGE_PATHS_CONFIG in client_config.js, merged over the defaults below.
+// Takes the merged config as an argument (helper.js requires this module, so
+// it cannot require helper back).
+// ============================================================================
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Defaults; URL_NORMALIZATION overrides individual settings
+ *
+ * strip_params          query params removed from page URLs (case-insensitive, * = any suffix)
+ * strip_fragment        drop #fragments
+ * lowercase_path        lowercase the path as well as the host (page keys were always case-folded)
+ * strip_trailing_slash  /blog/ → /blog (the root stays /)
+ * index_documents       trailing documents removed from the path (/blog/index.html → /blog)
+ */
+const URL_NORMALIZATION_DEFAULTS = {
+  strip_params: [
+    'utm_*', 'gclid', 'gbraid', 'wbraid', 'dclid', 'gclsrc', 'fbclid', 'msclkid',
+    'ttclid', 'twclid', 'li_fat_id', 'mc_cid', 'mc_eid', '_ga', '_gl', 'srsltid'
+  ],
+  strip_fragment: true,
+  lowercase_path: true,
+  strip_trailing_slash: true,
+  index_documents: ['index.html', 'index.htm', 'index.php', 'default.aspx']
+};
+
+/**
+ * Columns a content group rule can match against (default: path)
+ */
+const CONTENT_GROUP_FIELDS = ['path', 'location', 'title'];
+
+/**
+ * Most content group levels generated (content_group_1 … content_group_5)
+ */
+const MAX_CONTENT_GROUP_LEVELS = 5;
+
+/**
+ * Value used when no rule of a level matches and the level sets no default
+ */
+const CONTENT_GROUP_DEFAULT = '(other)';
+
+/**
+ * page_paths_daily step column limits (step_1 … step_<depth>)
+ */
+const MIN_PAGE_PATH_DEPTH = 2;
+
+const MAX_PAGE_PATH_DEPTH = 10;
+
+/**
+ * Defaults; PAGE_PATHS_CONFIG overrides individual settings (page_paths_daily)
+ *
+ * depth             pages kept per path, from the landing page (step_1 … step_N)
+ * collapse_reloads  consecutive views of the same page count as one step
+ * top_paths         most frequent paths kept per day
+ */
+const PAGE_PATHS_DEFAULTS = {
+  depth: 5,
+  collapse_reloads: true,
+  top_paths: 500
+};
+
+/**
+ * Step value after a session's last page (shorter paths end in it)
+ */
+const PATH_EXIT = '(exit)';
+
+/**
+ * Gets the effective URL normalization settings (defaults + URL_NORMALIZATION overrides)
+ */
+function getUrlNormalizationConfig(config) {
+  return { ...URL_NORMALIZATION_DEFAULTS, ...(config.URL_NORMALIZATION || {}) };
+}
+
+/**
+ * Gets the effective page path settings (defaults + PAGE_PATHS_CONFIG overrides)
+ */
+function getPagePathsConfig(config) {
+  return { ...PAGE_PATHS_DEFAULTS, ...(config.PAGE_PATHS_CONFIG || {}) };
+}
+
+/**
+ * Gets the content group levels from CONTENT_GROUPS (one entry per content_group_N column)
+ */
+function getContentGroups(config) {
+  return config.CONTENT_GROUPS || [];
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+const URL_SCHEME_PATTERN = '[A-Za-z][A-Za-z0-9+.-]*://';
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+}
+
+/**
+ * Condition: the expression is an absolute URL (app screen names and NULLs are not)
+ */
+function IS_URL_SQL(expression) {
+  return `REGEXP_CONTAINS(${expression}, r'^\\s*${URL_SCHEME_PATTERN}')`;
+}
+
+/**
+ * Generates the lowercased host (with port) of a URL expression
+ */
+function HOSTNAME_SQL(expression) {
+  return `LOWER(REGEXP_EXTRACT(${expression}, r'^\\s*${URL_SCHEME_PATTERN}([^/?#]+)'))`;
+}
+
+/**
+ * Internal: lowercased scheme + host
+ */
+function originSQL(expression) {
+  return `LOWER(REGEXP_EXTRACT(TRIM(${expression}), r'^(${URL_SCHEME_PATTERN}[^/?#]*)'))`;
+}
+
+/**
+ * Internal: canonical path (collapsed slashes, index documents and trailing slash removed)
+ */
+function canonicalPathSQL(expression, normalization) {
+  let sql = `REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(${expression}), r'^${URL_SCHEME_PATTERN}[^/?#]*([^?#]*)'), r'/{2,}', '/')`;
+
+  if (normalization.lowercase_path) {
+    sql = `LOWER(${sql})`;
+  }
+  if (normalization.index_documents.length > 0) {
+    const documents = normalization.index_documents.map(escapeRegex).join('|');
+    sql = `REGEXP_REPLACE(${sql}, r'(?i)/(?:${documents})$', '/')`;
+  }
+  if (normalization.strip_trailing_slash) {
+    sql = `REGEXP_REPLACE(${sql}, r'(.)/$', r'\\1')`;
+  }
+
+  return `COALESCE(NULLIF(${sql}, ''), '/')`;
+}
+
+/**
+ * Internal: query string without the stripped params, original order kept ('' when empty)
+ */
+function filteredQuerySQL(expression, normalization) {
+  const query = `REGEXP_EXTRACT(${expression}, r'^[^?#]*\\?([^#]*)')`;
+  if (normalization.strip_params.length === 0) return `IFNULL(${query}, '')`;
+
+  const params = normalization.strip_params.map(param => escapeRegex(param.toLowerCase())).join('|');
+  return `ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(${query}, '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:${params})$')
+      ORDER BY param_offset
+    ), '&')`;
+}
+
+/**
+ * Generates the normalized URL: lowercased host, canonical path, tracking params
+ * stripped and (optionally) no fragment. Non-URL values are returned unchanged
+ */
+function NORMALIZED_URL_SQL(expression, normalization) {
+  const fragment = normalization.strip_fragment
+    ? ''
+    : `, IFNULL(REGEXP_EXTRACT(${expression}, r'#.*$'), '')`;
+
+  return `IF(
+    ${IS_URL_SQL(expression)},
+    CONCAT(
+      ${originSQL(expression)},
+      ${canonicalPathSQL(expression, normalization)},
+      IFNULL(CONCAT('?', NULLIF(${filteredQuerySQL(expression, normalization)}, '')), '')${fragment}
+    ),
+    ${expression}
+  )`;
+}
+
+/**
+ * Generates the normalized path (NULL for non-URL values)
+ */
+function NORMALIZED_PATH_SQL(expression, normalization) {
+  return `IF(${IS_URL_SQL(expression)}, ${canonicalPathSQL(expression, normalization)}, NULL)`;
+}
+
+/**
+ * Generates the page key: hash of the normalized host + path (query and fragment ignored)
+ * Non-URL values keep the base_events key formula, so app screens hash as before
+ */
+function NORMALIZED_PAGE_KEY_SQL(expression, normalization) {
+  return `TO_BASE64(MD5(IF(
+    ${IS_URL_SQL(expression)},
+    CONCAT(${originSQL(expression)}, ${canonicalPathSQL(expression, normalization)}),
+    LOWER(TRIM(SPLIT(COALESCE(${expression}, ''), '?')[SAFE_OFFSET(0)]))
+  )))`;
+}
+
+/**
+ * Generates content_group_1 … content_group_N: each level's rules are tried in
+ * order and the first match wins (value, or the first capture group with extract: true)
+ * @param {Object} columns - column names for the path / location / title fields
+ */
+function CONTENT_GROUPS_SQL(contentGroups, columns = { path: 'page_path', location: 'page_location', title: 'page_title' }) {
+  return contentGroups.map((level, index) => {
+    const fallback = quote(level.default === undefined ? CONTENT_GROUP_DEFAULT : level.default);
+    const whens = (level.rules || []).map(rule => {
+      const column = columns[rule.field || 'path'];
+      const value = rule.extract
+        ? `COALESCE(NULLIF(REGEXP_EXTRACT(${column}, r'${rule.match}'), ''), ${fallback})`
+        : quote(rule.value);
+      return `WHEN REGEXP_CONTAINS(${column}, r'${rule.match}') THEN ${value}`;
+    });
+
+    if (whens.length === 0) return `${fallback} AS content_group_${index + 1}`;
+    return `CASE
+      ${whens.join('\n      ')}
+      ELSE ${fallback}
+    END AS content_group_${index + 1}`;
+  }).join(',\n    ');
+}
+
+/**
+ * Generates step_1 … step_<depth> from a session's path array: pages in order,
+ * then PATH_EXIT right after the last page, then NULL
+ * @param {string} pathColumn - ARRAY<STRING> of the first <depth> pages
+ * @param {string} pageCountColumn - pages in the whole (collapsed) session
+ */
+function PATH_STEPS_SQL(pagePathsConfig, pathColumn = 'path_pages', pageCountColumn = 'page_count') {
+  return Array.from({ length: pagePathsConfig.depth }, (_, index) =>
+    `IF(${pageCountColumn} > ${index}, ${pathColumn}[OFFSET(${index})], ` +
+    `IF(${pageCountColumn} = ${index}, ${quote(PATH_EXIT)}, NULL)) AS step_${index + 1}`
+  ).join(',\n    ');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks URL_NORMALIZATION (page URL canonicalization)
+ * Param names and documents are inlined in r'...' patterns, so only URL-safe characters are allowed
+ */
+function checkUrlNormalization(config, errors) {
+  const normalization = config.URL_NORMALIZATION;
+  if (normalization === undefined || normalization === null) return;
+  if (typeof normalization !== 'object' || Array.isArray(normalization)) {
+    errors.push('URL_NORMALIZATION: must be an object');
+    return;
+  }
+
+  if (normalization.strip_params !== undefined
+      && (!Array.isArray(normalization.strip_params)
+        || !normalization.strip_params.every(param => typeof param === 'string' && /^[A-Za-z0-9_.\-\[\]*]+$/.test(param)))) {
+    errors.push('URL_NORMALIZATION.strip_params: must be an array of param names (letters, digits, _ . - [ ] and * wildcards)');
+  }
+  if (normalization.index_documents !== undefined
+      && (!Array.isArray(normalization.index_documents)
+        || !normalization.index_documents.every(doc => typeof doc === 'string' && /^[A-Za-z0-9_.\-]+$/.test(doc)))) {
+    errors.push('URL_NORMALIZATION.index_documents: must be an array of file names (letters, digits, _ . -)');
+  }
+  ['strip_fragment', 'lowercase_path', 'strip_trailing_slash'].forEach(key => {
+    if (normalization[key] !== undefined && typeof normalization[key] !== 'boolean') {
+      errors.push(`URL_NORMALIZATION.${key}: must be true or false`);
+    }
+  });
+}
+
+/**
+ * Checks CONTENT_GROUPS (content_group_N rules for dim_pages / fct_page_views)
+ */
+function checkContentGroups(config, errors) {
+  const levels = config.CONTENT_GROUPS;
+  if (levels === undefined || levels === null) return;
+  if (!Array.isArray(levels) || levels.length > MAX_CONTENT_GROUP_LEVELS) {
+    errors.push(`CONTENT_GROUPS: must be an array of at most ${MAX_CONTENT_GROUP_LEVELS} levels`);
+    return;
+  }
+
+  levels.forEach((level, levelIndex) => {
+    const location = `CONTENT_GROUPS[${levelIndex}]`;
+    if (!level || typeof level !== 'object' || !Array.isArray(level.rules)) {
+      errors.push(`${location}: must be an object with a rules array`);
+      return;
+    }
+    if (level.default !== undefined && typeof level.default !== 'string') {
+      errors.push(`${location}.default: must be a string`);
+    }
+
+    level.rules.forEach((rule, ruleIndex) => {
+      const ruleLocation = `${location}.rules[${ruleIndex}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${ruleLocation}: must be an object`);
+        return;
+      }
+      if (typeof rule.match !== 'string' || rule.match === '' || /['\n]/.test(rule.match)) {
+        errors.push(`${ruleLocation}.match: must be a non-empty pattern without quotes`);
+      }
+      if (rule.field !== undefined && !CONTENT_GROUP_FIELDS.includes(rule.field)) {
+        errors.push(`${ruleLocation}.field: '${rule.field}' is not one of ${CONTENT_GROUP_FIELDS.join(', ')}`);
+      }
+      if (rule.extract === true) {
+        if (rule.value !== undefined) {
+          errors.push(`${ruleLocation}: set either value or extract: true, not both`);
+        }
+      } else if (typeof rule.value !== 'string') {
+        errors.push(`${ruleLocation}.value: must be a string (or set extract: true)`);
+      }
+    });
+  });
+}
+
+/**
+ * Checks PAGE_PATHS_CONFIG (page_paths_daily); depth sets the number of step_N columns
+ */
+function checkPagePaths(config, errors) {
+  const pagePaths = config.PAGE_PATHS_CONFIG;
+  if (pagePaths === undefined || pagePaths === null) return;
+  if (typeof pagePaths !== 'object' || Array.isArray(pagePaths)) {
+    errors.push('PAGE_PATHS_CONFIG: must be an object');
+    return;
+  }
+
+  if (pagePaths.depth !== undefined
+      && !(Number.isInteger(pagePaths.depth) && pagePaths.depth >= MIN_PAGE_PATH_DEPTH && pagePaths.depth <= MAX_PAGE_PATH_DEPTH)) {
+    errors.push(`PAGE_PATHS_CONFIG.depth: must be an integer between ${MIN_PAGE_PATH_DEPTH} and ${MAX_PAGE_PATH_DEPTH}`);
+  }
+  if (pagePaths.collapse_reloads !== undefined && typeof pagePaths.collapse_reloads !== 'boolean') {
+    errors.push('PAGE_PATHS_CONFIG.collapse_reloads: must be true or false');
+  }
+  if (pagePaths.top_paths !== undefined && !(Number.isInteger(pagePaths.top_paths) && pagePaths.top_paths > 0)) {
+    errors.push('PAGE_PATHS_CONFIG.top_paths: must be a positive integer');
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  URL_NORMALIZATION_DEFAULTS,
+  CONTENT_GROUP_FIELDS,
+  MAX_CONTENT_GROUP_LEVELS,
+  CONTENT_GROUP_DEFAULT,
+  MIN_PAGE_PATH_DEPTH,
+  MAX_PAGE_PATH_DEPTH,
+  PAGE_PATHS_DEFAULTS,
+  PATH_EXIT,
+  getUrlNormalizationConfig,
+  getContentGroups,
+  getPagePathsConfig,
+
+  // SQL Generation
+  IS_URL_SQL,
+  HOSTNAME_SQL,
+  NORMALIZED_URL_SQL,
+  NORMALIZED_PATH_SQL,
+  NORMALIZED_PAGE_KEY_SQL,
+  CONTENT_GROUPS_SQL,
+  PATH_STEPS_SQL,
+
+  // Validation
+  checkUrlNormalization,
+  checkContentGroups,
+  checkPagePaths
+};
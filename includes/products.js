@@ -0,0 +1,173 @@
+// ============================================================================
+// PRODUCTS.JS — Product Performance Generators
+// Owned by upstream repository
+//
+// Stage and rate columns for definitions/outputs/product_performance_daily.sqlx.
+// Every event in ECOMMERCE_ITEM_EVENTS becomes a stage column: GA4's
+// recommended ecommerce events get the metric names below, other events a
+// <event_name>_events column. Rates are generated only when both of their
+// stages are configured. Breakdowns come from PRODUCT_PERFORMANCE_CONFIG.
+// ============================================================================
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Stage column per GA4 recommended ecommerce event (events that include the item)
+ */
+const STAGE_METRICS = {
+  view_item_list: 'list_impressions',
+  select_item: 'list_clicks',
+  view_promotion: 'promotion_impressions',
+  select_promotion: 'promotion_clicks',
+  view_item: 'views',
+  add_to_wishlist: 'wishlist_adds',
+  view_cart: 'cart_views',
+  add_to_cart: 'add_to_carts',
+  remove_from_cart: 'remove_from_carts',
+  begin_checkout: 'checkouts',
+  add_shipping_info: 'shipping_info_adds',
+  add_payment_info: 'payment_info_adds',
+  purchase: 'purchases',
+  refund: 'refunds'
+};
+
+/**
+ * Conversion rates: [numerator stage event, denominator stage event]
+ */
+const STAGE_RATES = {
+  list_click_rate: ['select_item', 'view_item_list'],
+  promotion_click_rate: ['select_promotion', 'view_promotion'],
+  view_to_cart_rate: ['add_to_cart', 'view_item'],
+  view_to_purchase_rate: ['purchase', 'view_item'],
+  cart_to_purchase_rate: ['purchase', 'add_to_cart'],
+  checkout_to_purchase_rate: ['purchase', 'begin_checkout'],
+  refund_rate: ['refund', 'purchase']
+};
+
+/**
+ * Optional breakdowns: columns added to the item_id × date grain
+ *
+ * list       item list the event came from (view_item_list / select_item context)
+ * promotion  promotion and creative the event came from
+ */
+const PRODUCT_BREAKDOWNS = {
+  list: ['item_list_id', 'item_list_name'],
+  promotion: ['promotion_id', 'promotion_name', 'creative_name', 'creative_slot']
+};
+
+/**
+ * Defaults; PRODUCT_PERFORMANCE_CONFIG overrides individual settings
+ *
+ * breakdown  null (item_id × date), 'list' or 'promotion'
+ */
+const PRODUCT_PERFORMANCE_DEFAULTS = {
+  breakdown: null
+};
+
+/**
+ * Gets the effective product performance settings (defaults + PRODUCT_PERFORMANCE_CONFIG overrides)
+ */
+function getProductPerformanceConfig(config) {
+  return { ...PRODUCT_PERFORMANCE_DEFAULTS, ...(config.PRODUCT_PERFORMANCE_CONFIG || {}) };
+}
+
+/**
+ * Gets the stage column name for an ecommerce event
+ */
+function getStageMetricName(eventName) {
+  return STAGE_METRICS[eventName] || `${eventName}_events`;
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates one stage column per ECOMMERCE_ITEM_EVENTS event: distinct events
+ * that include the item (an item listed twice in one event counts once)
+ */
+function PRODUCT_STAGE_METRICS_SQL(ecommerceEvents) {
+  return ecommerceEvents
+    .map(eventName => `COUNT(DISTINCT IF(event_name = '${eventName}', event_key, NULL)) AS ${getStageMetricName(eventName)}`)
+    .join(',\n    ');
+}
+
+/**
+ * Generates quantity and revenue columns for the purchase and refund stages
+ * (empty when neither is configured)
+ */
+function PRODUCT_VALUE_METRICS_SQL(ecommerceEvents) {
+  const columns = [];
+  if (ecommerceEvents.includes('purchase')) {
+    columns.push(
+      `SUM(IF(event_name = 'purchase', quantity, 0)) AS items_purchased`,
+      `SUM(IF(event_name = 'purchase', item_revenue, 0)) AS item_revenue`,
+      `SUM(IF(event_name = 'purchase', item_revenue_in_usd, 0)) AS item_revenue_in_usd`
+    );
+  }
+  if (ecommerceEvents.includes('refund')) {
+    columns.push(
+      `SUM(IF(event_name = 'refund', quantity, 0)) AS items_refunded`,
+      `SUM(IF(event_name = 'refund', item_refund, 0)) AS item_refund`,
+      `SUM(IF(event_name = 'refund', item_refund_in_usd, 0)) AS item_refund_in_usd`
+    );
+  }
+  return columns.join(',\n    ');
+}
+
+/**
+ * Generates the STAGE_RATES whose two stages are both configured
+ * (empty when none are)
+ */
+function PRODUCT_RATES_SQL(ecommerceEvents) {
+  return Object.entries(STAGE_RATES)
+    .filter(([, events]) => events.every(eventName => ecommerceEvents.includes(eventName)))
+    .map(([rate, [numerator, denominator]]) =>
+      `SAFE_DIVIDE(${getStageMetricName(numerator)}, ${getStageMetricName(denominator)}) AS ${rate}`)
+    .join(',\n  ');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks PRODUCT_PERFORMANCE_CONFIG (product_performance_daily)
+ */
+function checkProductPerformance(config, errors) {
+  const performance = config.PRODUCT_PERFORMANCE_CONFIG;
+  if (performance === undefined || performance === null) return;
+  if (typeof performance !== 'object' || Array.isArray(performance)) {
+    errors.push('PRODUCT_PERFORMANCE_CONFIG: must be an object');
+    return;
+  }
+
+  if (performance.breakdown !== undefined && performance.breakdown !== null
+      && !Object.keys(PRODUCT_BREAKDOWNS).includes(performance.breakdown)) {
+    errors.push(`PRODUCT_PERFORMANCE_CONFIG.breakdown: '${performance.breakdown}' is not one of null, ${Object.keys(PRODUCT_BREAKDOWNS).join(', ')}`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  STAGE_METRICS,
+  STAGE_RATES,
+  PRODUCT_BREAKDOWNS,
+  PRODUCT_PERFORMANCE_DEFAULTS,
+  getProductPerformanceConfig,
+  getStageMetricName,
+
+  // SQL Generation
+  PRODUCT_STAGE_METRICS_SQL,
+  PRODUCT_VALUE_METRICS_SQL,
+  PRODUCT_RATES_SQL,
+
+  // Validation
+  checkProductPerformance
+};
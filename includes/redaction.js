@@ -0,0 +1,197 @@
+// ============================================================================
+// REDACTION.JS — PII Redaction Generators
+// Owned by upstream repository
+//
+// Scrubs string params flagged `redact: true` in the param arrays while
+// base_events extracts them. Query-string keys and detectors come from
+// REDACTION_CONFIG in client_config.js, merged over the defaults below.
+// Every replacement leaves a [REDACTED:<detector>] marker, which
+// model_execution_log counts per day.
+// ============================================================================
+
+const helpers = require('./helper');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Built-in detectors (RE2), applied in this order after the query-key denylist
+ * card_number only matches 16-digit (2–6 prefix) and 15-digit Amex layouts, so
+ * millisecond timestamps and numeric IDs survive; it runs before phone so card
+ * digits are not half-matched as phones
+ */
+const REDACTION_DETECTORS = {
+  email: String.raw`[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}`,
+  card_number: String.raw`\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b`,
+  phone: String.raw`(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b`
+};
+
+/**
+ * Detector name used for values removed by the query-key denylist
+ */
+const QUERY_KEY_DETECTOR = 'query_key';
+
+/**
+ * Defaults; REDACTION_CONFIG overrides individual settings
+ *
+ * query_keys       query-string keys whose values are always removed (case-insensitive)
+ * detectors        built-in detectors to run (keys of REDACTION_DETECTORS)
+ * custom_patterns  { <detector_name>: '<RE2 pattern>' } run after the built-ins
+ */
+const REDACTION_DEFAULTS = {
+  query_keys: [
+    'email', 'e-mail', 'mail', 'phone', 'tel', 'mobile',
+    'token', 'access_token', 'id_token', 'auth', 'password', 'pwd', 'ssn'
+  ],
+  detectors: Object.keys(REDACTION_DETECTORS),
+  custom_patterns: {}
+};
+
+/**
+ * Gets the effective redaction settings (defaults + REDACTION_CONFIG overrides)
+ */
+function getRedactionConfig() {
+  const config = helpers.getConfig();
+  return { ...REDACTION_DEFAULTS, ...(config.REDACTION_CONFIG || {}) };
+}
+
+/**
+ * Columns of the extracted event params and user properties opted in to
+ * scrubbing (redact: true); event params follow the effective data stream type
+ */
+function getRedactedParamNames() {
+  const config = helpers.getConfig();
+
+  return [...helpers.getExtractedEventParams(), ...(config.CORE_USER_PROPS_ARRAY || [])]
+    .filter(param => param.redact === true)
+    .map(param => helpers.getParamColumnName(param));
+}
+
+/**
+ * Detector names in the order they run (query_key first when keys are configured)
+ */
+function getActiveDetectors(redactionConfig) {
+  return [
+    ...(redactionConfig.query_keys.length > 0 ? [QUERY_KEY_DETECTOR] : []),
+    ...Object.keys(REDACTION_DETECTORS).filter(name => redactionConfig.detectors.includes(name)),
+    ...Object.keys(redactionConfig.custom_patterns)
+  ];
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wraps a string expression in the configured REGEXP_REPLACE chain
+ */
+function REDACT_SQL(expression, redactionConfig) {
+  let sql = expression;
+
+  if (redactionConfig.query_keys.length > 0) {
+    const keys = redactionConfig.query_keys.map(escapeRegex).join('|');
+    sql = `REGEXP_REPLACE(${sql}, r'(?i)([?&#;](?:${keys})=)[^&#;]*', r'\\1[REDACTED:${QUERY_KEY_DETECTOR}]')`;
+  }
+
+  const patterns = {
+    ...Object.fromEntries(Object.entries(REDACTION_DETECTORS)
+      .filter(([name]) => redactionConfig.detectors.includes(name))),
+    ...redactionConfig.custom_patterns
+  };
+  Object.entries(patterns).forEach(([name, pattern]) => {
+    sql = `REGEXP_REPLACE(${sql}, r'${pattern}', '[REDACTED:${name}]')`;
+  });
+
+  return sql;
+}
+
+/**
+ * Generates per-date, per-detector redaction counts from base_events
+ * Columns: event_date, detector, redactions, redacted_sessions
+ * @param {string} baseEventsTable - ref("base_events")
+ * @param {string} dateFilter - condition on event_date
+ */
+function REDACTION_COUNTS_SQL(baseEventsTable, dateFilter) {
+  const params = getRedactedParamNames();
+  return `SELECT
+    event_date,
+    detector,
+    COUNT(*) AS redactions,
+    COUNT(DISTINCT session_key) AS redacted_sessions
+  FROM ${baseEventsTable},
+    UNNEST([${params.join(', ')}]) AS redacted_value,
+    UNNEST(REGEXP_EXTRACT_ALL(redacted_value, r'\\[REDACTED:([a-z0-9_]+)\\]')) AS detector
+  WHERE ${dateFilter}
+  GROUP BY event_date, detector`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks REDACTION_CONFIG (PII scrubbing in base_events)
+ * Keys and patterns are inlined in r'...' literals, so they cannot contain quotes
+ */
+function checkRedaction(config, errors) {
+  const redaction = config.REDACTION_CONFIG;
+  if (redaction === undefined || redaction === null) return;
+  if (typeof redaction !== 'object' || Array.isArray(redaction)) {
+    errors.push('REDACTION_CONFIG: must be an object');
+    return;
+  }
+
+  const detectorNames = Object.keys(REDACTION_DETECTORS);
+  const isLiteralSafe = value => typeof value === 'string' && value !== '' && !/['\n]/.test(value);
+
+  if (redaction.query_keys !== undefined
+      && (!Array.isArray(redaction.query_keys) || !redaction.query_keys.every(isLiteralSafe))) {
+    errors.push('REDACTION_CONFIG.query_keys: must be an array of non-empty strings without quotes');
+  }
+  if (redaction.detectors !== undefined
+      && (!Array.isArray(redaction.detectors) || redaction.detectors.some(name => !detectorNames.includes(name)))) {
+    errors.push(`REDACTION_CONFIG.detectors: must be an array of ${detectorNames.join(', ')}`);
+  }
+
+  const custom = redaction.custom_patterns;
+  if (custom !== undefined) {
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+      errors.push('REDACTION_CONFIG.custom_patterns: must be an object of { detector_name: pattern }');
+    } else {
+      Object.entries(custom).forEach(([name, pattern]) => {
+        if (!/^[a-z0-9_]+$/.test(name) || detectorNames.includes(name) || name === QUERY_KEY_DETECTOR) {
+          errors.push(`REDACTION_CONFIG.custom_patterns: '${name}' must be lowercase letters, digits or _ and not a built-in detector name`);
+        }
+        if (!isLiteralSafe(pattern)) {
+          errors.push(`REDACTION_CONFIG.custom_patterns.${name}: must be a non-empty pattern without quotes`);
+        }
+      });
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  REDACTION_DETECTORS,
+  QUERY_KEY_DETECTOR,
+  REDACTION_DEFAULTS,
+  getRedactionConfig,
+  getRedactedParamNames,
+  getActiveDetectors,
+
+  // SQL Generation
+  REDACT_SQL,
+  REDACTION_COUNTS_SQL,
+
+  // Validation
+  checkRedaction
+};
@@ -4,40 +4,170 @@
 // ============================================================================
 
 const helpers = require('./helper');
-const config = helpers.getConfig();
+const redaction = require('./redaction');
+
+// ============================================================================
+// PARAMETER SPECS
+// ============================================================================
+
+/**
+ * Alternative spellings → canonical param type
+ */
+const PARAM_TYPE_ALIASES = {
+  integer: 'int',
+  float: 'double',
+  boolean: 'bool'
+};
+
+/**
+ * Types read from a single value field; bool, timestamp and auto coalesce
+ * every value field into their target type instead
+ */
+const PARAM_VALUE_FIELDS = {
+  string: 'string_value',
+  int: 'int_value',
+  double: 'double_value'
+};
+
+/**
+ * Target types a coalesced param can produce (type: 'auto' defaults to string)
+ */
+const PARAM_TARGET_TYPES = ['string', 'int', 'double', 'bool', 'timestamp'];
+
+/**
+ * Defaults; OTHER_PARAMS_CONFIG overrides individual settings
+ *
+ * enabled      add an other_params JSON column holding every event param not extracted into a column
+ * redact       scrub its string values with the REDACTION_CONFIG chain
+ * ignore_keys  keys left out of other_params
+ */
+const OTHER_PARAMS_DEFAULTS = {
+  enabled: false,
+  redact: true,
+  ignore_keys: []
+};
+
+/**
+ * Gets the effective other_params settings (defaults + OTHER_PARAMS_CONFIG overrides)
+ */
+function getOtherParamsConfig() {
+  const config = helpers.getConfig();
+  return { ...OTHER_PARAMS_DEFAULTS, ...(config.OTHER_PARAMS_CONFIG || {}) };
+}
+
+function canonicalType(type) {
+  const lower = String(type).toLowerCase();
+  return PARAM_TYPE_ALIASES[lower] || lower;
+}
+
+/**
+ * Resolves a param spec to its column, target type and value field
+ * (field is null when the value fields are coalesced)
+ */
+function resolveParamSpec(param) {
+  const type = canonicalType(param.type);
+  const target = type === 'auto' ? canonicalType(param.target || 'string') : type;
+
+  if (type !== 'auto' && param.target !== undefined) {
+    throw new Error(`Parameter ${param.name}: target only applies to type 'auto'`);
+  }
+  if (!PARAM_TARGET_TYPES.includes(target)) {
+    throw new Error(`Unsupported parameter type: ${param.type} for parameter: ${param.name}`);
+  }
+
+  return {
+    column: helpers.getParamColumnName(param),
+    target,
+    field: type === 'auto' ? null : PARAM_VALUE_FIELDS[type] || null
+  };
+}
 
 // ============================================================================
 // PARAMETER EXTRACTION HELPERS
 // ============================================================================
 
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Internal: Unix epoch (seconds, milliseconds or microseconds, told apart by magnitude) as TIMESTAMP
+ */
+function epochToTimestampSQL(expression) {
+  return `(SELECT CASE
+            WHEN ABS(epoch) >= 100000000000000 THEN SAFE.TIMESTAMP_MICROS(epoch)
+            WHEN ABS(epoch) >= 100000000000 THEN SAFE.TIMESTAMP_MILLIS(epoch)
+            ELSE SAFE.TIMESTAMP_SECONDS(epoch)
+          END FROM UNNEST([${expression}]) AS epoch)`;
+}
+
+/**
+ * Internal: every value field SAFE_CAST to the target type, first non-NULL wins
+ */
+function coalescedValueSQL(target) {
+  switch (target) {
+    case 'string':
+      return 'COALESCE(value.string_value, CAST(value.int_value AS STRING), CAST(value.double_value AS STRING), CAST(value.float_value AS STRING))';
+    case 'int':
+      return 'COALESCE(value.int_value, SAFE_CAST(value.string_value AS INT64), SAFE_CAST(value.double_value AS INT64), SAFE_CAST(value.float_value AS INT64))';
+    case 'double':
+      return 'COALESCE(value.double_value, value.float_value, CAST(value.int_value AS FLOAT64), SAFE_CAST(value.string_value AS FLOAT64))';
+    case 'bool':
+      return `COALESCE(
+          CASE
+            WHEN LOWER(TRIM(value.string_value)) IN ('true', '1', 'yes') THEN TRUE
+            WHEN LOWER(TRIM(value.string_value)) IN ('false', '0', 'no') THEN FALSE
+          END,
+          value.int_value != 0, value.double_value != 0, value.float_value != 0)`;
+    case 'timestamp':
+      return `COALESCE(
+          SAFE_CAST(value.string_value AS TIMESTAMP),
+          ${epochToTimestampSQL('COALESCE(value.int_value, SAFE_CAST(value.string_value AS INT64), SAFE_CAST(value.double_value AS INT64))')})`;
+  }
+}
+
+/**
+ * Internal: a default value as a literal of the target type
+ */
+function literalSQL(value, target) {
+  switch (target) {
+    case 'string': return quote(value);
+    case 'bool': return value ? 'TRUE' : 'FALSE';
+    case 'timestamp': return `TIMESTAMP ${quote(value)}`;
+    default: return String(value);
+  }
+}
+
 /**
  * Internal: Generates SQL for extracting parameters from a repeated STRUCT array
+ * Shared by event params, user properties and item params. Per spec:
+ * redact: true scrubs string values (see redaction.js), default fills NULLs,
+ * events limits extraction to the listed event names (NULL elsewhere)
  */
-function extractParamsSQL(paramsArray, sourceArray = 'event_params') {
+function extractParamsSQL(paramsArray, sourceArray = 'event_params', separator = ',\n        ') {
   return paramsArray.map(param => {
-    let valueField;
-    
-    switch(param.type.toLowerCase()) {
-      case 'string':
-        valueField = 'string_value'; break;
-      case 'int':
-      case 'integer':
-        valueField = 'int_value'; break;
-      case 'float':
-      case 'double':
-        valueField = 'double_value'; break;
-      default:
-        throw new Error(`Unsupported parameter type: ${param.type} for parameter: ${param.name}`);
+    const spec = resolveParamSpec(param);
+    const value = spec.field ? `value.${spec.field}` : coalescedValueSQL(spec.target);
+
+    let extractSQL = `(SELECT ${value} FROM UNNEST(${sourceArray}) WHERE key = ${quote(param.name)})`;
+    if (param.redact === true) {
+      extractSQL = redaction.REDACT_SQL(extractSQL, redaction.getRedactionConfig());
     }
-    
-    return `(SELECT value.${valueField} FROM UNNEST(${sourceArray}) WHERE key = '${param.name}') AS ${param.name}`;
-  }).join(',\n        ');
+    if (param.default !== undefined && param.default !== null) {
+      extractSQL = `COALESCE(${extractSQL}, ${literalSQL(param.default, spec.target)})`;
+    }
+    if (Array.isArray(param.events) && param.events.length > 0) {
+      extractSQL = `IF(event_name IN (${param.events.map(quote).join(', ')}), ${extractSQL}, NULL)`;
+    }
+    return `${extractSQL} AS ${spec.column}`;
+  }).join(separator);
 }
 
 /**
  * Extracts core event parameters (always included)
  */
 function EXTRACT_EVENT_PARAMS(sourceArray = 'event_params') {
+  const config = helpers.getConfig();
   if (config.CORE_PARAMS_ARRAY.length === 0) return '';
   return extractParamsSQL(config.CORE_PARAMS_ARRAY, sourceArray);
 }
@@ -46,6 +176,7 @@ function EXTRACT_EVENT_PARAMS(sourceArray = 'event_params') {
  * Extracts web-specific parameters
  */
 function EXTRACT_WEB_PARAMS(sourceArray = 'event_params') {
+  const config = helpers.getConfig();
   if (config.WEB_PARAMS_ARRAY.length === 0) return '';
   return extractParamsSQL(config.WEB_PARAMS_ARRAY, sourceArray);
 }
@@ -54,6 +185,7 @@ function EXTRACT_WEB_PARAMS(sourceArray = 'event_params') {
  * Extracts app-specific parameters
  */
 function EXTRACT_APP_PARAMS(sourceArray = 'event_params') {
+  const config = helpers.getConfig();
   if (config.APP_PARAMS_ARRAY.length === 0) return '';
   return extractParamsSQL(config.APP_PARAMS_ARRAY, sourceArray);
 }
@@ -62,15 +194,50 @@ function EXTRACT_APP_PARAMS(sourceArray = 'event_params') {
  * Extracts custom event parameters (always extracted)
  */
 function EXTRACT_CUSTOM_PARAMS(sourceArray = 'event_params') {
+  const config = helpers.getConfig();
   if (config.CUSTOM_PARAMS_ARRAY.length === 0) return '';
   return extractParamsSQL(config.CUSTOM_PARAMS_ARRAY, sourceArray);
 }
 
+/**
+ * Generates the other_params JSON column: every event param not extracted into
+ * a column, keyed by name (string values redacted unless OTHER_PARAMS_CONFIG.redact = false)
+ */
+function EXTRACT_OTHER_PARAMS(sourceArray = 'event_params') {
+  const otherParams = getOtherParamsConfig();
+  if (!otherParams.enabled) return '';
+
+  const excludedKeys = [...new Set([
+    ...helpers.getExtractedEventParams().map(param => param.name),
+    ...otherParams.ignore_keys
+  ])];
+  const stringValue = otherParams.redact
+    ? redaction.REDACT_SQL('value.string_value', redaction.getRedactionConfig())
+    : 'value.string_value';
+
+  return `(
+          SELECT JSON_OBJECT(
+            ARRAY_AGG(key ORDER BY key),
+            ARRAY_AGG(CASE
+              WHEN value.string_value IS NOT NULL THEN TO_JSON(${stringValue})
+              WHEN value.int_value IS NOT NULL THEN TO_JSON(value.int_value)
+              WHEN value.double_value IS NOT NULL THEN TO_JSON(value.double_value)
+              WHEN value.float_value IS NOT NULL THEN TO_JSON(value.float_value)
+              ELSE JSON 'null'
+            END ORDER BY key)
+          )
+          FROM UNNEST(${sourceArray})
+          ${excludedKeys.length > 0 ? `WHERE key NOT IN (${excludedKeys.map(quote).join(', ')})` : ''}
+          HAVING COUNT(*) > 0
+        ) AS other_params`;
+}
+
 /**
  * Generates consolidation SQL for web/app parameters
  * Creates unified fields when CONSOLIDATE_WEB_APP_PARAMS = true
  */
 function CONSOLIDATE_PARAMS() {
+  const config = helpers.getConfig();
   const effectiveType = helpers.getEffectiveDataStreamType();
   
   if (effectiveType !== 'both' || !config.CONSOLIDATE_WEB_APP_PARAMS) {
@@ -84,7 +251,7 @@ function CONSOLIDATE_PARAMS() {
       if (!consolidationMap[param.consolidated_name]) {
         consolidationMap[param.consolidated_name] = { web: null, app: null };
       }
-      consolidationMap[param.consolidated_name].web = param.name;
+      consolidationMap[param.consolidated_name].web = helpers.getParamColumnName(param);
     }
   });
   
@@ -93,7 +260,7 @@ function CONSOLIDATE_PARAMS() {
       if (!consolidationMap[param.consolidated_name]) {
         consolidationMap[param.consolidated_name] = { web: null, app: null };
       }
-      consolidationMap[param.consolidated_name].app = param.name;
+      consolidationMap[param.consolidated_name].app = helpers.getParamColumnName(param);
     }
   });
   
@@ -115,11 +282,14 @@ function CONSOLIDATE_PARAMS() {
 /**
  * Generates event key concatenation including all extracted parameters
  * Dynamically builds the hash based on what parameters are actually extracted
+ * (led by the property in advanced mode, see PROPERTY_KEY_PARTS)
  */
 function GENERATE_EVENT_KEY_CONCAT() {
+  const config = helpers.getConfig();
   const effectiveType = helpers.getEffectiveDataStreamType();
   
   const fields = [
+    ...helpers.PROPERTY_KEY_PARTS(),
     "COALESCE(user_id, '')",
     "COALESCE(CAST(ga_session_id AS STRING), '')",
     "CAST(event_timestamp AS STRING)",
@@ -130,7 +300,7 @@ function GENERATE_EVENT_KEY_CONCAT() {
   ];
   
   config.CORE_PARAMS_ARRAY.forEach(param => {
-    fields.push(`COALESCE(CAST(${param.name} AS STRING), '')`);
+    fields.push(`COALESCE(CAST(${helpers.getParamColumnName(param)} AS STRING), '')`);
   });
   
   if (effectiveType === 'both' && config.CONSOLIDATE_WEB_APP_PARAMS) {
@@ -146,30 +316,30 @@ function GENERATE_EVENT_KEY_CONCAT() {
       if (param.consolidated_name) {
         consolidatedNames.add(param.consolidated_name);
       } else {
-        fields.push(`COALESCE(CAST(${param.name} AS STRING), '')`);
+        fields.push(`COALESCE(CAST(${helpers.getParamColumnName(param)} AS STRING), '')`);
       }
     });
     
     consolidatedNames.forEach(name => {
-      fields.push(`COALESCE(${name}, '')`);
+      fields.push(`COALESCE(CAST(${name} AS STRING), '')`);
     });
     
   } else {
     if (effectiveType === 'web' || effectiveType === 'both') {
       config.WEB_PARAMS_ARRAY.forEach(param => {
-        fields.push(`COALESCE(CAST(${param.name} AS STRING), '')`);
+        fields.push(`COALESCE(CAST(${helpers.getParamColumnName(param)} AS STRING), '')`);
       });
     }
     
     if (effectiveType === 'app' || effectiveType === 'both') {
       config.APP_PARAMS_ARRAY.forEach(param => {
-        fields.push(`COALESCE(CAST(${param.name} AS STRING), '')`);
+        fields.push(`COALESCE(CAST(${helpers.getParamColumnName(param)} AS STRING), '')`);
       });
     }
   }
   
   config.CUSTOM_PARAMS_ARRAY.forEach(param => {
-    fields.push(`COALESCE(CAST(${param.name} AS STRING), '')`);
+    fields.push(`COALESCE(CAST(${helpers.getParamColumnName(param)} AS STRING), '')`);
   });
   
   return fields.join(", '-', ");
@@ -183,56 +353,15 @@ function GENERATE_EVENT_KEY_CONCAT() {
  * Generates SQL for extracting user properties
  */
 function EXTRACT_USER_PROPS(sourceArray = 'user_properties') {
+  const config = helpers.getConfig();
   if (config.CORE_USER_PROPS_ARRAY.length === 0) return '';
-  
-  return config.CORE_USER_PROPS_ARRAY.map(prop => {
-    let valueField;
-    
-    switch(prop.type.toLowerCase()) {
-      case 'string':
-        valueField = 'string_value'; break;
-      case 'int':
-      case 'integer':
-        valueField = 'int_value'; break;
-      case 'float':
-      case 'double':
-        valueField = 'double_value'; break;
-      default:
-        throw new Error(`Unsupported property type: ${prop.type} for property: ${prop.name}`);
-    }
-    
-    return `(SELECT value.${valueField} FROM UNNEST(${sourceArray}) WHERE key = '${prop.name}') AS ${prop.name}`;
-  }).join(',\n        ');
+  return extractParamsSQL(config.CORE_USER_PROPS_ARRAY, sourceArray);
 }
 
 // ============================================================================
 // ITEMS ARRAY
 // ============================================================================
 
-/**
- * Internal: generates item parameter extraction SQL
- */
-function generateItemParamsSQL(paramsConfig, sourceArray) {
-  return paramsConfig.map(param => {
-    let valueField;
-    
-    switch(param.type.toLowerCase()) {
-      case 'string':
-        valueField = 'string_value'; break;
-      case 'int':
-      case 'integer':
-        valueField = 'int_value'; break;
-      case 'float':
-      case 'double':
-        valueField = 'double_value'; break;
-      default:
-        throw new Error(`Unsupported item parameter type: ${param.type} for parameter: ${param.name}`);
-    }
-    
-    return `(SELECT value.${valueField} FROM UNNEST(${sourceArray}) WHERE key = '${param.name}') AS ${param.name}`;
-  }).join(',\n                ');
-}
-
 /**
  * Internal: wraps SQL in a STRUCT
  */
@@ -246,11 +375,12 @@ function generateStructSQL(paramsSQL) {
  * Generates items array extraction with optional custom item parameters
  */
 function EXTRACT_ITEMS_ARRAY() {
+  const config = helpers.getConfig();
   const hasCustomParams = config.CUSTOM_ITEMS_PARAMS && config.CUSTOM_ITEMS_PARAMS.length > 0;
   
   let customParamsSQL = '';
   if (hasCustomParams) {
-    const paramsSQL = generateItemParamsSQL(config.CUSTOM_ITEMS_PARAMS, 'items.item_params');
+    const paramsSQL = extractParamsSQL(config.CUSTOM_ITEMS_PARAMS, 'items.item_params', ',\n                ');
     customParamsSQL = `,
                 ${generateStructSQL(paramsSQL)} AS item_params_custom`;
   }
@@ -291,16 +421,51 @@ function EXTRACT_ITEMS_ARRAY() {
     ) AS items`;
 }
 
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks OTHER_PARAMS_CONFIG (the other_params JSON catch-all column)
+ */
+function checkOtherParams(config, errors) {
+  const otherParams = config.OTHER_PARAMS_CONFIG;
+  if (otherParams === undefined || otherParams === null) return;
+  if (typeof otherParams !== 'object' || Array.isArray(otherParams)) {
+    errors.push('OTHER_PARAMS_CONFIG: must be an object');
+    return;
+  }
+
+  ['enabled', 'redact'].forEach(key => {
+    if (otherParams[key] !== undefined && typeof otherParams[key] !== 'boolean') {
+      errors.push(`OTHER_PARAMS_CONFIG.${key}: must be true or false`);
+    }
+  });
+  if (otherParams.ignore_keys !== undefined
+      && (!Array.isArray(otherParams.ignore_keys)
+        || !otherParams.ignore_keys.every(key => typeof key === 'string' && key !== ''))) {
+    errors.push('OTHER_PARAMS_CONFIG.ignore_keys: must be an array of non-empty strings');
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
 module.exports = {
+  // Parameter Specs
+  PARAM_TYPE_ALIASES,
+  PARAM_VALUE_FIELDS,
+  PARAM_TARGET_TYPES,
+  OTHER_PARAMS_DEFAULTS,
+  getOtherParamsConfig,
+
   // Parameter Extraction
   EXTRACT_EVENT_PARAMS,
   EXTRACT_WEB_PARAMS,
   EXTRACT_APP_PARAMS,
   EXTRACT_CUSTOM_PARAMS,
+  EXTRACT_OTHER_PARAMS,
   CONSOLIDATE_PARAMS,
   
   // Key Generation
@@ -310,5 +475,8 @@ module.exports = {
   EXTRACT_USER_PROPS,
   
   // Items Array
-  EXTRACT_ITEMS_ARRAY
+  EXTRACT_ITEMS_ARRAY,
+
+  // Validation
+  checkOtherParams
 };
\ No newline at end of file
@@ -7,7 +7,7 @@
 // ============================================================================
 
 const helpers = require('./helper');
-const config = helpers.getConfig();
+const channelGrouping = require('./channel_grouping');
 
 // ============================================================================
 // CORE FUNCTIONS
@@ -17,6 +17,7 @@ const config = helpers.getConfig();
  * Check if custom traffic source logic should be used
  */
 function shouldUseCustomTrafficSource() {
+  const config = helpers.getConfig();
   return config.USE_CUSTOM_TRAFFIC_SOURCE_LOGIC === true;
 }
 
@@ -33,6 +34,26 @@ function getDefaultTrafficSourceFields() {
   };
 }
 
+/**
+ * Channel grouping rules for session_channel_group (custom logic)
+ * EDIT THIS FUNCTION to extend or override GA4's default channel groups
+ *
+ * Starts from GA4's default definitions in channel_grouping.js. Rules are
+ * ordered (first match wins) and validated at compile time, e.g.:
+ *   overrides: { 'Paid Social': { match: [{ source: { category: 'social' }, medium: { exact: 'paid_social' } }] } }
+ *   additions: [{ channel: 'Partners', match: [{ source: { regex: '^partner_' } }], before: 'Referral' }]
+ *   remove: ['Audio']
+ *   sourceCategories: { social: ['mastodon.online'] }
+ */
+function getChannelGroupingRules() {
+  return channelGrouping.buildChannelRules({
+    overrides: {},
+    additions: [],
+    remove: [],
+    sourceCategories: {}
+  });
+}
+
 /**
  * Custom traffic source field references
  * EDIT THIS FUNCTION to implement client-specific traffic source logic
@@ -66,7 +87,7 @@ function getCustomTrafficSourceFields() {
     END`,
     
     session_campaign: `session_traffic_source_last_click.cross_channel_campaign.campaign_name`,
-    session_channel_group: `session_traffic_source_last_click.cross_channel_campaign.default_channel_group`,
+    session_channel_group: channelGrouping.CHANNEL_GROUP_SQL(getChannelGroupingRules()),
     
     // Additional custom fields
     session_campaign_id: `session_traffic_source_last_click.cross_channel_campaign.campaign_id`,
@@ -127,6 +148,7 @@ function getTrafficSourceAggregateSQL() {
 
 module.exports = {
   shouldUseCustomTrafficSource,
+  getChannelGroupingRules,
   getDefaultTrafficSourceFields,
   getCustomTrafficSourceFields,
   getTrafficSourceFields,
@@ -0,0 +1,144 @@
+// ============================================================================
+// TRANSACTIONS.JS — Purchase Deduplication & Refund Reconciliation
+// Owned by upstream repository
+//
+// transactions.sqlx keeps one purchase per transaction_id (reloaded
+// confirmation pages resend it) and links refunds back to it: event-level
+// refund_value, or the item-level item_refund sum from ecommerce_items for
+// partial refunds sent with items only. Settings come from
+// TRANSACTION_RECONCILIATION in client_config.js, merged over the defaults below.
+// ============================================================================
+
+const helpers = require('./helper');
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+/**
+ * Which purchase hit is kept when a transaction_id is sent more than once
+ *
+ * first_wins   earliest hit
+ * last_wins    latest hit
+ * max_revenue  hit with the highest purchase_revenue (earliest on ties)
+ */
+const DEDUP_POLICIES = ['first_wins', 'last_wins', 'max_revenue'];
+
+/**
+ * Defaults; TRANSACTION_RECONCILIATION overrides individual settings
+ *
+ * dedup_policy             one of DEDUP_POLICIES
+ * max_duplicate_order_pct  assert_transaction_duplicates fails when more than this
+ *                          share of orders (0-100) in the refresh window had duplicate hits
+ */
+const RECONCILIATION_DEFAULTS = {
+  dedup_policy: 'first_wins',
+  max_duplicate_order_pct: 5
+};
+
+/**
+ * Gets the effective reconciliation settings (defaults + TRANSACTION_RECONCILIATION overrides)
+ */
+function getReconciliationConfig() {
+  const config = helpers.getConfig();
+  return { ...RECONCILIATION_DEFAULTS, ...(config.TRANSACTION_RECONCILIATION || {}) };
+}
+
+// ============================================================================
+// SQL GENERATION
+// ============================================================================
+
+/**
+ * Generates the window ORDER BY that ranks a transaction_id's purchase hits
+ * (the first row is kept); event_key makes ties deterministic
+ */
+function DEDUP_ORDER_SQL(policy) {
+  switch (policy) {
+    case 'last_wins': return 'event_timestamp DESC, event_key';
+    case 'max_revenue': return 'purchase_revenue DESC NULLS LAST, event_timestamp, event_key';
+    default: return 'event_timestamp, event_key';
+  }
+}
+
+/**
+ * Generates the refund status of a purchase from its reconciled refund total
+ * none | partial | full (refunded at least the purchase revenue, to the cent)
+ */
+function REFUND_STATUS_SQL(revenueColumn = 'purchase_revenue', refundedColumn = 'refunded_value') {
+  return `CASE
+      WHEN ${refundedColumn} IS NULL OR ${refundedColumn} = 0 THEN 'none'
+      WHEN ROUND(${refundedColumn}, 2) >= ROUND(COALESCE(${revenueColumn}, 0), 2) THEN 'full'
+      ELSE 'partial'
+    END`;
+}
+
+/**
+ * Generates the duplicate-order check for assert_transaction_duplicates:
+ * one row when the share of purchases with duplicate hits exceeds the threshold
+ * @param {string} transactionsTable - ref() to transactions
+ */
+function DUPLICATE_ORDERS_CHECK_SQL(transactionsTable, reconciliationConfig, windowDays) {
+  return `WITH recent_orders AS (
+  SELECT
+    COUNT(*) AS orders,
+    COUNTIF(duplicate_count > 1) AS duplicated_orders,
+    SUM(duplicate_count - 1) AS duplicate_hits
+  FROM ${transactionsTable}
+  WHERE event_name = 'purchase'
+    AND event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${windowDays} DAY)
+    AND event_date < CURRENT_DATE()
+)
+
+SELECT
+  'DUPLICATE_ORDERS' AS check_name,
+  FORMAT('%d of %d orders (%.1f%%) had duplicate purchase hits (%d extra hits) in the last %d days; threshold is %.1f%%',
+    duplicated_orders, orders, 100 * duplicated_orders / orders, duplicate_hits,
+    ${windowDays}, CAST(${reconciliationConfig.max_duplicate_order_pct} AS FLOAT64)
+  ) AS detail
+FROM recent_orders
+WHERE orders > 0
+  AND 100 * duplicated_orders / orders > ${reconciliationConfig.max_duplicate_order_pct}`;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks TRANSACTION_RECONCILIATION (transactions, assert_transaction_duplicates)
+ */
+function checkTransactionReconciliation(config, errors) {
+  const reconciliation = config.TRANSACTION_RECONCILIATION;
+  if (reconciliation === undefined || reconciliation === null) return;
+  if (typeof reconciliation !== 'object' || Array.isArray(reconciliation)) {
+    errors.push('TRANSACTION_RECONCILIATION: must be an object');
+    return;
+  }
+
+  if (reconciliation.dedup_policy !== undefined && !DEDUP_POLICIES.includes(reconciliation.dedup_policy)) {
+    errors.push(`TRANSACTION_RECONCILIATION.dedup_policy: '${reconciliation.dedup_policy}' is not one of ${DEDUP_POLICIES.join(', ')}`);
+  }
+  const pct = reconciliation.max_duplicate_order_pct;
+  if (pct !== undefined && (typeof pct !== 'number' || !Number.isFinite(pct) || pct < 0 || pct > 100)) {
+    errors.push(`TRANSACTION_RECONCILIATION.max_duplicate_order_pct: must be a number between 0 and 100 (got ${pct})`);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  // Config
+  DEDUP_POLICIES,
+  RECONCILIATION_DEFAULTS,
+  getReconciliationConfig,
+
+  // SQL Generation
+  DEDUP_ORDER_SQL,
+  REFUND_STATUS_SQL,
+  DUPLICATE_ORDERS_CHECK_SQL,
+
+  // Validation
+  checkTransactionReconciliation
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// ============================================================================
+// PLAN_BACKFILL.JS — Backfill Release Plan from a Date Range
+// Owned by upstream repository
+//
+// Usage:
+//   node scripts/plan_backfill.js <start YYYYMMDD> <end YYYYMMDD> [--chunk=month|<days>] [--max-days=<n>] [--json]
+//
+// Splits the range into consecutive chunks (calendar months by default) and
+// prints the compilation variables of one backfill release per chunk, in
+// order. Every chunk passes the same checks as compilation (includes/backfill.js),
+// and the plan is checked for overlaps and gaps before anything is printed.
+// ============================================================================
+
+const {
+  getBackfillRangeErrors,
+  planBackfillChunks,
+  getChunkCoverageErrors
+} = require('../includes/backfill');
+
+/**
+ * Default --max-days (mirrors the BACKFILL_MAX_DAYS default in includes/core_config.js)
+ */
+const DEFAULT_MAX_DAYS = 31;
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Parses --chunk: 'month' or a positive number of days
+ */
+function parseChunk(value) {
+  if (value === undefined || value === 'month') return 'month';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Plans the releases for start..end
+ * @returns {{chunks: Array<{start: string, end: string, days: number}>, errors: string[]}}
+ */
+function planReleases(start, end, { chunk = 'month', maxDays = DEFAULT_MAX_DAYS, today = new Date() } = {}) {
+  const rangeErrors = getBackfillRangeErrors(start, end, { today });
+  if (rangeErrors.length > 0) return { chunks: [], errors: rangeErrors };
+
+  let chunks;
+  try {
+    chunks = planBackfillChunks(start, end, chunk);
+  } catch (error) {
+    return { chunks: [], errors: [error.message] };
+  }
+
+  const errors = [
+    ...chunks.flatMap((c, index) => getBackfillRangeErrors(c.start, c.end, { maxDays, today })
+      .map(error => `chunk ${index + 1}: ${error}`)),
+    ...getChunkCoverageErrors(chunks, start, end)
+  ];
+  return { chunks, errors };
+}
+
+/**
+ * Compilation variables of one backfill release
+ */
+function releaseVars(chunk) {
+  return {
+    FORCE_FULL_BACKFILL: 'true',
+    BACKFILL_START_DATE: chunk.start,
+    BACKFILL_END_DATE: chunk.end
+  };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Formats the plan as one numbered release per chunk
+ */
+function formatPlan(chunks, { chunk = 'month' } = {}) {
+  const totalDays = chunks.reduce((sum, c) => sum + c.days, 0);
+  const lines = [
+    `# Backfill ${chunks[0].start}-${chunks[chunks.length - 1].end}: ${chunks.length} release${chunks.length === 1 ? '' : 's'}, ` +
+      `${totalDays} days (chunk: ${chunk === 'month' ? 'month' : `${chunk} days`})`,
+    '# Create a new release per chunk, run them in this order, and delete each when done'
+  ];
+
+  chunks.forEach((c, index) => {
+    lines.push('', `${index + 1}. backfill-${c.start}-${c.end} (${c.days} day${c.days === 1 ? '' : 's'})`);
+    Object.entries(releaseVars(c)).forEach(([name, value]) => lines.push(`   ${name}: ${value}`));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats the plan as JSON: [{ release, vars }]
+ */
+function formatPlanJson(chunks) {
+  return JSON.stringify(chunks.map(c => ({
+    release: `backfill-${c.start}-${c.end}`,
+    vars: releaseVars(c)
+  })), null, 2) + '\n';
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const flags = Object.fromEntries(argv
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('=')));
+
+  if (args.length !== 2) {
+    console.error('Usage: node scripts/plan_backfill.js <start YYYYMMDD> <end YYYYMMDD> [--chunk=month|<days>] [--max-days=<n>] [--json]');
+    process.exit(1);
+  }
+
+  const chunk = parseChunk(flags.chunk);
+  const maxDays = flags['max-days'] !== undefined ? Number(flags['max-days']) : DEFAULT_MAX_DAYS;
+  if (!Number.isInteger(maxDays) || maxDays < 1) {
+    console.error(`Invalid --max-days '${flags['max-days']}': expected a positive number of days`);
+    process.exit(1);
+  }
+
+  const { chunks, errors } = planReleases(args[0], args[1], { chunk, maxDays });
+  if (errors.length > 0) {
+    console.error(`Invalid backfill plan (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+      errors.map(e => `  - ${e}`).join('\n'));
+    process.exit(1);
+  }
+
+  process.stdout.write('json' in flags ? formatPlanJson(chunks) : formatPlan(chunks, { chunk }));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseChunk,
+  planReleases,
+  formatPlan,
+  formatPlanJson
+};
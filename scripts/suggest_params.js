@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// ============================================================================
+// SUGGEST_PARAMS.JS — client_config.js Snippet from a param_discovery Export
+// Owned by upstream repository
+//
+// Usage:
+//   node scripts/suggest_params.js <export.json> [--property=<name>] [--min-fill-rate=<0-1>]
+//
+// <export.json> is the param_discovery table exported as a JSON array
+// (bq query --format=json) or newline-delimited JSON (bq extract). Prints the
+// param entries to append to CUSTOM_PARAMS_ARRAY, CORE_USER_PROPS_ARRAY and
+// CUSTOM_ITEMS_PARAMS, followed by the configured keys that need a look.
+// ============================================================================
+
+const fs = require('node:fs');
+const {
+  RESERVED_KEYWORDS,
+  GA4_EXPORT_COLUMNS,
+  GENERATED_COLUMNS,
+  ITEM_COLUMNS
+} = require('../includes/config_checks');
+
+/**
+ * param_discovery scope → array its new keys are appended to
+ */
+const SCOPE_ARRAYS = {
+  event_param: 'CUSTOM_PARAMS_ARRAY',
+  user_property: 'CORE_USER_PROPS_ARRAY',
+  item_param: 'CUSTOM_ITEMS_PARAMS'
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parses a JSON array or newline-delimited JSON export
+ * BigQuery exports INT64 columns as strings; numbers are converted back
+ */
+function parseExport(text) {
+  const trimmed = text.trim();
+  const rows = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+
+  return rows.map(row => ({
+    ...row,
+    occurrences: Number(row.occurrences || 0),
+    scope_rows: Number(row.scope_rows || 0),
+    lookback_days: Number(row.lookback_days || 0),
+    top_event_names: row.top_event_names || [],
+    sample_values: row.sample_values || []
+  }));
+}
+
+/**
+ * Merges per-property rows into one row per scope + key (the param arrays are shared)
+ * A key is unconfigured, not_seen or mismatched if it is in any property
+ */
+function mergeRows(rows, { property = null } = {}) {
+  const merged = new Map();
+
+  rows
+    .filter(row => property === null || row.property_name === property)
+    .forEach(row => {
+      const id = `${row.scope}:${row.param_key}`;
+      const current = merged.get(id);
+      if (!current) {
+        merged.set(id, { ...row, properties: [row.property_name] });
+        return;
+      }
+
+      const seenRow = row.occurrences > current.occurrences ? row : current;
+      merged.set(id, {
+        ...current,
+        status: mergeStatus(current.status, row.status),
+        configured_array: current.configured_array || row.configured_array,
+        configured_type: current.configured_type || row.configured_type,
+        observed_type: seenRow.observed_type,
+        occurrences: current.occurrences + row.occurrences,
+        scope_rows: current.scope_rows + row.scope_rows,
+        top_event_names: [...new Set([...current.top_event_names, ...row.top_event_names])],
+        sample_values: [...new Set([...current.sample_values, ...row.sample_values])],
+        properties: [...current.properties, row.property_name]
+      });
+    });
+
+  return [...merged.values()].map(row => ({
+    ...row,
+    fill_rate: row.scope_rows > 0 ? row.occurrences / row.scope_rows : 0
+  }));
+}
+
+/**
+ * Most actionable status wins when properties disagree
+ */
+function mergeStatus(a, b) {
+  const priority = ['type_mismatch', 'unconfigured', 'configured', 'ignored', 'not_seen'];
+  return priority.indexOf(a) <= priority.indexOf(b) ? a : b;
+}
+
+// ============================================================================
+// SNIPPET
+// ============================================================================
+
+/**
+ * Why a key cannot become a base_events / items column as-is (null when it can)
+ */
+function nameProblem(name, scope, takenNames) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return 'not a valid SQL identifier';
+  if (RESERVED_KEYWORDS.includes(name.toLowerCase())) return 'BigQuery reserved keyword';
+  if (scope === 'item_param') {
+    if (ITEM_COLUMNS.includes(name.toLowerCase())) return 'collides with a standard items field';
+    return null;
+  }
+  if (GA4_EXPORT_COLUMNS.includes(name.toLowerCase())) return 'collides with a GA4 export column';
+  if (GENERATED_COLUMNS.includes(name.toLowerCase())) return 'collides with a base_events column';
+  if (takenNames.has(name.toLowerCase())) return 'name already used by another event param or user property';
+  return null;
+}
+
+function describeRow(row) {
+  const parts = [`${(row.fill_rate * 100).toFixed(1)}% fill`];
+  if (row.top_event_names.length > 0) parts.push(row.top_event_names.slice(0, 3).join(', '));
+  if (row.sample_values.length > 0) parts.push(`e.g. ${JSON.stringify(row.sample_values[0])}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Builds the client_config.js snippet from merged rows
+ * @param {Object} options - minFillRate: skip unconfigured keys below this fill rate
+ */
+function buildSnippet(rows, { minFillRate = 0 } = {}) {
+  const lookbackDays = Math.max(0, ...rows.map(row => row.lookback_days));
+  const properties = [...new Set(rows.flatMap(row => row.properties || [row.property_name]))];
+
+  // Event params and user properties share the base_events column namespace
+  const takenNames = new Set(rows
+    .filter(row => row.configured_array && row.scope !== 'item_param')
+    .map(row => row.param_key.toLowerCase()));
+
+  const lines = [
+    `// Suggested by scripts/suggest_params.js from param_discovery (${properties.join(', ')}, ${lookbackDays} days)`,
+    '// Review names and types before pasting into includes/client_config.js.'
+  ];
+
+  Object.entries(SCOPE_ARRAYS).forEach(([scope, arrayName]) => {
+    const suggestions = rows
+      .filter(row => row.scope === scope && row.status === 'unconfigured' && row.fill_rate >= minFillRate)
+      .sort((a, b) => b.occurrences - a.occurrences || a.param_key.localeCompare(b.param_key));
+    if (suggestions.length === 0) return;
+
+    lines.push('', `// ---- Append to ${arrayName} ----`);
+    suggestions.forEach(row => {
+      const entry = `{ name: "${row.param_key}", type: "${row.observed_type || 'string'}" },`;
+      const problem = nameProblem(row.param_key, scope, takenNames);
+      if (problem) {
+        lines.push(`    // ${entry}  // ${problem}: extract it in a custom model instead`);
+        return;
+      }
+      if (scope !== 'item_param') takenNames.add(row.param_key.toLowerCase());
+      lines.push(`    ${entry}  // ${describeRow(row)}`);
+    });
+  });
+
+  const review = rows
+    .filter(row => row.status === 'type_mismatch' || row.status === 'not_seen')
+    .sort((a, b) => a.configured_array.localeCompare(b.configured_array) || a.param_key.localeCompare(b.param_key));
+
+  if (review.length > 0) {
+    lines.push('', '// ---- Review configured keys ----');
+    review.forEach(row => {
+      if (row.status === 'not_seen') {
+        lines.push(`// ${row.configured_array} ${row.param_key}: not seen in the last ${lookbackDays} days`);
+      } else {
+        lines.push(`// ${row.configured_array} ${row.param_key}: configured '${row.configured_type}', observed ${row.observed_type}` +
+          ` → { name: "${row.param_key}", type: "${row.observed_type}" }`);
+      }
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const flags = Object.fromEntries(argv
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('=')));
+
+  if (args.length !== 1) {
+    console.error('Usage: node scripts/suggest_params.js <export.json> [--property=<name>] [--min-fill-rate=<0-1>]');
+    process.exit(1);
+  }
+
+  const rows = mergeRows(parseExport(fs.readFileSync(args[0], 'utf8')), { property: flags.property || null });
+  if (rows.length === 0) {
+    console.error(`No param_discovery rows found${flags.property ? ` for property '${flags.property}'` : ''}`);
+    process.exit(1);
+  }
+
+  process.stdout.write(buildSnippet(rows, { minFillRate: Number(flags['min-fill-rate'] || 0) }));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseExport,
+  mergeRows,
+  buildSnippet
+};
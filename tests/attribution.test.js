@@ -0,0 +1,50 @@
+// Unit tests for includes/attribution.js
+
+const { describe, it, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, requireInclude } = require('./harness');
+
+describe('attribution', () => {
+  const { attribution, trafficSrc } = loadFixture({ vars: {}, config: {} });
+  const { getTrafficSourceFields } = trafficSrc;
+
+  /**
+   * Replaces traffic_source.js fields, as a fork's getCustomTrafficSourceFields() would
+   */
+  function withTrafficFields(fieldNames) {
+    trafficSrc.getTrafficSourceFields = () => Object.fromEntries(fieldNames.map(name => [name, name]));
+  }
+
+  afterEach(() => { trafficSrc.getTrafficSourceFields = getTrafficSourceFields; });
+  after(() => requireInclude('helper.js').resetConfig());
+
+  it('tests source and medium for direct traffic by default', () => {
+    assert.strictEqual(attribution.NON_DIRECT_CONDITION_SQL('s'),
+      "s.session_source NOT IN ('(direct)', '(not set)', '')\n      AND s.session_medium NOT IN ('(none)', '(not set)', '')");
+  });
+
+  it('only tests the direct markers traffic_source.js returns', () => {
+    withTrafficFields(['session_source', 'session_campaign']);
+    assert.strictEqual(attribution.NON_DIRECT_CONDITION_SQL('s'), "s.session_source NOT IN ('(direct)', '(not set)', '')");
+
+    withTrafficFields(['session_channel_group', 'session_campaign']);
+    assert.strictEqual(attribution.NON_DIRECT_CONDITION_SQL('s'), "s.session_channel_group NOT IN ('Direct')");
+  });
+
+  it('fails compilation when no field can tell direct sessions apart', () => {
+    withTrafficFields(['session_campaign']);
+    assert.throws(() => attribution.NON_DIRECT_CONDITION_SQL('s'), /must include session_source, session_medium or session_channel_group/);
+  });
+
+  it('gives sessionless conversions a direct touchpoint that is never non-direct', () => {
+    withTrafficFields(['session_source', 'session_medium', 'session_campaign']);
+    assert.strictEqual(attribution.TOUCHPOINT_TRAFFIC_SQL('cs'), [
+      "IF(cs.session_key IS NULL, '(direct)', cs.session_source) AS session_source",
+      "IF(cs.session_key IS NULL, '(none)', cs.session_medium) AS session_medium",
+      'cs.session_campaign'
+    ].join(',\n      '));
+    Object.keys(attribution.SESSIONLESS_TOUCHPOINT).forEach(field => {
+      assert.ok(attribution.DIRECT_VALUES[field].includes(attribution.SESSIONLESS_TOUCHPOINT[field]), field);
+    });
+  });
+});
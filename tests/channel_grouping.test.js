@@ -0,0 +1,76 @@
+// Unit tests for includes/channel_grouping.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { requireInclude } = require('./harness');
+
+const channelGrouping = requireInclude('channel_grouping.js');
+const { buildChannelRules, collectChannelRuleErrors, CHANNEL_GROUP_SQL } = channelGrouping;
+
+describe('channel_grouping', () => {
+  it('ships the GA4 default channels in evaluation order', () => {
+    const { rules, defaultChannel } = buildChannelRules();
+    assert.deepStrictEqual(rules.map(rule => rule.channel), [
+      'Direct', 'Cross-network', 'Paid Shopping', 'Paid Search', 'Paid Social', 'Paid Video',
+      'Display', 'Paid Other', 'Organic Shopping', 'Organic Social', 'Organic Video',
+      'Organic Search', 'Referral', 'Email', 'Affiliates', 'Audio', 'SMS', 'Mobile Push Notifications'
+    ]);
+    assert.strictEqual(defaultChannel, 'Unassigned');
+    assert.deepStrictEqual(collectChannelRuleErrors(buildChannelRules()), []);
+  });
+
+  it('compiles exact, regex and category matchers case-insensitively', () => {
+    const sql = CHANNEL_GROUP_SQL(buildChannelRules(), { source: 'src', medium: 'med', campaign: 'cmp' });
+    assert.match(sql, /WHEN \(LOWER\(src\) = '\(direct\)' AND LOWER\(med\) IN \('\(not set\)', '\(none\)'\)\) THEN 'Direct'/);
+    assert.match(sql, /WHEN \(LOWER\(src\) IN \('google', [^)]*\) AND REGEXP_CONTAINS\(LOWER\(med\), r'\^\(\.\*cp\.\*\|ppc\|retargeting\|paid\.\*\)\$'\)\) THEN 'Paid Search'/);
+    assert.match(sql, /ELSE 'Unassigned'\n    END$/);
+  });
+
+  it('applies overrides, additions, removals and extra category sources', () => {
+    const grouping = buildChannelRules({
+      overrides: { 'Paid Social': { match: [{ medium: { exact: 'paid_social' } }] } },
+      additions: [{ channel: 'Partners', match: [{ source: { regex: '^partner_' } }], before: 'Referral' }],
+      remove: ['Audio'],
+      sourceCategories: { social: ['Mastodon.Online'] }
+    });
+    const names = grouping.rules.map(rule => rule.channel);
+
+    assert.ok(!names.includes('Audio'));
+    assert.strictEqual(names.indexOf('Partners'), names.indexOf('Referral') - 1);
+    assert.deepStrictEqual(grouping.rules.find(r => r.channel === 'Paid Social').match, [{ medium: { exact: 'paid_social' } }]);
+    assert.ok(grouping.sourceCategories.social.includes('mastodon.online'));
+  });
+
+  it('rejects overrides or removals of unknown channels', () => {
+    assert.throws(
+      () => buildChannelRules({ overrides: { 'Paid Radio': { match: [] } }, remove: ['Podcasts'] }),
+      error => {
+        assert.match(error.message, /^Invalid channel grouping rules \(2 problems\):/);
+        assert.match(error.message, /'Paid Radio' is not a default channel/);
+        assert.match(error.message, /'Podcasts' is not a default channel/);
+        return true;
+      }
+    );
+  });
+
+  it('reports every invalid rule at compile time', () => {
+    const grouping = buildChannelRules({
+      additions: [
+        { channel: 'Bad Field', match: [{ referrer: { exact: 'x' } }] },
+        { channel: 'Bad Regex', match: [{ medium: { regex: '(unclosed' } }] },
+        { channel: 'Bad Category', match: [{ source: { category: 'podcasts' } }, { medium: { category: 'search' } }] },
+        { channel: 'Two Matchers', match: [{ source: { exact: 'a', regex: 'b' } }] },
+        { channel: 'Direct', match: [{ source: { exact: 'direct' } }] }
+      ]
+    });
+    const errors = collectChannelRuleErrors(grouping);
+
+    assert.ok(errors.some(e => /\(Bad Field\)\.match\[0\]\.referrer: unknown field/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\(Bad Regex\)\.match\[0\]\.medium\.regex: invalid pattern/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\(Bad Category\)\.match\[0\]\.source\.category: unknown category 'podcasts'/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\(Bad Category\)\.match\[1\]\.medium\.category: categories only apply to source/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\(Two Matchers\)\.match\[0\]\.source: must be exactly one of/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\(Direct\): duplicate channel/.test(e)), errors.join('\n'));
+    assert.throws(() => CHANNEL_GROUP_SQL(grouping), /Invalid channel grouping rules \(6 problems\)/);
+  });
+});
@@ -0,0 +1,43 @@
+// Compiles the whole project (definitions/ included) with `dataform compile`
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { compileProject, findDisabledReferences } = require('./harness');
+
+/**
+ * Compilation variables on top of workflow_settings.yaml, one compile each
+ */
+const VARIANTS = {
+  'workflow_settings.yaml defaults': {},
+  'without ecommerce or ML': { HAS_ECOMMERCE: 'false', ENABLE_ML: 'false' },
+  'with ML, KMEANS segments and ARIMA_PLUS anomaly detection': {
+    HAS_ECOMMERCE: 'true',
+    ENABLE_ML: 'true',
+    SEGMENTATION_METHOD: 'kmeans',
+    ANOMALY_DETECTION_METHOD: 'arima_plus'
+  }
+};
+
+describe('dataform compile', () => {
+  Object.entries(VARIANTS).forEach(([name, vars]) => {
+    describe(name, () => {
+      const { actions, graphErrors } = compileProject(vars);
+
+      it('compiles without graph errors', () => {
+        assert.deepStrictEqual(graphErrors, {});
+      });
+
+      it('never depends on or reads a disabled action', () => {
+        assert.deepStrictEqual(findDisabledReferences(actions), []);
+      });
+    });
+  });
+
+  it('disables every ecommerce action when HAS_ECOMMERCE is not \'true\'', () => {
+    const { actions } = compileProject({ HAS_ECOMMERCE: 'false' });
+    const byName = Object.fromEntries(actions.map(action => [action.target.name, action]));
+    ['transactions', 'ecommerce_items', 'product_performance_daily', 'assert_transaction_duplicates'].forEach(name => {
+      assert.strictEqual(byName[name].disabled, true, name);
+    });
+  });
+});
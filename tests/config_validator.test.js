@@ -0,0 +1,470 @@
+// Unit tests for includes/config_validator.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { stubDataform, requireInclude } = require('./harness');
+const { BASE_CLIENT_CONFIG } = require('./fixtures/_base');
+
+stubDataform();
+const { collectConfigErrors, validateConfig } = requireInclude('config_validator.js');
+
+/**
+ * Base config with overrides applied
+ */
+function withConfig(overrides) {
+  return { USE_FRESH_DAILY: false, ...BASE_CLIENT_CONFIG, ...overrides };
+}
+
+function assertError(config, pattern) {
+  const errors = collectConfigErrors(config);
+  assert.ok(errors.some(e => pattern.test(e)), `Expected an error matching ${pattern}, got:\n${errors.join('\n')}`);
+}
+
+describe('config_validator', () => {
+  it('accepts the baseline fixture config', () => {
+    assert.deepStrictEqual(collectConfigErrors(withConfig({})), []);
+  });
+
+  it('flags duplicate param names across arrays', () => {
+    assertError(withConfig({
+      CUSTOM_PARAMS_ARRAY: [{ name: 'ga_session_id', type: 'int' }]
+    }), /CUSTOM_PARAMS_ARRAY\[0\]: duplicate name 'ga_session_id' \(already defined in CORE_PARAMS_ARRAY\[3\]\)/);
+  });
+
+  it('flags names that collide with GA4 export and generated columns', () => {
+    const config = withConfig({
+      CUSTOM_PARAMS_ARRAY: [
+        { name: 'event_name', type: 'string' },
+        { name: 'session_key', type: 'string' }
+      ]
+    });
+    assertError(config, /'event_name' collides with a GA4 export column/);
+    assertError(config, /'session_key' collides with a column generated by base_events/);
+  });
+
+  it('flags invalid identifiers, reserved keywords and unsupported types', () => {
+    const config = withConfig({
+      CUSTOM_PARAMS_ARRAY: [
+        { name: 'my-param', type: 'string' },
+        { name: 'select', type: 'string' },
+        { name: 'signup_date', type: 'date' }
+      ]
+    });
+    assertError(config, /'my-param' is not a valid SQL identifier/);
+    assertError(config, /'select' is a BigQuery reserved keyword/);
+    assertError(config, /unsupported type 'date' for 'signup_date'/);
+  });
+
+  it('flags consolidated_name pairs whose web and app types disagree', () => {
+    assertError(withConfig({
+      APP_PARAMS_ARRAY: [{ name: 'firebase_screen', type: 'int', consolidated_name: 'screen_title' }]
+    }), /consolidated_name 'screen_title': web param 'page_title' is string but app param 'firebase_screen' is int/);
+  });
+
+  it('flags a consolidated_name reused on the same side', () => {
+    assertError(withConfig({
+      WEB_PARAMS_ARRAY: [
+        { name: 'page_location', type: 'string', consolidated_name: 'screen_location' },
+        { name: 'link_url', type: 'string', consolidated_name: 'screen_location' }
+      ]
+    }), /consolidated_name 'screen_location' is already used by web param 'page_location'/);
+  });
+
+  it('flags malformed stream IDs and unknown stream types', () => {
+    const config = withConfig({
+      PROPERTIES_CONFIG: {
+        site: {
+          source_dataset: 'analytics_1',
+          streams: {
+            '': { include: true, stream_type: 'web' },
+            '12ab': { include: true, stream_type: 'website' }
+          }
+        }
+      }
+    });
+    assertError(config, /streams\[''\]: stream ID must be a non-empty string of digits/);
+    assertError(config, /streams\['12ab'\]: stream ID must be a non-empty string of digits/);
+    assertError(config, /stream_type: 'website' is not one of web, app/);
+  });
+
+  it('flags property names that cannot be stamped as property_name', () => {
+    assertError(withConfig({
+      PROPERTIES_CONFIG: {
+        'main site': {
+          source_dataset: 'analytics_1',
+          streams: { '123': { include: true, stream_type: 'web' } }
+        }
+      }
+    }), /PROPERTIES_CONFIG\['main site'\]: property name must contain only letters, digits and underscores/);
+  });
+
+  it('flags use_fresh_daily on properties without fresh tables', () => {
+    assertError(withConfig({
+      PROPERTIES_CONFIG: {
+        site: {
+          source_dataset: 'analytics_1',
+          has_fresh_daily: false,
+          streams: { '123': { include: true, stream_type: 'web', use_fresh_daily: true } }
+        }
+      }
+    }), /use_fresh_daily is true but the property declares has_fresh_daily: false/);
+  });
+
+  it('flags invalid ML_CONFIG settings', () => {
+    const config = withConfig({
+      ML_CONFIG: {
+        purchase_propensity: { model_type: 'KMEANS', label_window_days: 0, features: [] },
+        churn_risk: { inactivity_days: 7.5, activity_events: 'page_view' },
+        lifetime_value: {}
+      }
+    });
+    assertError(config, /ML_CONFIG\.purchase_propensity\.model_type: 'KMEANS' is not one of/);
+    assertError(config, /ML_CONFIG\.purchase_propensity\.label_window_days: must be a positive integer/);
+    assertError(config, /ML_CONFIG\.purchase_propensity\.features: must be a non-empty array/);
+    assertError(config, /ML_CONFIG\.churn_risk\.inactivity_days: must be a positive integer/);
+    assertError(config, /ML_CONFIG\.churn_risk\.activity_events: must be an array of event names/);
+    assertError(config, /ML_CONFIG\.lifetime_value: unknown model/);
+  });
+
+  it('flags invalid segmentation settings', () => {
+    const config = withConfig({
+      SEGMENTATION_METHOD: 'kmeans',
+      ENABLE_ML: false,
+      SEGMENTATION_CONFIG: {
+        rfm_buckets: 1,
+        num_clusters: 2,
+        rfm_segments: [{ label: 'Champions', r: [5, 4] }, { r: [1, 2] }],
+        cluster_labels: { zero: 'Browsers' }
+      }
+    });
+    assertError(config, /SEGMENTATION_METHOD: 'kmeans' requires ENABLE_ML/);
+    assertError(config, /SEGMENTATION_CONFIG\.rfm_buckets: must be an integer between 2 and 10/);
+    assertError(config, /SEGMENTATION_CONFIG\.rfm_segments\[0\]\.r: must be an inclusive \[min, max\] score range/);
+    assertError(config, /SEGMENTATION_CONFIG\.rfm_segments\[1\]: missing label/);
+    assertError(config, /SEGMENTATION_CONFIG\.cluster_labels\.zero: keys must be cluster IDs/);
+  });
+
+  it('flags invalid ATTRIBUTION_CONFIG settings', () => {
+    const config = withConfig({
+      ATTRIBUTION_CONFIG: {
+        include_transactions: 'yes',
+        conversion_events: ['generate_lead', ''],
+        lookback_days: 0,
+        position_based_weights: { first: 0.6, last: 0.6 }
+      }
+    });
+    assertError(config, /ATTRIBUTION_CONFIG\.include_transactions: must be true or false/);
+    assertError(config, /ATTRIBUTION_CONFIG\.conversion_events: must be an array of event names/);
+    assertError(config, /ATTRIBUTION_CONFIG\.lookback_days: must be a positive integer/);
+    assertError(config, /ATTRIBUTION_CONFIG\.position_based_weights: must be \{ first, last \}/);
+  });
+
+  it('flags invalid IDENTITY_RESOLUTION_CONFIG settings', () => {
+    const config = withConfig({
+      IDENTITY_RESOLUTION_CONFIG: {
+        max_depth: 0,
+        max_component_size: 1,
+        deny_user_ids: ['undefined', 0]
+      }
+    });
+    assertError(config, /IDENTITY_RESOLUTION_CONFIG\.max_depth: must be an integer between 1 and 50/);
+    assertError(config, /IDENTITY_RESOLUTION_CONFIG\.max_component_size: must be an integer of at least 2/);
+    assertError(config, /IDENTITY_RESOLUTION_CONFIG\.deny_user_ids: must be an array of strings/);
+  });
+
+  it('flags invalid CONSENT_POLICY settings', () => {
+    const config = withConfig({
+      CONSENT_POLICY: {
+        mode: 'drop_all',
+        anonymize_with: 'md5',
+        denied_signals: ['analytics_storage', 'personalization_storage']
+      }
+    });
+    assertError(config, /CONSENT_POLICY\.mode: 'drop_all' is not one of keep_all, exclude_denied, anonymize_denied/);
+    assertError(config, /CONSENT_POLICY\.anonymize_with: 'md5' is not one of null, hash/);
+    assertError(config, /CONSENT_POLICY\.denied_signals: must be a non-empty array of analytics_storage, ads_storage/);
+  });
+
+  it('requires a well-formed CONSENT_HASH_SALT for hashed identifiers', () => {
+    const policy = { CONSENT_POLICY: { mode: 'anonymize_denied', anonymize_with: 'hash' } };
+    assertError(withConfig(policy), /CONSENT_POLICY\.anonymize_with: 'hash' requires the CONSENT_HASH_SALT compilation variable/);
+    assertError(withConfig({ ...policy, CONSENT_HASH_SALT: "short'salt" }), /CONSENT_HASH_SALT: must be at least 16 characters/);
+    assert.deepStrictEqual(collectConfigErrors(withConfig({ ...policy, CONSENT_HASH_SALT: 'a-long-enough_salt-42' })), []);
+  });
+
+  it('flags redact flags on non-string params and invalid REDACTION_CONFIG settings', () => {
+    const config = withConfig({
+      CUSTOM_PARAMS_ARRAY: [
+        { name: 'order_total', type: 'double', redact: true },
+        { name: 'coupon_code', type: 'string', redact: 'yes' }
+      ],
+      REDACTION_CONFIG: {
+        query_keys: ["o'brien"],
+        detectors: ['email', 'ip_address'],
+        custom_patterns: { phone: String.raw`\d+`, 'Order-ID': '' }
+      }
+    });
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[0\]\.redact: only string params can be redacted/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[1\]\.redact: must be true or false/);
+    assertError(config, /REDACTION_CONFIG\.query_keys: must be an array of non-empty strings without quotes/);
+    assertError(config, /REDACTION_CONFIG\.detectors: must be an array of email, card_number, phone/);
+    assertError(config, /REDACTION_CONFIG\.custom_patterns: 'phone' must be lowercase/);
+    assertError(config, /REDACTION_CONFIG\.custom_patterns: 'Order-ID' must be lowercase/);
+    assertError(config, /REDACTION_CONFIG\.custom_patterns\.Order-ID: must be a non-empty pattern/);
+  });
+
+  it('flags invalid URL_NORMALIZATION and CONTENT_GROUPS settings', () => {
+    const config = withConfig({
+      URL_NORMALIZATION: {
+        strip_params: ['utm_*', "ref'"],
+        lowercase_path: 'yes'
+      },
+      CONTENT_GROUPS: [
+        {
+          rules: [
+            { match: '^/blog', field: 'hostname', value: 'Blog' },
+            { match: '^/shop/([^/]+)', extract: true, value: 'Shop' },
+            { match: '' }
+          ]
+        },
+        { name: 'no rules' }
+      ]
+    });
+    assertError(config, /URL_NORMALIZATION\.strip_params: must be an array of param names/);
+    assertError(config, /URL_NORMALIZATION\.lowercase_path: must be true or false/);
+    assertError(config, /CONTENT_GROUPS\[0\]\.rules\[0\]\.field: 'hostname' is not one of path, location, title/);
+    assertError(config, /CONTENT_GROUPS\[0\]\.rules\[1\]: set either value or extract: true, not both/);
+    assertError(config, /CONTENT_GROUPS\[0\]\.rules\[2\]\.match: must be a non-empty pattern/);
+    assertError(config, /CONTENT_GROUPS\[0\]\.rules\[2\]\.value: must be a string/);
+    assertError(config, /CONTENT_GROUPS\[1\]: must be an object with a rules array/);
+  });
+
+  it('flags invalid REPORTING_CURRENCY settings', () => {
+    const config = withConfig({
+      REPORTING_CURRENCY: 'eur',
+      EXCHANGE_RATES_SOURCE: { database: 'Finance Project', schema: 'finance', name: 'fx.rates' }
+    });
+    assertError(config, /REPORTING_CURRENCY: 'eur' must be null or an ISO 4217 code/);
+    assertError(config, /EXCHANGE_RATES_SOURCE\.name: must be a table name/);
+    assertError(config, /EXCHANGE_RATES_SOURCE\.database: must be a GCP project ID/);
+    assertError(config, /REPORTING_CURRENCY: requires a 'currency' base_events column/);
+    assertError(withConfig({ REPORTING_CURRENCY: 'EUR' }), /EXCHANGE_RATES_SOURCE: required when REPORTING_CURRENCY is set/);
+  });
+
+  it('flags an invalid PRODUCT_PERFORMANCE_CONFIG breakdown', () => {
+    assertError(withConfig({ PRODUCT_PERFORMANCE_CONFIG: { breakdown: 'category' } }),
+      /PRODUCT_PERFORMANCE_CONFIG\.breakdown: 'category' is not one of null, list, promotion/);
+    assert.deepStrictEqual(collectConfigErrors(withConfig({ PRODUCT_PERFORMANCE_CONFIG: { breakdown: null } })), []);
+  });
+
+  it('flags an unknown ENVIRONMENT and invalid profiles', () => {
+    const config = withConfig({
+      ENVIRONMENT: 'qa',
+      ENVIRONMENT_PROFILES: {
+        dev: { dataset_suffix: '-dev', initial_load_days: 0, rolling_refresh_days: null, sample_pct: 12.345 },
+        prod: { dataset_suffix: '', initial_load_days: null, rolling_refresh_days: null, sample_pct: 100 }
+      }
+    });
+    assertError(config, /ENVIRONMENT: 'qa' is not one of dev, prod/);
+    assertError(config, /ENVIRONMENT_PROFILES\.dev\.dataset_suffix: must be a string of letters, digits and underscores/);
+    assertError(config, /ENVIRONMENT_PROFILES\.dev\.initial_load_days: must be null or a positive whole number of days/);
+    assertError(config, /ENVIRONMENT_PROFILES\.dev\.sample_pct: must be a number above 0 and up to 100, in steps of 0\.01 \(got 12\.345\)/);
+    assert.strictEqual(collectConfigErrors(config).length, 4);
+  });
+
+  it('flags invalid backfill compilation variables', () => {
+    assertError(withConfig({ FORCE_FULL_BACKFILL: true, BACKFILL_START_DATE: '20240101' }),
+      /FORCE_FULL_BACKFILL: requires both BACKFILL_START_DATE and BACKFILL_END_DATE/);
+    assertError(withConfig({ BACKFILL_START_DATE: '2024-01-01', BACKFILL_END_DATE: '20240231' }),
+      /BACKFILL_START_DATE: '2024-01-01' is not a valid YYYYMMDD date/);
+    assertError(withConfig({ BACKFILL_START_DATE: '2024-01-01', BACKFILL_END_DATE: '20240231' }),
+      /BACKFILL_END_DATE: '20240231' is not a valid YYYYMMDD date/);
+    assertError(withConfig({ BACKFILL_START_DATE: '20240201', BACKFILL_END_DATE: '20240131' }),
+      /BACKFILL_START_DATE: 20240201 is after BACKFILL_END_DATE 20240131/);
+    assertError(withConfig({ BACKFILL_START_DATE: '20991201', BACKFILL_END_DATE: '20991231' }),
+      /BACKFILL_END_DATE: 20991231 is in the future/);
+    assertError(withConfig({ BACKFILL_MAX_DAYS: 31, BACKFILL_START_DATE: '20240101', BACKFILL_END_DATE: '20240301' }),
+      /BACKFILL_END_DATE: 20240101-20240301 spans 61 days; BACKFILL_MAX_DAYS is 31/);
+    assertError(withConfig({ BACKFILL_MAX_DAYS: NaN }), /BACKFILL_MAX_DAYS: must be a positive whole number of days/);
+    assert.deepStrictEqual(collectConfigErrors(withConfig({
+      FORCE_FULL_BACKFILL: true, BACKFILL_MAX_DAYS: 31, BACKFILL_START_DATE: '20240101', BACKFILL_END_DATE: '20240131'
+    })), []);
+  });
+
+  it('flags invalid TRANSACTION_RECONCILIATION settings', () => {
+    const config = withConfig({ TRANSACTION_RECONCILIATION: { dedup_policy: 'latest', max_duplicate_order_pct: '5' } });
+    assertError(config, /TRANSACTION_RECONCILIATION\.dedup_policy: 'latest' is not one of first_wins, last_wins, max_revenue/);
+    assertError(config, /TRANSACTION_RECONCILIATION\.max_duplicate_order_pct: must be a number between 0 and 100/);
+    assertError(withConfig({ TRANSACTION_RECONCILIATION: { max_duplicate_order_pct: 150 } }),
+      /TRANSACTION_RECONCILIATION\.max_duplicate_order_pct: must be a number between 0 and 100 \(got 150\)/);
+    assert.deepStrictEqual(collectConfigErrors(withConfig({ TRANSACTION_RECONCILIATION: { dedup_policy: 'max_revenue' } })), []);
+  });
+
+  it('flags invalid PAGE_PATHS_CONFIG settings', () => {
+    const config = withConfig({
+      PAGE_PATHS_CONFIG: { depth: 12, collapse_reloads: 'yes', top_paths: 0 }
+    });
+    assertError(config, /PAGE_PATHS_CONFIG\.depth: must be an integer between 2 and 10/);
+    assertError(config, /PAGE_PATHS_CONFIG\.collapse_reloads: must be true or false/);
+    assertError(config, /PAGE_PATHS_CONFIG\.top_paths: must be a positive integer/);
+  });
+
+  it('flags invalid PARAM_DISCOVERY_CONFIG settings', () => {
+    const config = withConfig({
+      PARAM_DISCOVERY_CONFIG: { lookback_days: 0, sample_values: 500, ignore_keys: 'debug_mode' }
+    });
+    assertError(config, /PARAM_DISCOVERY_CONFIG\.lookback_days: must be an integer between 1 and 400/);
+    assertError(config, /PARAM_DISCOVERY_CONFIG\.sample_values: must be an integer between 1 and 100/);
+    assertError(config, /PARAM_DISCOVERY_CONFIG\.ignore_keys: must be an array of strings/);
+  });
+
+  it('flags invalid param spec options and OTHER_PARAMS_CONFIG settings', () => {
+    const config = withConfig({
+      CUSTOM_PARAMS_ARRAY: [
+        { name: 'plan_id', type: 'int', target: 'string' },
+        { name: 'plan_tier', type: 'auto', target: 'date' },
+        { name: 'is_trial', type: 'bool', default: 'no' },
+        { name: 'renewal_at', type: 'timestamp', default: 'next week' },
+        { name: 'search-term', type: 'string', alias: 'search term', events: [] },
+        { name: 'order_count', type: 'auto', target: 'int', redact: true },
+        { name: 'session_key', type: 'string', alias: 'session_label' },
+        { name: 'entrance_count', type: 'int', alias: 'entrances' }
+      ],
+      OTHER_PARAMS_CONFIG: { enabled: 'yes', ignore_keys: ['debug_mode', ''] }
+    });
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[0\]\.target: only applies to type 'auto'/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[1\]\.target: unsupported target 'date'/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[2\]\.default: "no" is not a valid bool value/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[3\]\.default: "next week" is not a valid timestamp value/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[4\]\.alias: 'search term' is not a valid SQL identifier/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[4\]\.events: must be a non-empty array of event names/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[5\]\.redact: only string params can be redacted \('order_count' is int\)/);
+    assertError(config, /CUSTOM_PARAMS_ARRAY\[7\]: duplicate name 'entrances' \(already defined in CORE_PARAMS_ARRAY\[2\]\)/);
+    assertError(config, /OTHER_PARAMS_CONFIG\.enabled: must be true or false/);
+    assertError(config, /OTHER_PARAMS_CONFIG\.ignore_keys: must be an array of non-empty strings/);
+    assert.ok(!collectConfigErrors(config).some(error => error.includes('CUSTOM_PARAMS_ARRAY[6]')));
+  });
+
+  it('flags invalid EVENT_TABLES entries', () => {
+    const config = withConfig({
+      EVENT_TABLES: [
+        { name: 'fct_signups', events: ['sign_up'], params: ['entrances', 'signup_method'] },
+        { name: 'fct_signups', events: [], aggregations: [{ name: 'signups', fn: 'count' }] },
+        { name: 'sessions', events: ['login'], grain: 'user' },
+        {
+          name: 'fct_login_sessions',
+          events: ['login'],
+          grain: 'session',
+          params: ['session_key'],
+          aggregations: [
+            { name: 'logins', fn: 'total' },
+            { name: 'last_method', fn: 'last' },
+            { name: 'event_count', fn: 'count' }
+          ],
+          partition_by: 'DATE(session_start_timestamp)',
+          cluster_by: ['session_key', 'user_id', 'stream_id', 'event_date', 'logins']
+        }
+      ]
+    });
+    assertError(config, /EVENT_TABLES\[0\]\.params: 'signup_method' is not a base_events column/);
+    assertError(config, /EVENT_TABLES\[1\]: duplicate table name 'fct_signups' \(already defined in EVENT_TABLES\[0\]\)/);
+    assertError(config, /EVENT_TABLES\[1\]\.events: must be a non-empty array of event names/);
+    assertError(config, /EVENT_TABLES\[1\]\.aggregations: only apply to grain 'session'/);
+    assertError(config, /EVENT_TABLES\[2\]: 'sessions' is already a pipeline table/);
+    assertError(config, /EVENT_TABLES\[2\]\.grain: 'user' is not one of event, session/);
+    assertError(config, /EVENT_TABLES\[3\]\.params: 'session_key' is already a session-grain key column/);
+    assertError(config, /EVENT_TABLES\[3\]\.aggregations\[0\]\.fn: 'total' is not one of count/);
+    assertError(config, /EVENT_TABLES\[3\]\.aggregations\[1\]\.column: required for 'last'/);
+    assertError(config, /EVENT_TABLES\[3\]\.aggregations\[2\]: 'event_count' is already a column of the table/);
+    assertError(config, /EVENT_TABLES\[3\]\.partition_by: must be null or an expression on event_date/);
+    assertError(config, /EVENT_TABLES\[3\]\.cluster_by: must be an array of 1 to 4 column names/);
+    assert.ok(!collectConfigErrors(config).some(error => error.includes("'entrances'")));
+  });
+
+  it('flags invalid KEY_EVENTS entries', () => {
+    const config = withConfig({
+      KEY_EVENTS: [
+        { event_name: 'generate_lead', value_param: 'lead_value' },
+        { event_name: 'generate_lead', counting: 'per_user' },
+        { event_name: 'form-submit', name: 'contact request' },
+        {
+          event_name: 'form_submit',
+          conditions: {
+            form_id: { exact: 'contact' },
+            form_name: { exact: [] },
+            page_location: { regex: "it's" },
+            page_title: { exact: 'Pricing', regex: 'pricing' }
+          }
+        },
+        { event_name: 'sign_up', name: 'signup', conditions: { entrances: { exact: 1 } }, value_param: 'event_value_in_usd' }
+      ]
+    });
+    assertError(config, /KEY_EVENTS\[0\]\.value_param: 'lead_value' is not a base_events column/);
+    assertError(config, /KEY_EVENTS\[1\]: duplicate key event name 'generate_lead' \(already defined in KEY_EVENTS\[0\]/);
+    assertError(config, /KEY_EVENTS\[1\]\.counting: 'per_user' is not one of once_per_session, every_event/);
+    assertError(config, /KEY_EVENTS\[2\]\.event_name: 'form-submit' is not a valid GA4 event name/);
+    assertError(config, /KEY_EVENTS\[2\]\.name: 'contact request' is not a valid SQL identifier/);
+    assertError(config, /KEY_EVENTS\[3\]\.conditions\.form_id: 'form_id' is not a base_events column/);
+    assertError(config, /KEY_EVENTS\[3\]\.conditions\.form_name\.exact: must be a string, number or non-empty array of them/);
+    assertError(config, /KEY_EVENTS\[3\]\.conditions\.page_location\.regex: quotes and newlines are not supported/);
+    assertError(config, /KEY_EVENTS\[3\]\.conditions\.page_title: must be exactly one of \{ exact \} or \{ regex \}/);
+    assert.ok(!collectConfigErrors(config).some(error => error.startsWith('KEY_EVENTS[4]')));
+  });
+
+  it('flags invalid FUNNELS entries', () => {
+    const config = withConfig({
+      FUNNELS: [
+        { name: 'checkout', steps: [{ event_name: 'view_item' }, { event_name: 'purchase' }] },
+        { name: 'checkout', type: 'strict', scope: 'device', steps: [{ event_name: 'view_item' }] },
+        {
+          name: 'signup flow',
+          max_step_interval_minutes: 0,
+          lookback_days: 7.5,
+          steps: [
+            { event_name: 'page-view', conditions: { page_location: { regex: '/signup' } } },
+            { event_name: 'sign_up', name: '', conditions: { signup_method: { exact: 'google' } } }
+          ]
+        }
+      ]
+    });
+    assertError(config, /FUNNELS\[1\]: duplicate funnel name 'checkout' \(already defined in FUNNELS\[0\]\)/);
+    assertError(config, /FUNNELS\[1\]\.type: 'strict' is not one of closed, open/);
+    assertError(config, /FUNNELS\[1\]\.scope: 'device' is not one of session, user/);
+    assertError(config, /FUNNELS\[1\]\.steps: must be an array of 2 to 10 steps/);
+    assertError(config, /FUNNELS\[2\]\.name: 'signup flow' is not a valid SQL identifier/);
+    assertError(config, /FUNNELS\[2\]\.max_step_interval_minutes: must be null or a number greater than 0/);
+    assertError(config, /FUNNELS\[2\]\.lookback_days: must be a positive integer/);
+    assertError(config, /FUNNELS\[2\]\.steps\[0\]\.event_name: 'page-view' is not a valid GA4 event name/);
+    assertError(config, /FUNNELS\[2\]\.steps\[1\]\.name: must be a non-empty string/);
+    assertError(config, /FUNNELS\[2\]\.steps\[1\]\.conditions\.signup_method: 'signup_method' is not a base_events column/);
+    assert.ok(!collectConfigErrors(config).some(error => error.startsWith('FUNNELS[0]')));
+  });
+
+  it('flags invalid ANOMALY_DETECTION settings', () => {
+    const config = withConfig({
+      ANOMALY_DETECTION: {
+        METHOD: 'prophet',
+        THRESHOLD_PCT: 0.4,
+        ARIMA_DETECTION: 'detect_anomalies',
+        ARIMA_ANOMALY_PROB_THRESHOLD: 1.5,
+        ARIMA_CONFIDENCE_LEVEL: 0.95,
+        ARIMA_MIN_HISTORY_DAYS: -1
+      }
+    });
+    assertError(config, /ANOMALY_DETECTION\.METHOD: 'prophet' is not one of threshold, arima_plus/);
+    assertError(config, /ANOMALY_DETECTION\.ARIMA_ANOMALY_PROB_THRESHOLD: must be between 0 and 1/);
+    assertError(config, /ANOMALY_DETECTION\.ARIMA_MIN_HISTORY_DAYS: must be a positive integer/);
+  });
+
+  it('throws one aggregated error listing every problem', () => {
+    assert.throws(() => validateConfig(withConfig({
+      DATA_STREAM_TYPE: 'desktop',
+      CUSTOM_PARAMS_ARRAY: [{ name: 'page', type: 'string' }]
+    })), error => {
+      assert.match(error.message, /^Invalid configuration \(2 problems\):/);
+      assert.match(error.message, /  - DATA_STREAM_TYPE: 'desktop'/);
+      assert.match(error.message, /  - CUSTOM_PARAMS_ARRAY\[0\]: 'page' collides/);
+      return true;
+    });
+  });
+});
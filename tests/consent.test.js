@@ -0,0 +1,38 @@
+// Unit tests for includes/consent.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, requireInclude } = require('./harness');
+
+describe('consent', () => {
+  after(() => requireInclude('helper.js').resetConfig());
+
+  const { consent } = loadFixture({
+    vars: {},
+    config: { CONSENT_POLICY: { mode: 'anonymize_denied', anonymize_with: 'null' } }
+  });
+  const policy = consent.getConsentPolicy();
+
+  it('removes both identifiers of denied events', () => {
+    assert.match(consent.CONSENT_IDENTIFIER_SQL(policy, 'user_pseudo_id'), /, CAST\(NULL AS STRING\), user_pseudo_id\)$/);
+    assert.match(consent.CONSENT_IDENTIFIER_SQL(policy, 'COALESCE(user_id, user_pseudo_id)'), /, CAST\(NULL AS STRING\), COALESCE\(user_id, user_pseudo_id\)\)$/);
+  });
+
+  it('keys denied events from two pseudo IDs apart even within the same session second', () => {
+    // user_id is NULL for denied events, so only the hashed pseudo ID + ga_session_id tells them apart
+    assert.strictEqual(consent.DENIED_PSEUDO_ID_SQL(policy),
+      "IF((IFNULL(privacy_info.analytics_storage, '') = 'No'), user_pseudo_id, NULL)");
+    assert.strictEqual(consent.SESSION_USER_KEY_SQL(policy),
+      "COALESCE(user_id, TO_HEX(SHA256(CONCAT(denied_user_pseudo_id, '-', COALESCE(CAST(ga_session_id AS STRING), '')))), '')");
+  });
+
+  it('leaves the key user part alone when denied events keep an identifier', () => {
+    ['keep_all', 'exclude_denied'].forEach(mode => {
+      assert.strictEqual(consent.needsSessionDiscriminator({ ...policy, mode }), false, mode);
+      assert.strictEqual(consent.SESSION_USER_KEY_SQL({ ...policy, mode }), "COALESCE(user_id, '')", mode);
+    });
+    const hashed = { ...policy, anonymize_with: 'hash' };
+    assert.strictEqual(consent.needsSessionDiscriminator(hashed), false);
+    assert.strictEqual(consent.SESSION_USER_KEY_SQL(hashed), "COALESCE(user_id, '')");
+  });
+});
@@ -0,0 +1,49 @@
+// Unit tests for includes/currency.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, requireInclude } = require('./harness');
+const { BASE_CLIENT_CONFIG } = require('./fixtures/_base');
+
+describe('currency', () => {
+  after(() => requireInclude('helper.js').resetConfig());
+
+  const { currency } = loadFixture({
+    vars: { HAS_ECOMMERCE: 'true' },
+    config: {
+      CORE_PARAMS_ARRAY: [...BASE_CLIENT_CONFIG.CORE_PARAMS_ARRAY, { name: 'currency', type: 'string' }],
+      REPORTING_CURRENCY: 'EUR',
+      EXCHANGE_RATES_SOURCE: { schema: 'finance', name: 'fx_rates_daily' }
+    }
+  });
+  const sql = currency.REPORTING_RATES_SQL('`fx_rates_daily`', 'transaction_events', 'EUR');
+
+  it('uses a rate of 1 for amounts already in the reporting currency', () => {
+    assert.match(sql, /IF\(UPPER\(ec\.currency\) = 'EUR', 1, r\.rate\) AS reporting_rate/);
+    assert.match(sql, /IF\(UPPER\(ec\.currency\) = 'EUR', ec\.event_date, r\.date\) AS reporting_rate_date/);
+  });
+
+  it('falls back to the nearest earlier rate when a day is missing', () => {
+    assert.match(sql, /ON r\.from_currency = UPPER\(ec\.currency\)\n\s+AND r\.date <= ec\.event_date/);
+    assert.match(sql, /QUALIFY ROW_NUMBER\(\) OVER \(PARTITION BY ec\.event_date, ec\.currency ORDER BY r\.date DESC\) = 1$/);
+  });
+
+  it('leaves the rate NULL instead of dropping rows when no rate exists', () => {
+    assert.match(sql, /\) ec\n\s+LEFT JOIN \(/);
+    assert.match(sql, /AND rate > 0/);
+  });
+
+  it('applies the optional filter to the event rows only', () => {
+    const filtered = currency.REPORTING_RATES_SQL('`fx_rates_daily`', 'transaction_events', 'EUR', 'event_date >= @start_date');
+    assert.match(filtered, /WHERE currency IS NOT NULL\n\s+AND event_date >= @start_date\n\s+\) ec/);
+  });
+
+  it('reports amounts without a rate per model and currency', () => {
+    const missing = currency.MISSING_RATES_SQL([
+      { model: 'transactions', table: '`transactions`', amountColumns: ['purchase_revenue'] },
+      { model: 'ecommerce_items', table: '`ecommerce_items`', amountColumns: ['price', 'item_revenue'] }
+    ]);
+    assert.strictEqual(missing.split('UNION ALL').length, 2);
+    assert.match(missing, /WHERE reporting_rate IS NULL\n\s+AND \(COALESCE\(price, 0\) != 0 OR COALESCE\(item_revenue, 0\) != 0\)/);
+  });
+});
@@ -0,0 +1,58 @@
+// ============================================================================
+// _BASE.JS — Baseline client config shared by all fixtures
+// Fixtures override individual keys; anything not overridden comes from here.
+// ============================================================================
+
+const BASE_CLIENT_CONFIG = {
+  PROPERTIES_CONFIG: null,
+  DATA_STREAM_TYPE: 'web',
+  CONSOLIDATE_WEB_APP_PARAMS: false,
+  USE_FRESH_DAILY: false,
+  USE_CUSTOM_TRAFFIC_SOURCE_LOGIC: false,
+
+  CORE_PARAMS_ARRAY: [
+    { name: "engagement_time_msec", type: "int" },
+    { name: "engaged_session_event", type: "int" },
+    { name: "entrances", type: "int" },
+    { name: "ga_session_id", type: "int" },
+    { name: "ga_session_number", type: "int" },
+    { name: "ignore_referrer", type: "string" },
+    { name: "percent_scrolled", type: "int" },
+    { name: "session_engaged", type: "string" }
+  ],
+
+  WEB_PARAMS_ARRAY: [
+    { name: "link_url", type: "string" },
+    { name: "page_location", type: "string", consolidated_name: "screen_location" },
+    { name: "page_referrer", type: "string", consolidated_name: "screen_referrer" },
+    { name: "page_title", type: "string", consolidated_name: "screen_title" }
+  ],
+
+  APP_PARAMS_ARRAY: [
+    { name: "firebase_previous_screen", type: "string", consolidated_name: "screen_referrer" },
+    { name: "firebase_screen", type: "string", consolidated_name: "screen_title" },
+    { name: "firebase_screen_class", type: "string", consolidated_name: "screen_location" },
+    { name: "firebase_screen_id", type: "string" }
+  ],
+
+  CUSTOM_PARAMS_ARRAY: [],
+
+  CORE_USER_PROPS_ARRAY: [
+    { name: "user_type", type: "string" }
+  ],
+
+  CUSTOM_ITEMS_PARAMS: [],
+
+  TRANSACTION_EVENTS: ['purchase', 'refund'],
+
+  ECOMMERCE_ITEM_EVENTS: [
+    'purchase',
+    'refund',
+    'view_item',
+    'add_to_cart',
+    'remove_from_cart',
+    'begin_checkout'
+  ]
+};
+
+module.exports = { BASE_CLIENT_CONFIG };
@@ -0,0 +1,31 @@
+// Advanced mode: two properties, web + app streams, custom item params
+module.exports = {
+  description: 'advanced mode / both / consolidated / ecommerce on',
+  generators: ['helper', 'sql_generators'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    PROPERTIES_CONFIG: {
+      'main_site': {
+        source_dataset: 'analytics_111111111',
+        streams: {
+          '1111111111': { include: true, stream_type: 'web' },
+          '2222222222': { include: false, stream_type: 'web' }
+        }
+      },
+      'mobile_app': {
+        source_dataset: 'analytics_222222222',
+        has_fresh_daily: false,
+        streams: {
+          '3333333333': { include: true, stream_type: 'app', use_fresh_daily: false },
+          '4444444444': { include: true, stream_type: 'app', use_fresh_daily: false }
+        }
+      }
+    },
+    CONSOLIDATE_WEB_APP_PARAMS: true,
+    USE_FRESH_DAILY: true,
+    CUSTOM_ITEMS_PARAMS: [
+      { name: "custom_size", type: "string" },
+      { name: "custom_stock", type: "int" }
+    ]
+  }
+};
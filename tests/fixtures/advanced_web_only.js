@@ -0,0 +1,18 @@
+// Advanced mode with only web streams included (effective type resolves to 'web')
+module.exports = {
+  description: 'advanced mode / web only / ecommerce off',
+  generators: ['helper', 'sql_generators'],
+  vars: { HAS_ECOMMERCE: 'false' },
+  config: {
+    PROPERTIES_CONFIG: {
+      'main_site': {
+        source_dataset: 'analytics_111111111',
+        streams: {
+          '1111111111': { include: true, stream_type: 'web' },
+          '3333333333': { include: false, stream_type: 'app' }
+        }
+      }
+    },
+    CONSOLIDATE_WEB_APP_PARAMS: true
+  }
+};
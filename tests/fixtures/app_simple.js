@@ -0,0 +1,9 @@
+// Simple mode, app-only stream, ecommerce on
+module.exports = {
+  description: 'simple mode / app / ecommerce on',
+  generators: ['helper', 'sql_generators'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'app'
+  }
+};
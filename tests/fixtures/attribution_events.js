@@ -0,0 +1,17 @@
+// ATTRIBUTION_CONFIG overrides: event conversions only, custom half-life and position weights
+module.exports = {
+  description: 'simple mode / web / ecommerce on / attribution on lead events',
+  generators: ['attribution'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    USE_CUSTOM_TRAFFIC_SOURCE_LOGIC: true,
+    ATTRIBUTION_CONFIG: {
+      include_transactions: false,
+      conversion_events: ['generate_lead', 'sign_up'],
+      lookback_days: 14,
+      time_decay_half_life_days: 3.5,
+      position_based_weights: { first: 0.3, last: 0.4 }
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// One-off backfill release: FORCE_FULL_BACKFILL with an explicit one-month range
+module.exports = {
+  description: 'simple mode / web / backfill release for January 2024',
+  generators: ['helper'],
+  vars: {
+    FORCE_FULL_BACKFILL: 'true',
+    BACKFILL_START_DATE: '20240101',
+    BACKFILL_END_DATE: '20240131'
+  },
+  config: {
+    DATA_STREAM_TYPE: 'web'
+  }
+};
@@ -0,0 +1,11 @@
+// Simple mode, web + app with consolidated screen fields
+module.exports = {
+  description: 'simple mode / both / consolidated / ecommerce on',
+  generators: ['helper', 'sql_generators'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'both',
+    CONSOLIDATE_WEB_APP_PARAMS: true,
+    USE_FRESH_DAILY: true
+  }
+};
@@ -0,0 +1,10 @@
+// Simple mode, web + app kept in separate page/app STRUCTs
+module.exports = {
+  description: 'simple mode / both / not consolidated / ecommerce off',
+  generators: ['helper', 'sql_generators'],
+  vars: { HAS_ECOMMERCE: 'false' },
+  config: {
+    DATA_STREAM_TYPE: 'both',
+    CONSOLIDATE_WEB_APP_PARAMS: false
+  }
+};
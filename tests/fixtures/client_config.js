@@ -0,0 +1,9 @@
+// The fork's own includes/client_config.js, so each fork snapshots its real config
+const { clientConfig } = require('../../includes/client_config');
+
+module.exports = {
+  description: 'includes/client_config.js as committed',
+  generators: ['helper', 'sql_generators', 'traffic_source'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: clientConfig
+};
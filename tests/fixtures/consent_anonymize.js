@@ -0,0 +1,14 @@
+// CONSENT_POLICY overrides: hash identifiers of events denied on either storage signal
+module.exports = {
+  description: 'simple mode / web / consent anonymize_denied with salted hashing',
+  generators: ['consent.CONSENT_IDENTIFIER_SQL'],
+  vars: { CONSENT_HASH_SALT: 'fixture-salt-0123456789' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CONSENT_POLICY: {
+      mode: 'anonymize_denied',
+      anonymize_with: 'hash',
+      denied_signals: ['analytics_storage', 'ads_storage']
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// URL_NORMALIZATION overrides (case-sensitive paths, fragments kept), two CONTENT_GROUPS levels
+// and shallow PAGE_PATHS_CONFIG paths
+module.exports = {
+  description: 'simple mode / web / URL normalization overrides with two content group levels and 3-step page paths',
+  generators: ['pages.NORMALIZED_URL_SQL', 'pages.NORMALIZED_PAGE_KEY_SQL', 'pages.CONTENT_GROUPS_SQL'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    URL_NORMALIZATION: {
+      strip_params: ['utm_*', 'gclid', 'sessionid'],
+      strip_fragment: false,
+      lowercase_path: false,
+      index_documents: []
+    },
+    CONTENT_GROUPS: [
+      {
+        name: 'Section',
+        rules: [
+          { match: '^/blog(/|$)', value: 'Blog' },
+          { match: '^/products?/', value: 'Products' },
+          { match: 'Checkout', field: 'title', value: 'Checkout' },
+          { match: '^/$', value: 'Home' }
+        ]
+      },
+      {
+        name: 'Blog category',
+        default: '(none)',
+        rules: [
+          { match: '^/blog/([^/]+)/', extract: true }
+        ]
+      }
+    ],
+    PAGE_PATHS_CONFIG: {
+      depth: 3,
+      collapse_reloads: false
+    }
+  }
+};
@@ -0,0 +1,10 @@
+// Custom traffic source logic from traffic_source.js
+module.exports = {
+  description: 'simple mode / web / custom traffic source',
+  generators: ['traffic_source'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    USE_CUSTOM_TRAFFIC_SOURCE_LOGIC: true
+  }
+};
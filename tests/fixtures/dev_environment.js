@@ -0,0 +1,9 @@
+// dev environment profile: suffixed dataset, shorter initial load and a 10% user sample
+module.exports = {
+  description: 'simple mode / web / ENVIRONMENT=dev with user sampling',
+  generators: ['helper.getDestinationDataset', 'helper.SAMPLE_FILTER_SQL'],
+  vars: { ENVIRONMENT: 'dev' },
+  config: {
+    DATA_STREAM_TYPE: 'web'
+  }
+};
@@ -0,0 +1,36 @@
+// EVENT_TABLES: an event-grain form table and a session-grain video rollup
+module.exports = {
+  description: 'simple mode / web / config-driven event and session tables',
+  generators: ['event_tables.EVENT_TABLE_SQL', 'event_tables.EVENT_TABLE_PREOPS_SQL'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "form_id", type: "string" },
+      { name: "form_name", type: "string" },
+      { name: "video_percent", type: "int" },
+      { name: "video_title", type: "string" }
+    ],
+    EVENT_TABLES: [
+      {
+        name: "fct_form_submits",
+        events: ["form_start", "form_submit"],
+        params: ["form_id", "form_name", "page_location"]
+      },
+      {
+        name: "fct_video_sessions",
+        events: ["video_start", "video_progress", "video_complete"],
+        grain: "session",
+        params: ["video_title"],
+        aggregations: [
+          { name: "videos_started", fn: "count", events: ["video_start"] },
+          { name: "videos_completed", fn: "count_distinct", column: "video_title", events: ["video_complete"] },
+          { name: "max_video_percent", fn: "max", column: "video_percent" },
+          { name: "last_video_title", fn: "last", column: "video_title" }
+        ],
+        partition_by: "DATE_TRUNC(event_date, MONTH)",
+        cluster_by: ["user_id", "session_key"]
+      }
+    ]
+  }
+};
@@ -0,0 +1,32 @@
+// FUNNELS: a closed session-scoped checkout and an open user-scoped onboarding with a step interval
+module.exports = {
+  description: 'simple mode / web / closed session funnel and open user funnel',
+  generators: ['funnels.onboarding.FUNNEL_CTES_SQL', 'funnels.FUNNEL_ROWS_SQL'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    FUNNELS: [
+      {
+        name: "checkout",
+        steps: [
+          { event_name: "view_item" },
+          { event_name: "add_to_cart" },
+          { event_name: "begin_checkout" },
+          { event_name: "purchase" }
+        ]
+      },
+      {
+        name: "onboarding",
+        type: "open",
+        scope: "user",
+        max_step_interval_minutes: 10080,
+        lookback_days: 60,
+        steps: [
+          { event_name: "sign_up" },
+          { event_name: "page_view", name: "Profile page", conditions: { page_location: { regex: "/profile" } } },
+          { event_name: "tutorial_complete" }
+        ]
+      }
+    ]
+  }
+};
@@ -0,0 +1,14 @@
+// IDENTITY_RESOLUTION_CONFIG overrides: shallow graph, small components, placeholder user_ids denied
+module.exports = {
+  description: 'simple mode / web / identity resolution with deny-list',
+  generators: ['identity'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    IDENTITY_RESOLUTION_CONFIG: {
+      max_depth: 3,
+      max_component_size: 10,
+      deny_user_ids: ['undefined', '0', "qa'tester"]
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// KEY_EVENTS: lead-gen conversions with param conditions, both counting methods and a value param
+module.exports = {
+  description: 'simple mode / web / key events without ecommerce',
+  generators: ['key_events'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "form_id", type: "string" },
+      { name: "lead_value", type: "auto", target: "double" }
+    ],
+    KEY_EVENTS: [
+      { event_name: "generate_lead", value_param: "lead_value" },
+      { event_name: "form_submit", name: "contact_request", conditions: { form_id: { exact: ["contact", "contact_footer"] } } },
+      { event_name: "page_view", name: "pricing_view", conditions: { page_location: { regex: "/pricing(/|$)" } } },
+      { event_name: "file_download", counting: "every_event", value_param: "event_value_in_usd" }
+    ]
+  }
+};
@@ -0,0 +1,24 @@
+// ML_CONFIG overrides: logistic regression, custom feature lists and churn activity events
+module.exports = {
+  description: 'simple mode / web / ecommerce on / ML overrides',
+  generators: ['ml'],
+  vars: { HAS_ECOMMERCE: 'true', ENABLE_ML: 'true', ML_FORCE_RETRAIN: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    ML_CONFIG: {
+      purchase_propensity: {
+        model_type: 'LOGISTIC_REG',
+        features: ['session_count', 'days_since_first_seen', 'revenue_usd', 'last_session_channel_group'],
+        feature_lookback_days: 60,
+        label_window_days: 14,
+        training_snapshots: 4,
+        snapshot_interval_days: 7
+      },
+      churn_risk: {
+        features: ['sessions_last_30_days', 'days_since_last_event', 'events_last_7_days'],
+        inactivity_days: 14,
+        activity_events: ['page_view', 'purchase']
+      }
+    }
+  }
+};
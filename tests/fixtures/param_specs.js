@@ -0,0 +1,27 @@
+// Richer param specs: coalesced types, alias, defaults and event scoping, plus the other_params catch-all
+module.exports = {
+  description: 'simple mode / app / auto, bool and timestamp params with other_params',
+  generators: ['sql_generators'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'app',
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "plan_id", type: "auto", target: "int" },
+      { name: "is_trial", type: "bool", default: false },
+      { name: "renewal_at", type: "timestamp" },
+      { name: "search-term", type: "string", alias: "search_term", events: ["search", "view_search_results"], redact: true },
+      { name: "coupon", type: "auto", default: "(none)", events: ["purchase"] }
+    ],
+    CORE_USER_PROPS_ARRAY: [
+      { name: "user_type", type: "string" },
+      { name: "lifetime_orders", type: "auto", target: "double", default: 0 }
+    ],
+    CUSTOM_ITEMS_PARAMS: [
+      { name: "item_size", type: "auto", events: ["purchase", "add_to_cart"] }
+    ],
+    OTHER_PARAMS_CONFIG: {
+      enabled: true,
+      ignore_keys: ['debug_mode']
+    }
+  }
+};
@@ -0,0 +1,26 @@
+// Product performance with list/promotion stages, a fork-added ecommerce event and a list breakdown
+module.exports = {
+  description: 'simple mode / web / ecommerce with list and promotion stages, custom add_to_compare event and list breakdown',
+  generators: ['products.PRODUCT_STAGE_METRICS_SQL', 'products.PRODUCT_VALUE_METRICS_SQL', 'products.PRODUCT_RATES_SQL'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CUSTOM_ITEMS_PARAMS: [
+      { name: 'custom_size', type: 'string' }
+    ],
+    ECOMMERCE_ITEM_EVENTS: [
+      'view_item_list',
+      'select_item',
+      'view_promotion',
+      'select_promotion',
+      'view_item',
+      'add_to_compare',
+      'add_to_cart',
+      'begin_checkout',
+      'purchase'
+    ],
+    PRODUCT_PERFORMANCE_CONFIG: {
+      breakdown: 'list'
+    }
+  }
+};
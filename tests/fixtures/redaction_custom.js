@@ -0,0 +1,25 @@
+// REDACTION_CONFIG overrides: shorter key denylist, email only, plus a custom order-number pattern
+module.exports = {
+  description: 'simple mode / web / PII redaction with a custom detector and redacted custom param',
+  generators: ['redaction', 'discovery'],
+  vars: {},
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    WEB_PARAMS_ARRAY: [
+      { name: "link_url", type: "string", redact: true },
+      { name: "page_location", type: "string", consolidated_name: "screen_location", redact: true },
+      { name: "page_referrer", type: "string", consolidated_name: "screen_referrer", redact: true },
+      { name: "page_title", type: "string", consolidated_name: "screen_title" }
+    ],
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "search_term", type: "string", redact: true }
+    ],
+    REDACTION_CONFIG: {
+      query_keys: ['email', 'token'],
+      detectors: ['email'],
+      custom_patterns: {
+        order_number: String.raw`\bORD-\d{8}\b`
+      }
+    }
+  }
+};
@@ -0,0 +1,14 @@
+// REPORTING_CURRENCY: EUR revenue from a finance exchange-rate table, currency param extracted
+module.exports = {
+  description: 'simple mode / web / ecommerce converted to EUR with a declared exchange-rate table',
+  generators: ['currency.IN_REPORTING_CURRENCY_SQL', 'currency.MISSING_RATES_SQL'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "currency", type: "string" }
+    ],
+    REPORTING_CURRENCY: 'EUR',
+    EXCHANGE_RATES_SOURCE: { database: 'finance-project', schema: 'finance', name: 'fx_rates_daily' }
+  }
+};
@@ -0,0 +1,19 @@
+// SEGMENTATION_CONFIG overrides: KMEANS without ecommerce (engagement-only fallback)
+module.exports = {
+  description: 'simple mode / web / ecommerce off / KMEANS segmentation',
+  generators: ['ml'],
+  vars: { HAS_ECOMMERCE: 'false', ENABLE_ML: 'true', SEGMENTATION_METHOD: 'kmeans' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    SEGMENTATION_CONFIG: {
+      rfm_buckets: 4,
+      rfm_segments: [
+        { label: 'Power Users', r: [3, 4], f: [3, 4] },
+        { label: 'Lapsed', r: [1, 1] }
+      ],
+      num_clusters: 4,
+      features: ['recency_days', 'frequency', 'total_page_views', 'average_order_value_usd'],
+      cluster_labels: { 1: 'Browsers', 2: 'Regulars' }
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// Transaction reconciliation keeping the highest-revenue purchase hit, with a stricter duplicate threshold
+module.exports = {
+  description: 'simple mode / web / ecommerce with max_revenue purchase dedup and a 1% duplicate-order threshold',
+  generators: ['transactions.DUPLICATE_ORDERS_CHECK_SQL'],
+  vars: { HAS_ECOMMERCE: 'true' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    TRANSACTION_RECONCILIATION: {
+      dedup_policy: 'max_revenue',
+      max_duplicate_order_pct: 1
+    }
+  }
+};
@@ -0,0 +1,12 @@
+// Simple mode, web-only stream, ecommerce off
+module.exports = {
+  description: 'simple mode / web / ecommerce off',
+  generators: ['helper', 'sql_generators', 'traffic_source'],
+  vars: { HAS_ECOMMERCE: 'false' },
+  config: {
+    DATA_STREAM_TYPE: 'web',
+    CUSTOM_PARAMS_ARRAY: [
+      { name: "form_name", type: "string" }
+    ]
+  }
+};
@@ -0,0 +1,73 @@
+// Unit tests for includes/funnels.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, requireInclude } = require('./harness');
+
+describe('funnels', () => {
+  after(() => requireInclude('helper.js').resetConfig());
+
+  const { funnels } = loadFixture({
+    vars: {},
+    config: {
+      FUNNELS: [
+        {
+          name: 'checkout',
+          steps: [{ event_name: 'view_item' }, { event_name: 'add_to_cart' }, { event_name: 'purchase', name: 'Purchase' }]
+        },
+        {
+          name: 'onboarding',
+          type: 'open',
+          scope: 'user',
+          max_step_interval_minutes: 10,
+          steps: [{ event_name: 'sign_up' }, { event_name: 'tutorial_complete' }]
+        }
+      ]
+    }
+  });
+  const [checkout, onboarding] = funnels.getFunnels();
+
+  it('applies defaults and names steps after their event', () => {
+    assert.strictEqual(checkout.type, 'closed');
+    assert.strictEqual(checkout.scope, 'session');
+    assert.strictEqual(checkout.max_step_interval_minutes, null);
+    assert.strictEqual(checkout.lookback_days, funnels.FUNNEL_DEFAULTS.lookback_days);
+    assert.deepStrictEqual(checkout.steps.map(step => step.name), ['view_item', 'add_to_cart', 'Purchase']);
+  });
+
+  it('closed funnels enter at step 1 and only advance in order', () => {
+    const sql = funnels.FUNNEL_CTES_SQL(checkout, '`base_events`');
+    assert.match(sql, /ORDER BY IF\(step = 1, 0, 1\), event_timestamp LIMIT 1\)\[OFFSET\(0\)\] AS entry/);
+    assert.match(sql, /IF\(entry\.step = 1, entry\.event_timestamp, NULL\) AS step_1_timestamp/);
+
+    const step2 = funnels.STEP_TIMESTAMP_SQL(checkout, 2);
+    assert.doesNotMatch(step2, /IS NULL/);
+    assert.match(step2, /WHERE step = 2\n\s+AND event_timestamp >= step_1_timestamp\n/);
+  });
+
+  it('open funnels enter at the first step reached, then continue in order', () => {
+    const sql = funnels.FUNNEL_CTES_SQL(onboarding, '`base_events`');
+    assert.match(sql, /ORDER BY event_timestamp, step LIMIT 1\)\[OFFSET\(0\)\] AS entry/);
+    assert.match(funnels.STEP_TIMESTAMP_SQL(onboarding, 2),
+      /^IF\(step_1_timestamp IS NULL, IF\(entry\.step = 2, entry\.event_timestamp, NULL\), \(/);
+  });
+
+  it('limits the gap between steps to max_step_interval_minutes (in microseconds)', () => {
+    assert.match(funnels.STEP_TIMESTAMP_SQL(onboarding, 2), /AND event_timestamp <= step_1_timestamp \+ 600000000\n/);
+    assert.doesNotMatch(funnels.STEP_TIMESTAMP_SQL(checkout, 2), /<= step_1_timestamp/);
+  });
+
+  it('follows sessions or resolved users depending on scope', () => {
+    assert.match(funnels.FUNNEL_CTES_SQL(checkout, '`base_events`'), /e\.session_key AS funnel_unit/);
+    const userSql = funnels.FUNNEL_CTES_SQL(onboarding, '`base_events`');
+    assert.match(userSql, /ul\.resolved_user_id AS funnel_unit/);
+    assert.match(userSql, /INNER JOIN user_lookup ul\n\s+ON e\.user_id = ul\.identifier/);
+  });
+
+  it('marks only the last step as is_last_step with no next step', () => {
+    const sql = funnels.FUNNEL_CTES_SQL(checkout, '`base_events`');
+    assert.match(sql, /STRUCT\(2 AS step_number, 'add_to_cart' AS step_name, FALSE AS is_last_step, step_2_timestamp AS step_timestamp, step_3_timestamp AS next_step_timestamp\)/);
+    assert.match(sql, /STRUCT\(3 AS step_number, 'Purchase' AS step_name, TRUE AS is_last_step, step_3_timestamp AS step_timestamp, CAST\(NULL AS INT64\) AS next_step_timestamp\)/);
+    assert.match(funnels.FUNNEL_STEP_METRICS_SQL(), /COUNTIF\(r\.is_last_step OR r\.next_step_timestamp IS NOT NULL\) AS completions/);
+  });
+});
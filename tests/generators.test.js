@@ -0,0 +1,16 @@
+// Snapshot tests: every fixture in tests/fixtures renders the generators it
+// lists (its generators field) and compares them to tests/snapshots.
+
+const { describe, it, after } = require('node:test');
+const { listFixtures, loadFixture, renderGenerators, matchSnapshot, requireInclude } = require('./harness');
+
+describe('generated SQL snapshots', () => {
+  after(() => requireInclude('helper.js').resetConfig());
+
+  listFixtures().forEach(({ name, fixture }) => {
+    it(`${name} (${fixture.description})`, () => {
+      const loaded = loadFixture(fixture);
+      matchSnapshot(name, renderGenerators(loaded, fixture.generators));
+    });
+  });
+});
@@ -0,0 +1,416 @@
+// ============================================================================
+// HARNESS.JS — Offline Test Harness for includes/ Generators
+// Owned by upstream repository
+//
+// Stubs the `dataform` global, builds a merged config from a fixture and
+// injects it through helper.setConfig(), so helper.js, sql_generators.js and
+// traffic_source.js render SQL without client_config.js or a Dataform run.
+// compileProject() runs `dataform compile` on the whole project for checks
+// that only show up in the action graph.
+// ============================================================================
+
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+const DATAFORM_BIN = path.join(ROOT, 'node_modules', '.bin', 'dataform');
+
+/**
+ * Compilation variables every fixture starts from (mirrors workflow_settings.yaml)
+ */
+const DEFAULT_VARS = {
+  DESTINATION_DATASET: 'ga4_reporting',
+  SOURCE_DATASET: 'analytics_000000000',
+  SOURCE_PROJECT: 'test-project',
+  SOURCE_TABLE_PREFIX: 'events_',
+  ENVIRONMENT: 'prod',
+  HAS_ECOMMERCE: 'false'
+};
+
+// ============================================================================
+// DATAFORM STUB & MODULE LOADING
+// ============================================================================
+
+/**
+ * Installs a minimal `dataform` global exposing projectConfig.vars
+ */
+function stubDataform(vars = {}) {
+  global.dataform = {
+    projectConfig: {
+      defaultDatabase: DEFAULT_VARS.SOURCE_PROJECT,
+      defaultSchema: DEFAULT_VARS.DESTINATION_DATASET,
+      vars: { ...DEFAULT_VARS, ...vars }
+    }
+  };
+}
+
+/**
+ * Requires an includes/ module by file name
+ */
+function requireInclude(name) {
+  return require(path.join(ROOT, 'includes', name));
+}
+
+/**
+ * Re-evaluates core_config.js against the current compilation variables
+ */
+function loadCoreConfig() {
+  const corePath = require.resolve(path.join(ROOT, 'includes', 'core_config.js'));
+  delete require.cache[corePath];
+  return require(corePath).coreConfig;
+}
+
+/**
+ * Stubs dataform with the fixture's vars and injects its merged config
+ * @returns {{helpers, sqlGen, trafficSrc, ml, attribution, identity, consent, redaction, pages, discovery, eventTables, keyEvents, funnels, products, currency, transactions, config}}
+ */
+function loadFixture(fixture) {
+  stubDataform(fixture.vars);
+  const coreConfig = loadCoreConfig();
+  const { BASE_CLIENT_CONFIG } = require('./fixtures/_base');
+
+  const config = { ...coreConfig, ...BASE_CLIENT_CONFIG, ...fixture.config };
+
+  const helpers = requireInclude('helper.js');
+  helpers.setConfig(config);
+
+  return {
+    helpers,
+    sqlGen: requireInclude('sql_generators.js'),
+    trafficSrc: requireInclude('traffic_source.js'),
+    ml: requireInclude('ml.js'),
+    attribution: requireInclude('attribution.js'),
+    identity: requireInclude('identity.js'),
+    consent: requireInclude('consent.js'),
+    redaction: requireInclude('redaction.js'),
+    pages: requireInclude('pages.js'),
+    discovery: requireInclude('discovery.js'),
+    eventTables: requireInclude('event_tables.js'),
+    keyEvents: requireInclude('key_events.js'),
+    funnels: requireInclude('funnels.js'),
+    products: requireInclude('products.js'),
+    currency: requireInclude('currency.js'),
+    transactions: requireInclude('transactions.js'),
+    config
+  };
+}
+
+/**
+ * Lists fixture files (tests/fixtures/*.js, skipping _-prefixed support files)
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.js'),
+      fixture: require(path.join(FIXTURES_DIR, file))
+    }));
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Section renderers per includes/ module; a fixture's generators list picks
+ * the ones its snapshot covers
+ */
+const RENDERERS = {
+  helper: ({ helpers, config }, add) => {
+    add('isAdvancedMode', `-- ${helpers.isAdvancedMode()}`);
+    add('getEffectiveDataStreamType', `-- ${helpers.getEffectiveDataStreamType()}`);
+    add('shouldConsolidateParams', `-- ${helpers.shouldConsolidateParams()}`);
+    add('HAS_ECOMMERCE', `-- ${config.HAS_ECOMMERCE}`);
+    add('getIncludedStreams', helpers.getIncludedStreams()
+      .map(stream => `-- ${JSON.stringify(stream)}`).join('\n'));
+
+    if (helpers.isAdvancedMode()) {
+      Object.keys(config.PROPERTIES_CONFIG).forEach(propertyName => {
+        add(`generateStreamFilter(${propertyName})`, helpers.generateStreamFilter(propertyName));
+      });
+    } else {
+      add('generateStreamFilter', helpers.generateStreamFilter());
+    }
+    add('PROPERTY_NAME_SQL', helpers.PROPERTY_NAME_SQL());
+    add('STREAM_TYPE_SQL', helpers.STREAM_TYPE_SQL());
+    add('PROPERTY_KEY_PARTS', helpers.PROPERTY_KEY_PARTS().join(',\n'));
+
+    const screenFields = helpers.getScreenFieldRefs();
+    add('getScreenFieldRefs', Object.keys(screenFields)
+      .map(key => `${screenFields[key]} AS ${key}`).join(',\n'));
+    add('getPageSessionKeyRef', helpers.getPageSessionKeyRef());
+    add('getDestinationDataset', `-- ${helpers.getDestinationDataset()}`);
+    add('SAMPLE_FILTER_SQL', helpers.SAMPLE_FILTER_SQL() || '-- (no sampling)');
+    if (config.FORCE_FULL_BACKFILL) {
+      add('GET_BACKFILL_START_DATE', helpers.GET_BACKFILL_START_DATE());
+      add('GET_BACKFILL_END_DATE', helpers.GET_BACKFILL_END_DATE());
+    }
+  },
+
+  sql_generators: ({ sqlGen }, add) => {
+    add('EXTRACT_EVENT_PARAMS', sqlGen.EXTRACT_EVENT_PARAMS());
+    add('EXTRACT_WEB_PARAMS', sqlGen.EXTRACT_WEB_PARAMS());
+    add('EXTRACT_APP_PARAMS', sqlGen.EXTRACT_APP_PARAMS());
+    add('EXTRACT_CUSTOM_PARAMS', sqlGen.EXTRACT_CUSTOM_PARAMS());
+    add('EXTRACT_OTHER_PARAMS', sqlGen.EXTRACT_OTHER_PARAMS());
+    add('CONSOLIDATE_PARAMS', sqlGen.CONSOLIDATE_PARAMS());
+    add('GENERATE_EVENT_KEY_CONCAT', sqlGen.GENERATE_EVENT_KEY_CONCAT());
+    add('EXTRACT_USER_PROPS', sqlGen.EXTRACT_USER_PROPS());
+    add('EXTRACT_ITEMS_ARRAY', sqlGen.EXTRACT_ITEMS_ARRAY());
+  },
+
+  traffic_source: ({ trafficSrc }, add) => {
+    add('getTrafficSourceSelectSQL', trafficSrc.getTrafficSourceSelectSQL());
+    add('getTrafficSourceColumnList', trafficSrc.getTrafficSourceColumnList());
+    add('getTrafficSourceAggregateSQL', trafficSrc.getTrafficSourceAggregateSQL());
+  },
+
+  ml: ({ ml }, add) => {
+    Object.keys(ml.ML_MODEL_DEFAULTS).forEach(modelKey => {
+      const modelConfig = ml.getModelConfig(modelKey);
+      const features = ml.resolveFeatures(modelConfig.features, modelKey);
+      add(`ml.${modelKey}.SNAPSHOT_DATES_SQL`, ml.SNAPSHOT_DATES_SQL(modelConfig, modelConfig.label_window_days || modelConfig.inactivity_days));
+      add(`ml.${modelKey}.FEATURE_AGGREGATES_SQL(sessions)`, ml.FEATURE_AGGREGATES_SQL(features, 'sessions'));
+      add(`ml.${modelKey}.FEATURE_AGGREGATES_SQL(transactions)`, ml.FEATURE_AGGREGATES_SQL(features, 'transactions'));
+      add(`ml.${modelKey}.FEATURE_AGGREGATES_SQL(events)`, ml.FEATURE_AGGREGATES_SQL(features, 'events'));
+      add(`ml.${modelKey}.FEATURE_COLUMNS_SQL`, ml.FEATURE_COLUMNS_SQL(features));
+      add(`ml.${modelKey}.RETRAIN_CONDITION_SQL`, ml.RETRAIN_CONDITION_SQL(modelConfig));
+      add(`ml.${modelKey}.ACTIVITY_FILTER_SQL`, ml.ACTIVITY_FILTER_SQL(modelConfig));
+    });
+
+    const segmentConfig = ml.getSegmentationConfig();
+    add('ml.SEGMENT_METRICS_SQL', ml.SEGMENT_METRICS_SQL(segmentConfig, '`users`', '`transactions`', '`user_identity_graph`'));
+    add('ml.SEGMENT_FEATURE_COLUMNS_SQL', ml.SEGMENT_FEATURE_COLUMNS_SQL(ml.resolveSegmentFeatures(segmentConfig)));
+    add('ml.RFM_SEGMENT_LABEL_SQL', ml.RFM_SEGMENT_LABEL_SQL(segmentConfig));
+    add('ml.CLUSTER_LABEL_SQL', ml.CLUSTER_LABEL_SQL(segmentConfig));
+  },
+
+  attribution: ({ attribution }, add) => {
+    const attributionConfig = attribution.getAttributionConfig();
+    add('attribution.shouldAttributeTransactions', `-- ${attribution.shouldAttributeTransactions(attributionConfig)}`);
+    add('attribution.NON_DIRECT_CONDITION_SQL', attribution.NON_DIRECT_CONDITION_SQL());
+    add('attribution.TOUCHPOINT_TRAFFIC_SQL', attribution.TOUCHPOINT_TRAFFIC_SQL());
+    add('attribution.TIME_DECAY_WEIGHT_SQL', attribution.TIME_DECAY_WEIGHT_SQL(attributionConfig));
+    add('attribution.ATTRIBUTION_CREDIT_SQL', attribution.ATTRIBUTION_CREDIT_SQL(attributionConfig));
+    add('attribution.ATTRIBUTED_VALUE_SQL', attribution.ATTRIBUTED_VALUE_SQL());
+  },
+
+  identity: ({ identity }, add) => {
+    const identityConfig = identity.getIdentityConfig();
+    add('identity.ALLOWED_USER_ID_SQL', identity.ALLOWED_USER_ID_SQL(identityConfig));
+    add('identity.COMPONENT_LABELS_SQL', identity.COMPONENT_LABELS_SQL(identityConfig));
+  },
+
+  consent: ({ consent }, add) => {
+    const consentPolicy = consent.getConsentPolicy();
+    add('consent.CONSENT_DENIED_SQL', consent.CONSENT_DENIED_SQL(consentPolicy));
+    add('consent.CONSENT_IDENTIFIER_SQL', consent.CONSENT_IDENTIFIER_SQL(consentPolicy, 'user_pseudo_id'));
+    add('consent.CONSENT_FILTER_SQL', consent.CONSENT_FILTER_SQL(consentPolicy));
+  },
+
+  redaction: ({ redaction }, add) => {
+    const redactionConfig = redaction.getRedactionConfig();
+    add('redaction.getRedactedParamNames', `-- ${redaction.getRedactedParamNames().join(', ')}`);
+    add('redaction.getActiveDetectors', `-- ${redaction.getActiveDetectors(redactionConfig).join(', ')}`);
+    add('redaction.REDACT_SQL', redaction.REDACT_SQL('page_location', redactionConfig));
+    add('redaction.REDACTION_COUNTS_SQL', redaction.REDACTION_COUNTS_SQL('`base_events`', 'event_date >= @start_date'));
+  },
+
+  pages: ({ pages, config }, add) => {
+    const normalization = pages.getUrlNormalizationConfig(config);
+    add('pages.NORMALIZED_URL_SQL', pages.NORMALIZED_URL_SQL('page_location', normalization));
+    add('pages.NORMALIZED_PAGE_KEY_SQL', pages.NORMALIZED_PAGE_KEY_SQL('page_location', normalization));
+    add('pages.CONTENT_GROUPS_SQL', pages.CONTENT_GROUPS_SQL(pages.getContentGroups(config)));
+    add('pages.PATH_STEPS_SQL', pages.PATH_STEPS_SQL(pages.getPagePathsConfig(config)));
+  },
+
+  discovery: ({ helpers, discovery, config }, add) => {
+    const discoveryConfig = discovery.getDiscoveryConfig();
+    const propertyNames = helpers.isAdvancedMode() ? Object.keys(config.PROPERTIES_CONFIG) : [DEFAULT_VARS.SOURCE_DATASET];
+    add('discovery.CONFIGURED_PARAMS_SQL', discovery.CONFIGURED_PARAMS_SQL(discovery.getConfiguredParams(), propertyNames));
+    add('discovery.IGNORED_KEY_SQL', discovery.IGNORED_KEY_SQL(discoveryConfig));
+  },
+
+  event_tables: ({ eventTables, config }, add) => {
+    eventTables.getEventTables().forEach(table => {
+      const options = { forceFullBackfill: false, refreshDays: config.ROLLING_REFRESH_DAYS };
+      add(`eventTables.${table.name}.EVENT_TABLE_SQL(rolling)`, eventTables.EVENT_TABLE_SQL(table, '`base_events`', { ...options, rollingRefresh: true }));
+      add(`eventTables.${table.name}.EVENT_TABLE_SQL(full)`, eventTables.EVENT_TABLE_SQL(table, '`base_events`', { ...options, rollingRefresh: false }));
+      add(`eventTables.${table.name}.EVENT_TABLE_PREOPS_SQL`, eventTables.EVENT_TABLE_PREOPS_SQL(`\`${table.name}\``, options));
+      add(`eventTables.${table.name}.EXECUTION_LOG_STATS_SQL`, eventTables.EXECUTION_LOG_STATS_SQL(table, `\`${table.name}\``, 'event_date >= @start_date'));
+    });
+  },
+
+  key_events: ({ keyEvents }, add) => {
+    const keyEventList = keyEvents.getKeyEvents();
+    if (keyEventList.length > 0) {
+      add('keyEvents.KEY_EVENT_EVENT_COLUMNS_SQL', keyEvents.KEY_EVENT_EVENT_COLUMNS_SQL(keyEventList));
+      add('keyEvents.KEY_EVENT_SESSION_AGGREGATES_SQL', keyEvents.KEY_EVENT_SESSION_AGGREGATES_SQL(keyEventList));
+      add('keyEvents.KEY_EVENT_SESSION_COLUMNS_SQL', keyEvents.KEY_EVENT_SESSION_COLUMNS_SQL(keyEventList));
+      add('keyEvents.KEY_EVENT_USER_AGGREGATES_SQL', keyEvents.KEY_EVENT_USER_AGGREGATES_SQL(keyEventList));
+      add('keyEvents.KEY_EVENT_USER_COLUMNS_SQL', keyEvents.KEY_EVENT_USER_COLUMNS_SQL(keyEventList));
+    }
+  },
+
+  funnels: ({ funnels }, add) => {
+    const funnelList = funnels.getFunnels();
+    if (funnelList.length > 0) {
+      funnelList.forEach(funnel => add(`funnels.${funnel.name}.FUNNEL_CTES_SQL`, funnels.FUNNEL_CTES_SQL(funnel, '`base_events`')));
+      add('funnels.FUNNEL_ROWS_SQL', funnels.FUNNEL_ROWS_SQL(funnelList));
+      add('funnels.FUNNEL_STEP_METRICS_SQL', funnels.FUNNEL_STEP_METRICS_SQL());
+    }
+  },
+
+  products: ({ products, config }, add) => {
+    add('products.getProductPerformanceConfig', `-- ${JSON.stringify(products.getProductPerformanceConfig(config))}`);
+    add('products.PRODUCT_STAGE_METRICS_SQL', products.PRODUCT_STAGE_METRICS_SQL(config.ECOMMERCE_ITEM_EVENTS));
+    add('products.PRODUCT_VALUE_METRICS_SQL', products.PRODUCT_VALUE_METRICS_SQL(config.ECOMMERCE_ITEM_EVENTS));
+    add('products.PRODUCT_RATES_SQL', products.PRODUCT_RATES_SQL(config.ECOMMERCE_ITEM_EVENTS));
+  },
+
+  currency: ({ currency }, add) => {
+    const reportingCurrency = currency.getReportingCurrency();
+    if (reportingCurrency) {
+      add('currency.REPORTING_RATES_SQL', currency.REPORTING_RATES_SQL('`fx_rates_daily`', 'transaction_events', reportingCurrency));
+      add('currency.IN_REPORTING_CURRENCY_SQL', currency.IN_REPORTING_CURRENCY_SQL(currency.ITEM_AMOUNT_COLUMNS, 'items'));
+      add('currency.MISSING_RATES_SQL', currency.MISSING_RATES_SQL([
+        { model: 'transactions', table: '`transactions`', amountColumns: currency.TRANSACTION_AMOUNT_COLUMNS }
+      ]));
+    }
+  },
+
+  transactions: ({ transactions, config }, add) => {
+    const reconciliation = transactions.getReconciliationConfig();
+    add('transactions.getReconciliationConfig', `-- ${JSON.stringify(reconciliation)}`);
+    add('transactions.DEDUP_ORDER_SQL', transactions.DEDUP_ORDER_SQL(reconciliation.dedup_policy));
+    add('transactions.REFUND_STATUS_SQL', transactions.REFUND_STATUS_SQL('purchase_revenue', 'o.refunded_value'));
+    add('transactions.DUPLICATE_ORDERS_CHECK_SQL', transactions.DUPLICATE_ORDERS_CHECK_SQL('`transactions`', reconciliation, config.ROLLING_REFRESH_DAYS));
+  }
+};
+
+/**
+ * Whether a section title is picked by a generator's section filter: the title, without
+ * a trailing (variant), equals the filter or ends with '.<filter>'
+ */
+function matchesSection(title, filter) {
+  const base = title.replace(/\(.*\)$/, '');
+  return base === filter || base.endsWith(`.${filter}`);
+}
+
+/**
+ * Renders the output of the fixture's generators as one SQL document
+ * Each entry is a RENDERERS key ('pages') or a key plus one of its sections
+ * ('pages.CONTENT_GROUPS_SQL', 'funnels.onboarding.FUNNEL_CTES_SQL')
+ */
+function renderGenerators(loaded, generators) {
+  assert.ok(Array.isArray(generators) && generators.length > 0, 'Fixture must list the generators it snapshots');
+  const sections = [];
+
+  generators.forEach(entry => {
+    const [name, ...rest] = entry.split('.');
+    const filter = rest.join('.');
+    assert.ok(RENDERERS[name], `Unknown generator '${name}' (expected one of ${Object.keys(RENDERERS).join(', ')})`);
+
+    const before = sections.length;
+    RENDERERS[name](loaded, (title, body) => {
+      if (filter && !matchesSection(title, filter)) return;
+      sections.push(`-- [${title}]\n${body === '' ? '-- (empty)' : body}`);
+    });
+    assert.ok(sections.length > before, `Generator '${entry}' rendered no sections`);
+  });
+
+  return sections.join('\n\n') + '\n';
+}
+
+// ============================================================================
+// PROJECT COMPILATION
+// ============================================================================
+
+/**
+ * Runs `dataform compile --json` on the project with extra compilation variables
+ * @returns {{actions: Object[], graphErrors: Object}} every table, operation and assertion
+ */
+function compileProject(vars = {}) {
+  const args = ['compile', '--json'];
+  const varList = Object.entries(vars).map(([key, value]) => `${key}=${value}`);
+  if (varList.length > 0) args.push(`--vars=${varList.join(',')}`);
+
+  const output = execFileSync(DATAFORM_BIN, args, { cwd: ROOT, encoding: 'utf8', timeout: 120000 });
+  // console.log lines from the js {} blocks ([TAG] ...) come before the JSON graph
+  const json = output.split('\n').filter(line => !/^\[[A-Z_0-9]+\]/.test(line)).join('\n');
+  const graph = JSON.parse(json.slice(json.indexOf('{')));
+
+  return {
+    actions: [...(graph.tables || []), ...(graph.operations || []), ...(graph.assertions || [])],
+    graphErrors: graph.graphErrors || {}
+  };
+}
+
+/**
+ * Lists enabled actions that depend on, or read from, a disabled action
+ * @returns {string[]} one '<enabled> depends on|reads <disabled>' entry per problem
+ */
+function findDisabledReferences(actions) {
+  const disabled = actions.filter(action => action.disabled);
+  const disabledNames = new Set(disabled.map(action => action.target.name));
+  const problems = [];
+
+  actions.filter(action => !action.disabled).forEach(action => {
+    (action.dependencyTargets || [])
+      .filter(target => disabledNames.has(target.name))
+      .forEach(target => problems.push(`${action.target.name} depends on ${target.name}`));
+
+    const sql = [
+      action.query, action.incrementalQuery,
+      ...(action.queries || []), ...(action.preOps || []), ...(action.incrementalPreOps || [])
+    ].filter(Boolean).join('\n');
+    disabled
+      .filter(({ target }) => sql.includes(`\`${target.database}.${target.schema}.${target.name}\``))
+      .forEach(({ target }) => problems.push(`${action.target.name} reads ${target.name}`));
+  });
+
+  return [...new Set(problems)];
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Compares output against tests/snapshots/<name>.sql
+ * Set UPDATE_SNAPSHOTS=1 (npm run test:update) to write new or changed snapshots
+ */
+function matchSnapshot(name, actual) {
+  const snapshotPath = path.join(SNAPSHOTS_DIR, `${name}.sql`);
+
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(snapshotPath, actual);
+    return;
+  }
+
+  assert.ok(
+    fs.existsSync(snapshotPath),
+    `Missing snapshot ${path.relative(ROOT, snapshotPath)}. Run \`npm run test:update\` to create it.`
+  );
+  assert.strictEqual(actual, fs.readFileSync(snapshotPath, 'utf8'),
+    `Generated SQL differs from ${path.relative(ROOT, snapshotPath)}. ` +
+    'If the change is intended, run `npm run test:update` and review the diff.');
+}
+
+module.exports = {
+  DEFAULT_VARS,
+  stubDataform,
+  requireInclude,
+  loadFixture,
+  listFixtures,
+  renderGenerators,
+  matchSnapshot,
+  compileProject,
+  findDisabledReferences
+};
@@ -0,0 +1,64 @@
+// Unit tests for scripts/plan_backfill.js and includes/backfill.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+const { planReleases, formatPlan, formatPlanJson } = require(path.join(__dirname, '..', 'scripts', 'plan_backfill.js'));
+const { planBackfillChunks, getChunkCoverageErrors } = require(path.join(__dirname, '..', 'includes', 'backfill.js'));
+
+const today = new Date(Date.UTC(2024, 5, 30));
+
+describe('plan_backfill', () => {
+  it('splits a range into calendar months with partial first and last chunks', () => {
+    const { chunks, errors } = planReleases('20240115', '20240310', { today });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(chunks, [
+      { start: '20240115', end: '20240131', days: 17 },
+      { start: '20240201', end: '20240229', days: 29 },
+      { start: '20240301', end: '20240310', days: 10 }
+    ]);
+  });
+
+  it('splits a range into fixed-size chunks', () => {
+    assert.deepStrictEqual(planBackfillChunks('20231225', '20240110', 7), [
+      { start: '20231225', end: '20231231', days: 7 },
+      { start: '20240101', end: '20240107', days: 7 },
+      { start: '20240108', end: '20240110', days: 3 }
+    ]);
+  });
+
+  it('rejects invalid ranges and chunks longer than the maximum span', () => {
+    assert.match(planReleases('20240301', '20240101', { today }).errors[0], /BACKFILL_START_DATE: 20240301 is after BACKFILL_END_DATE 20240101/);
+    assert.match(planReleases('20240101', '20240731', { today }).errors[0], /BACKFILL_END_DATE: 20240731 is in the future/);
+    assert.match(planReleases('20240101', '20240110', { chunk: 'week', today }).errors[0], /Invalid chunk size 'week'/);
+    const { errors } = planReleases('20240101', '20240331', { chunk: 45, maxDays: 31, today });
+    assert.match(errors[0], /^chunk 1: BACKFILL_END_DATE: 20240101-20240214 spans 45 days; BACKFILL_MAX_DAYS is 31/);
+  });
+
+  it('detects overlapping, missing and misaligned chunks', () => {
+    const errors = getChunkCoverageErrors([
+      { start: '20240102', end: '20240110' },
+      { start: '20240110', end: '20240120' },
+      { start: '20240125', end: '20240130' }
+    ], '20240101', '20240131');
+    assert.deepStrictEqual(errors, [
+      'chunk 1 starts on 20240102, not 20240101',
+      'chunk 2 (20240110-20240120) overlaps chunk 1 (ends 20240110)',
+      'gap between chunk 2 (ends 20240120) and chunk 3 (starts 20240125)',
+      'chunk 3 ends on 20240130, not 20240131'
+    ]);
+  });
+
+  it('prints one release per chunk with its compilation variables', () => {
+    const { chunks } = planReleases('20240120', '20240205', { today });
+    const plan = formatPlan(chunks);
+    assert.match(plan, /^# Backfill 20240120-20240205: 2 releases, 17 days \(chunk: month\)/);
+    assert.match(plan, /1\. backfill-20240120-20240131 \(12 days\)\n   FORCE_FULL_BACKFILL: true\n   BACKFILL_START_DATE: 20240120\n   BACKFILL_END_DATE: 20240131/);
+    assert.match(plan, /2\. backfill-20240201-20240205 \(5 days\)/);
+    assert.deepStrictEqual(JSON.parse(formatPlanJson(chunks))[1], {
+      release: 'backfill-20240201-20240205',
+      vars: { FORCE_FULL_BACKFILL: 'true', BACKFILL_START_DATE: '20240201', BACKFILL_END_DATE: '20240205' }
+    });
+  });
+});
@@ -0,0 +1,148 @@
+-- [isAdvancedMode]
+-- true
+
+-- [getEffectiveDataStreamType]
+-- web
+
+-- [shouldConsolidateParams]
+-- false
+
+-- [HAS_ECOMMERCE]
+-- false
+
+-- [getIncludedStreams]
+-- {"property_name":"main_site","stream_id":"1111111111","stream_type":"web","source_dataset":"analytics_111111111","use_fresh_daily":false}
+
+-- [generateStreamFilter(main_site)]
+stream_id = '1111111111'
+
+-- [PROPERTY_NAME_SQL]
+CASE stream_id WHEN '1111111111' THEN 'main_site' END
+
+-- [STREAM_TYPE_SQL]
+CASE stream_id WHEN '1111111111' THEN 'web' END
+
+-- [PROPERTY_KEY_PARTS]
+COALESCE(property_name, '')
+
+-- [getScreenFieldRefs]
+IF(
+    REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.page_location, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.page_location
+  ) AS location,
+IF(REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'), NULL) AS path,
+IF(
+    REGEXP_CONTAINS(page.page_referrer, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.page_referrer), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_referrer), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.page_referrer, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.page_referrer
+  ) AS referrer,
+TO_BASE64(MD5(IF(
+    REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(LOWER(REGEXP_EXTRACT(TRIM(page.page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/')),
+    LOWER(TRIM(SPLIT(COALESCE(page.page_location, ''), '?')[SAFE_OFFSET(0)]))
+  ))) AS key,
+page.page_title AS title,
+LOWER(REGEXP_EXTRACT(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://([^/?#]+)')) AS hostname
+
+-- [getPageSessionKeyRef]
+page_session_key
+
+-- [getDestinationDataset]
+-- ga4_reporting
+
+-- [SAMPLE_FILTER_SQL]
+-- (no sampling)
+
+-- [EXTRACT_EVENT_PARAMS]
+(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engagement_time_msec') AS engagement_time_msec,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engaged_session_event') AS engaged_session_event,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'entrances') AS entrances,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_id') AS ga_session_id,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_number') AS ga_session_number,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'ignore_referrer') AS ignore_referrer,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'percent_scrolled') AS percent_scrolled,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'session_engaged') AS session_engaged
+
+-- [EXTRACT_WEB_PARAMS]
+(SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'link_url') AS link_url,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_location') AS page_location,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_referrer') AS page_referrer,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_title') AS page_title
+
+-- [EXTRACT_APP_PARAMS]
+(SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_previous_screen') AS firebase_previous_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen') AS firebase_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_class') AS firebase_screen_class,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_id') AS firebase_screen_id
+
+-- [EXTRACT_CUSTOM_PARAMS]
+-- (empty)
+
+-- [EXTRACT_OTHER_PARAMS]
+-- (empty)
+
+-- [CONSOLIDATE_PARAMS]
+-- (empty)
+
+-- [GENERATE_EVENT_KEY_CONCAT]
+COALESCE(property_name, ''), '-', COALESCE(user_id, ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', CAST(event_timestamp AS STRING), '-', event_name, '-', COALESCE(CAST(event_server_timestamp_offset AS STRING), ''), '-', COALESCE(CAST(batch_event_index AS STRING), ''), '-', COALESCE(CAST(event_bundle_sequence_id AS STRING), ''), '-', COALESCE(CAST(engagement_time_msec AS STRING), ''), '-', COALESCE(CAST(engaged_session_event AS STRING), ''), '-', COALESCE(CAST(entrances AS STRING), ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', COALESCE(CAST(ga_session_number AS STRING), ''), '-', COALESCE(CAST(ignore_referrer AS STRING), ''), '-', COALESCE(CAST(percent_scrolled AS STRING), ''), '-', COALESCE(CAST(session_engaged AS STRING), ''), '-', COALESCE(CAST(link_url AS STRING), ''), '-', COALESCE(CAST(page_location AS STRING), ''), '-', COALESCE(CAST(page_referrer AS STRING), ''), '-', COALESCE(CAST(page_title AS STRING), '')
+
+-- [EXTRACT_USER_PROPS]
+(SELECT value.string_value FROM UNNEST(user_properties) WHERE key = 'user_type') AS user_type
+
+-- [EXTRACT_ITEMS_ARRAY]
+ARRAY(
+        (
+            SELECT
+                STRUCT(
+                    items.item_id,
+                    items.item_name,
+                    items.item_brand,
+                    items.item_variant,
+                    items.item_category,
+                    items.item_category2,
+                    items.item_category3,
+                    items.item_category4,
+                    items.item_category5,
+                    items.price_in_usd,
+                    items.price,
+                    items.quantity,
+                    items.item_revenue_in_usd,
+                    items.item_revenue,
+                    items.item_refund_in_usd,
+                    items.item_refund,
+                    items.coupon,
+                    items.affiliation,
+                    items.location_id,
+                    items.item_list_id,
+                    items.item_list_name,
+                    items.item_list_index,
+                    items.promotion_id,
+                    items.promotion_name,
+                    items.creative_name,
+                    items.creative_slot
+                )
+            FROM UNNEST(items) AS items
+        )
+    ) AS items
@@ -0,0 +1,41 @@
+-- [attribution.shouldAttributeTransactions]
+-- false
+
+-- [attribution.NON_DIRECT_CONDITION_SQL]
+s.session_source NOT IN ('(direct)', '(not set)', '')
+      AND s.session_medium NOT IN ('(none)', '(not set)', '')
+
+-- [attribution.TOUCHPOINT_TRAFFIC_SQL]
+IF(cs.session_key IS NULL, '(direct)', cs.session_source) AS session_source,
+      IF(cs.session_key IS NULL, '(none)', cs.session_medium) AS session_medium,
+      cs.session_campaign,
+      IF(cs.session_key IS NULL, 'Direct', cs.session_channel_group) AS session_channel_group,
+      cs.session_campaign_id,
+      cs.session_term,
+      cs.session_content,
+      cs.session_source_platform
+
+-- [attribution.TIME_DECAY_WEIGHT_SQL]
+POW(0.5, days_before_conversion / 3.5)
+
+-- [attribution.ATTRIBUTION_CREDIT_SQL]
+IF(touch_position = 1, 1.0, 0.0) AS first_click_credit,
+    IF(touch_position = touch_count, 1.0, 0.0) AS last_click_credit,
+    IF(touch_position = COALESCE(last_non_direct_position, touch_count), 1.0, 0.0) AS last_non_direct_credit,
+    1.0 / touch_count AS linear_credit,
+    SAFE_DIVIDE(time_decay_weight, time_decay_weight_total) AS time_decay_credit,
+    CASE
+      WHEN touch_count = 1 THEN 1.0
+      WHEN touch_count = 2 THEN IF(touch_position = 1, 0.428571, 0.571429)
+      WHEN touch_position = 1 THEN 0.3
+      WHEN touch_position = touch_count THEN 0.4
+      ELSE 0.3 / (touch_count - 2)
+    END AS position_based_credit
+
+-- [attribution.ATTRIBUTED_VALUE_SQL]
+first_click_credit * conversion_value_usd AS first_click_value_usd,
+  last_click_credit * conversion_value_usd AS last_click_value_usd,
+  last_non_direct_credit * conversion_value_usd AS last_non_direct_value_usd,
+  linear_credit * conversion_value_usd AS linear_value_usd,
+  time_decay_credit * conversion_value_usd AS time_decay_value_usd,
+  position_based_credit * conversion_value_usd AS position_based_value_usd
@@ -0,0 +1,81 @@
+-- [isAdvancedMode]
+-- false
+
+-- [getEffectiveDataStreamType]
+-- web
+
+-- [shouldConsolidateParams]
+-- false
+
+-- [HAS_ECOMMERCE]
+-- false
+
+-- [getIncludedStreams]
+-- {"simple_mode":true,"stream_type":"web","use_fresh_daily":false}
+
+-- [generateStreamFilter]
+1=1
+
+-- [PROPERTY_NAME_SQL]
+CAST(NULL AS STRING)
+
+-- [STREAM_TYPE_SQL]
+'web'
+
+-- [PROPERTY_KEY_PARTS]
+-- (empty)
+
+-- [getScreenFieldRefs]
+IF(
+    REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.page_location, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.page_location
+  ) AS location,
+IF(REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'), NULL) AS path,
+IF(
+    REGEXP_CONTAINS(page.page_referrer, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.page_referrer), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_referrer), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.page_referrer, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.page_referrer
+  ) AS referrer,
+TO_BASE64(MD5(IF(
+    REGEXP_CONTAINS(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(LOWER(REGEXP_EXTRACT(TRIM(page.page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/')),
+    LOWER(TRIM(SPLIT(COALESCE(page.page_location, ''), '?')[SAFE_OFFSET(0)]))
+  ))) AS key,
+page.page_title AS title,
+LOWER(REGEXP_EXTRACT(page.page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://([^/?#]+)')) AS hostname
+
+-- [getPageSessionKeyRef]
+page_session_key
+
+-- [getDestinationDataset]
+-- ga4_reporting
+
+-- [SAMPLE_FILTER_SQL]
+-- (no sampling)
+
+-- [GET_BACKFILL_START_DATE]
+'20240101'
+
+-- [GET_BACKFILL_END_DATE]
+'20240131'
@@ -0,0 +1,188 @@
+-- [isAdvancedMode]
+-- true
+
+-- [getEffectiveDataStreamType]
+-- both
+
+-- [shouldConsolidateParams]
+-- true
+
+-- [HAS_ECOMMERCE]
+-- true
+
+-- [getIncludedStreams]
+-- {"property_name":"noodles_platform","stream_id":"1565017554","stream_type":"app","source_dataset":"noodles_ga4_data","use_fresh_daily":true}
+-- {"property_name":"noodles_platform","stream_id":"1565203175","stream_type":"app","source_dataset":"noodles_ga4_data","use_fresh_daily":true}
+-- {"property_name":"noodles_platform","stream_id":"2264464125","stream_type":"web","source_dataset":"noodles_ga4_data","use_fresh_daily":true}
+-- {"property_name":"bnts_web","stream_id":"8532926265","stream_type":"web","source_dataset":"analytics_452829362","use_fresh_daily":true}
+
+-- [generateStreamFilter(noodles_platform)]
+stream_id IN ('1565017554', '1565203175', '2264464125')
+
+-- [generateStreamFilter(bnts_web)]
+stream_id = '8532926265'
+
+-- [PROPERTY_NAME_SQL]
+CASE stream_id WHEN '1565017554' THEN 'noodles_platform' WHEN '1565203175' THEN 'noodles_platform' WHEN '2264464125' THEN 'noodles_platform' WHEN '8532926265' THEN 'bnts_web' END
+
+-- [STREAM_TYPE_SQL]
+CASE stream_id WHEN '1565017554' THEN 'app' WHEN '1565203175' THEN 'app' WHEN '2264464125' THEN 'web' WHEN '8532926265' THEN 'web' END
+
+-- [PROPERTY_KEY_PARTS]
+COALESCE(property_name, '')
+
+-- [getScreenFieldRefs]
+IF(
+    REGEXP_CONTAINS(page.screen_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.screen_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.screen_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.screen_location, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.screen_location
+  ) AS location,
+COALESCE(IF(REGEXP_CONTAINS(page.screen_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.screen_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'), NULL), page.page_path) AS path,
+IF(
+    REGEXP_CONTAINS(page.screen_referrer, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page.screen_referrer), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.screen_referrer), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page.screen_referrer, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|gbraid|wbraid|dclid|gclsrc|fbclid|msclkid|ttclid|twclid|li_fat_id|mc_cid|mc_eid|_ga|_gl|srsltid)$')
+      ORDER BY param_offset
+    ), '&'), '')), '')
+    ),
+    page.screen_referrer
+  ) AS referrer,
+TO_BASE64(MD5(IF(
+    REGEXP_CONTAINS(page.screen_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(LOWER(REGEXP_EXTRACT(TRIM(page.screen_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(LOWER(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page.screen_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/')), r'(?i)/(?:index\.html|index\.htm|index\.php|default\.aspx)$', '/'), r'(.)/$', r'\1'), ''), '/')),
+    LOWER(TRIM(SPLIT(COALESCE(page.screen_location, ''), '?')[SAFE_OFFSET(0)]))
+  ))) AS key,
+page.screen_title AS title,
+LOWER(REGEXP_EXTRACT(page.screen_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://([^/?#]+)')) AS hostname
+
+-- [getPageSessionKeyRef]
+screen_session_key
+
+-- [getDestinationDataset]
+-- ga4_reporting
+
+-- [SAMPLE_FILTER_SQL]
+-- (no sampling)
+
+-- [EXTRACT_EVENT_PARAMS]
+(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engagement_time_msec') AS engagement_time_msec,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engaged_session_event') AS engaged_session_event,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'entrances') AS entrances,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'form_name') AS form_name,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_id') AS ga_session_id,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_number') AS ga_session_number,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'ignore_referrer') AS ignore_referrer,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'percent_scrolled') AS percent_scrolled,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'session_engaged') AS session_engaged
+
+-- [EXTRACT_WEB_PARAMS]
+(SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'link_classes') AS link_classes,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'link_text') AS link_text,
+        REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE((SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'link_url'), r'(?i)([?&#;](?:email|e-mail|mail|phone|tel|mobile|token|access_token|id_token|auth|password|pwd|ssn)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b', '[REDACTED:card_number]'), r'(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b', '[REDACTED:phone]') AS link_url,
+        REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE((SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_location'), r'(?i)([?&#;](?:email|e-mail|mail|phone|tel|mobile|token|access_token|id_token|auth|password|pwd|ssn)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b', '[REDACTED:card_number]'), r'(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b', '[REDACTED:phone]') AS page_location,
+        REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE((SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_referrer'), r'(?i)([?&#;](?:email|e-mail|mail|phone|tel|mobile|token|access_token|id_token|auth|password|pwd|ssn)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b', '[REDACTED:card_number]'), r'(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b', '[REDACTED:phone]') AS page_referrer,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_title') AS page_title,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'video_current_time') AS video_current_time,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'video_duration') AS video_duration,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'video_percent') AS video_percent,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'video_provider') AS video_provider,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'video_title') AS video_title,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'video_url') AS video_url,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'visible') AS visible
+
+-- [EXTRACT_APP_PARAMS]
+(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'firebase_conversion') AS firebase_conversion,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_previous_class') AS firebase_previous_class,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_previous_id') AS firebase_previous_id,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_previous_screen') AS firebase_previous_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen') AS firebase_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_class') AS firebase_screen_class,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_id') AS firebase_screen_id
+
+-- [EXTRACT_CUSTOM_PARAMS]
+(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'blog_word_count') AS blog_word_count,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'blog_word_count_cohort') AS blog_word_count_cohort
+
+-- [EXTRACT_OTHER_PARAMS]
+-- (empty)
+
+-- [CONSOLIDATE_PARAMS]
+COALESCE(page_location, firebase_screen_class) AS screen_location,
+        COALESCE(page_referrer, firebase_previous_screen) AS screen_referrer,
+        COALESCE(page_title, firebase_screen) AS screen_title
+
+-- [GENERATE_EVENT_KEY_CONCAT]
+COALESCE(property_name, ''), '-', COALESCE(user_id, ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', CAST(event_timestamp AS STRING), '-', event_name, '-', COALESCE(CAST(event_server_timestamp_offset AS STRING), ''), '-', COALESCE(CAST(batch_event_index AS STRING), ''), '-', COALESCE(CAST(event_bundle_sequence_id AS STRING), ''), '-', COALESCE(CAST(engagement_time_msec AS STRING), ''), '-', COALESCE(CAST(engaged_session_event AS STRING), ''), '-', COALESCE(CAST(entrances AS STRING), ''), '-', COALESCE(CAST(form_name AS STRING), ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', COALESCE(CAST(ga_session_number AS STRING), ''), '-', COALESCE(CAST(ignore_referrer AS STRING), ''), '-', COALESCE(CAST(percent_scrolled AS STRING), ''), '-', COALESCE(CAST(session_engaged AS STRING), ''), '-', COALESCE(CAST(firebase_conversion AS STRING), ''), '-', COALESCE(CAST(firebase_previous_class AS STRING), ''), '-', COALESCE(CAST(firebase_previous_id AS STRING), ''), '-', COALESCE(CAST(firebase_screen_id AS STRING), ''), '-', COALESCE(CAST(screen_location AS STRING), ''), '-', COALESCE(CAST(screen_referrer AS STRING), ''), '-', COALESCE(CAST(screen_title AS STRING), ''), '-', COALESCE(CAST(blog_word_count AS STRING), ''), '-', COALESCE(CAST(blog_word_count_cohort AS STRING), '')
+
+-- [EXTRACT_USER_PROPS]
+(SELECT value.string_value FROM UNNEST(user_properties) WHERE key = 'user_type') AS user_type
+
+-- [EXTRACT_ITEMS_ARRAY]
+ARRAY(
+        (
+            SELECT
+                STRUCT(
+                    items.item_id,
+                    items.item_name,
+                    items.item_brand,
+                    items.item_variant,
+                    items.item_category,
+                    items.item_category2,
+                    items.item_category3,
+                    items.item_category4,
+                    items.item_category5,
+                    items.price_in_usd,
+                    items.price,
+                    items.quantity,
+                    items.item_revenue_in_usd,
+                    items.item_revenue,
+                    items.item_refund_in_usd,
+                    items.item_refund,
+                    items.coupon,
+                    items.affiliation,
+                    items.location_id,
+                    items.item_list_id,
+                    items.item_list_name,
+                    items.item_list_index,
+                    items.promotion_id,
+                    items.promotion_name,
+                    items.creative_name,
+                    items.creative_slot
+                )
+            FROM UNNEST(items) AS items
+        )
+    ) AS items
+
+-- [getTrafficSourceSelectSQL]
+session_traffic_source_last_click.cross_channel_campaign.source AS session_source,
+    session_traffic_source_last_click.cross_channel_campaign.medium AS session_medium,
+    session_traffic_source_last_click.cross_channel_campaign.campaign_name AS session_campaign,
+    session_traffic_source_last_click.cross_channel_campaign.default_channel_group AS session_channel_group
+
+-- [getTrafficSourceColumnList]
+session_source,
+  session_medium,
+  session_campaign,
+  session_channel_group
+
+-- [getTrafficSourceAggregateSQL]
+ANY_VALUE(session_source) AS session_source,
+    ANY_VALUE(session_medium) AS session_medium,
+    ANY_VALUE(session_campaign) AS session_campaign,
+    ANY_VALUE(session_channel_group) AS session_channel_group
@@ -0,0 +1,2 @@
+-- [consent.CONSENT_IDENTIFIER_SQL]
+IF((IFNULL(privacy_info.analytics_storage, '') = 'No' OR IFNULL(privacy_info.ads_storage, '') = 'No'), TO_HEX(SHA256(CONCAT('fixture-salt-0123456789', user_pseudo_id))), user_pseudo_id)
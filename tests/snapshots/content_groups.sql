@@ -0,0 +1,36 @@
+-- [pages.NORMALIZED_URL_SQL]
+IF(
+    REGEXP_CONTAINS(page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(
+      LOWER(REGEXP_EXTRACT(TRIM(page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')),
+      COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/'), r'(.)/$', r'\1'), ''), '/'),
+      IFNULL(CONCAT('?', NULLIF(ARRAY_TO_STRING(ARRAY(
+      SELECT param
+      FROM UNNEST(SPLIT(REGEXP_EXTRACT(page_location, r'^[^?#]*\?([^#]*)'), '&')) AS param WITH OFFSET AS param_offset
+      WHERE param != ''
+        AND NOT REGEXP_CONTAINS(LOWER(SPLIT(param, '=')[SAFE_OFFSET(0)]), r'^(?:utm_.*|gclid|sessionid)$')
+      ORDER BY param_offset
+    ), '&'), '')), ''), IFNULL(REGEXP_EXTRACT(page_location, r'#.*$'), '')
+    ),
+    page_location
+  )
+
+-- [pages.NORMALIZED_PAGE_KEY_SQL]
+TO_BASE64(MD5(IF(
+    REGEXP_CONTAINS(page_location, r'^\s*[A-Za-z][A-Za-z0-9+.-]*://'),
+    CONCAT(LOWER(REGEXP_EXTRACT(TRIM(page_location), r'^([A-Za-z][A-Za-z0-9+.-]*://[^/?#]*)')), COALESCE(NULLIF(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_EXTRACT(TRIM(page_location), r'^[A-Za-z][A-Za-z0-9+.-]*://[^/?#]*([^?#]*)'), r'/{2,}', '/'), r'(.)/$', r'\1'), ''), '/')),
+    LOWER(TRIM(SPLIT(COALESCE(page_location, ''), '?')[SAFE_OFFSET(0)]))
+  )))
+
+-- [pages.CONTENT_GROUPS_SQL]
+CASE
+      WHEN REGEXP_CONTAINS(page_path, r'^/blog(/|$)') THEN 'Blog'
+      WHEN REGEXP_CONTAINS(page_path, r'^/products?/') THEN 'Products'
+      WHEN REGEXP_CONTAINS(page_title, r'Checkout') THEN 'Checkout'
+      WHEN REGEXP_CONTAINS(page_path, r'^/$') THEN 'Home'
+      ELSE '(other)'
+    END AS content_group_1,
+    CASE
+      WHEN REGEXP_CONTAINS(page_path, r'^/blog/([^/]+)/') THEN COALESCE(NULLIF(REGEXP_EXTRACT(page_path, r'^/blog/([^/]+)/'), ''), '(none)')
+      ELSE '(none)'
+    END AS content_group_2
@@ -0,0 +1,70 @@
+-- [getTrafficSourceSelectSQL]
+CASE 
+      WHEN session_traffic_source_last_click.cross_channel_campaign.source = 'google' 
+        AND session_traffic_source_last_click.cross_channel_campaign.medium = 'organic' 
+        THEN 'google_organic'
+      WHEN session_traffic_source_last_click.cross_channel_campaign.source LIKE '%facebook%' 
+        THEN 'facebook'
+      ELSE session_traffic_source_last_click.cross_channel_campaign.source
+    END AS session_source,
+    CASE
+      WHEN session_traffic_source_last_click.cross_channel_campaign.medium IN ('cpc', 'ppc', 'paidsearch') 
+        THEN 'paid_search'
+      WHEN session_traffic_source_last_click.cross_channel_campaign.medium = 'social' 
+        THEN 'organic_social'
+      ELSE session_traffic_source_last_click.cross_channel_campaign.medium
+    END AS session_medium,
+    session_traffic_source_last_click.cross_channel_campaign.campaign_name AS session_campaign,
+    CASE
+      WHEN (LOWER(session_traffic_source_last_click.cross_channel_campaign.source) = '(direct)' AND LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) IN ('(not set)', '(none)')) THEN 'Direct'
+      WHEN REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.campaign_name), r'cross-network') THEN 'Cross-network'
+      WHEN (LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('google shopping', 'shopping.google.com', 'igshopping', 'amazon', 'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.ca', 'amazon.in', 'amazon.co.jp', 'ebay', 'ebay.com', 'ebay.co.uk', 'ebay.de', 'etsy', 'etsy.com', 'walmart', 'walmart.com', 'target', 'target.com', 'alibaba', 'alibaba.com', 'aliexpress', 'aliexpress.com', 'mercadolibre', 'mercadolibre.com', 'mercadolivre.com.br', 'rakuten', 'rakuten.com', 'rakuten.co.jp', 'shopify', 'shopify.com', 'checkout.shopify.com', 'shop.app', 'stripe', 'stripe.com', 'shopzilla', 'shopzilla.com', 'pricegrabber', 'pricegrabber.com', 'shopping.yahoo.com', 'store.shopping.yahoo.com', 'zalando', 'zalando.com', 'bestbuy.com', 'wish.com', 'wayfair.com') AND REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$'))
+        OR (REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.campaign_name), r'^(.*(([^a-df-z]|^)shop|shopping).*)$') AND REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$')) THEN 'Paid Shopping'
+      WHEN (LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('google', 'google.com', 'www.google.com', 'lens.google.com', 'bing', 'bing.com', 'cn.bing.com', 'yahoo', 'yahoo.com', 'search.yahoo.com', 'yahoo.co.jp', 'search.yahoo.co.jp', 'baidu', 'baidu.com', 'm.baidu.com', 'duckduckgo', 'duckduckgo.com', 'yandex', 'yandex.ru', 'yandex.com', 'ya.ru', 'ecosia', 'ecosia.org', 'naver', 'naver.com', 'search.naver.com', 'm.search.naver.com', 'daum', 'daum.net', 'search.daum.net', 'ask', 'ask.com', 'aol', 'search.aol.com', 'msn', 'msn.com', 'startpage', 'startpage.com', 'qwant', 'qwant.com', 'seznam', 'seznam.cz', 'sogou', 'sogou.com', 'm.sogou.com', 'so.com', 'm.so.com', 'coccoc', 'coccoc.com', 'brave', 'search.brave.com', 'avg.com', 'onet.pl', 'wp.pl', 'rambler.ru', 'mail.ru', 'go.mail.ru', 'dogpile.com', 'ekstrabladet.dk', 'search.smt.docomo.ne.jp') AND REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$')) THEN 'Paid Search'
+      WHEN (LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('facebook', 'facebook.com', 'm.facebook.com', 'l.facebook.com', 'lm.facebook.com', 'fb', 'instagram', 'instagram.com', 'l.instagram.com', 'ig', 'twitter', 'twitter.com', 't.co', 'x.com', 'mobile.twitter.com', 'linkedin', 'linkedin.com', 'lnkd.in', 'pinterest', 'pinterest.com', 'pin.it', 'pinterest.co.uk', 'tiktok', 'tiktok.com', 'snapchat', 'snapchat.com', 'reddit', 'reddit.com', 'old.reddit.com', 'out.reddit.com', 'quora', 'quora.com', 'tumblr', 'tumblr.com', 'threads', 'threads.net', 'whatsapp', 'whatsapp.com', 'web.whatsapp.com', 'messenger', 'messenger.com', 'telegram', 'telegram.org', 't.me', 'discord', 'discord.com', 'discordapp.com', 'vk.com', 'm.vk.com', 'ok.ru', 'weibo', 'weibo.com', 'douban', 'douban.com', 'line', 'line.me', 'wechat', 'xing', 'xing.com', 'nextdoor', 'nextdoor.com', 'meetup', 'meetup.com', 'yelp', 'yelp.com', 'medium.com', 'slideshare.net', 'stackoverflow.com', 'news.ycombinator.com', 'mastodon.social', 'bsky.app') AND REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$')) THEN 'Paid Social'
+      WHEN (LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('youtube', 'youtube.com', 'm.youtube.com', 'youtu.be', 'music.youtube.com', 'vimeo', 'vimeo.com', 'twitch', 'twitch.tv', 'm.twitch.tv', 'dailymotion', 'dailymotion.com', 'wistia', 'wistia.com', 'netflix', 'netflix.com', 'hulu', 'hulu.com', 'disneyplus', 'disneyplus.com', 'bilibili', 'bilibili.com', 'iqiyi', 'iqiyi.com', 'youku', 'youku.com', 'rutube.ru', 'ted', 'ted.com', 'veoh', 'veoh.com', 'crackle', 'crackle.com') AND REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$')) THEN 'Paid Video'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) IN ('display', 'banner', 'expandable', 'interstitial', 'cpm') THEN 'Display'
+      WHEN REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*cp.*|ppc|retargeting|paid.*)$') THEN 'Paid Other'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('google shopping', 'shopping.google.com', 'igshopping', 'amazon', 'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.ca', 'amazon.in', 'amazon.co.jp', 'ebay', 'ebay.com', 'ebay.co.uk', 'ebay.de', 'etsy', 'etsy.com', 'walmart', 'walmart.com', 'target', 'target.com', 'alibaba', 'alibaba.com', 'aliexpress', 'aliexpress.com', 'mercadolibre', 'mercadolibre.com', 'mercadolivre.com.br', 'rakuten', 'rakuten.com', 'rakuten.co.jp', 'shopify', 'shopify.com', 'checkout.shopify.com', 'shop.app', 'stripe', 'stripe.com', 'shopzilla', 'shopzilla.com', 'pricegrabber', 'pricegrabber.com', 'shopping.yahoo.com', 'store.shopping.yahoo.com', 'zalando', 'zalando.com', 'bestbuy.com', 'wish.com', 'wayfair.com')
+        OR REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.campaign_name), r'^(.*(([^a-df-z]|^)shop|shopping).*)$') THEN 'Organic Shopping'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('facebook', 'facebook.com', 'm.facebook.com', 'l.facebook.com', 'lm.facebook.com', 'fb', 'instagram', 'instagram.com', 'l.instagram.com', 'ig', 'twitter', 'twitter.com', 't.co', 'x.com', 'mobile.twitter.com', 'linkedin', 'linkedin.com', 'lnkd.in', 'pinterest', 'pinterest.com', 'pin.it', 'pinterest.co.uk', 'tiktok', 'tiktok.com', 'snapchat', 'snapchat.com', 'reddit', 'reddit.com', 'old.reddit.com', 'out.reddit.com', 'quora', 'quora.com', 'tumblr', 'tumblr.com', 'threads', 'threads.net', 'whatsapp', 'whatsapp.com', 'web.whatsapp.com', 'messenger', 'messenger.com', 'telegram', 'telegram.org', 't.me', 'discord', 'discord.com', 'discordapp.com', 'vk.com', 'm.vk.com', 'ok.ru', 'weibo', 'weibo.com', 'douban', 'douban.com', 'line', 'line.me', 'wechat', 'xing', 'xing.com', 'nextdoor', 'nextdoor.com', 'meetup', 'meetup.com', 'yelp', 'yelp.com', 'medium.com', 'slideshare.net', 'stackoverflow.com', 'news.ycombinator.com', 'mastodon.social', 'bsky.app')
+        OR LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) IN ('social', 'social-network', 'social-media', 'sm', 'social network', 'social media') THEN 'Organic Social'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('youtube', 'youtube.com', 'm.youtube.com', 'youtu.be', 'music.youtube.com', 'vimeo', 'vimeo.com', 'twitch', 'twitch.tv', 'm.twitch.tv', 'dailymotion', 'dailymotion.com', 'wistia', 'wistia.com', 'netflix', 'netflix.com', 'hulu', 'hulu.com', 'disneyplus', 'disneyplus.com', 'bilibili', 'bilibili.com', 'iqiyi', 'iqiyi.com', 'youku', 'youku.com', 'rutube.ru', 'ted', 'ted.com', 'veoh', 'veoh.com', 'crackle', 'crackle.com')
+        OR REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'^(.*video.*)$') THEN 'Organic Video'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('google', 'google.com', 'www.google.com', 'lens.google.com', 'bing', 'bing.com', 'cn.bing.com', 'yahoo', 'yahoo.com', 'search.yahoo.com', 'yahoo.co.jp', 'search.yahoo.co.jp', 'baidu', 'baidu.com', 'm.baidu.com', 'duckduckgo', 'duckduckgo.com', 'yandex', 'yandex.ru', 'yandex.com', 'ya.ru', 'ecosia', 'ecosia.org', 'naver', 'naver.com', 'search.naver.com', 'm.search.naver.com', 'daum', 'daum.net', 'search.daum.net', 'ask', 'ask.com', 'aol', 'search.aol.com', 'msn', 'msn.com', 'startpage', 'startpage.com', 'qwant', 'qwant.com', 'seznam', 'seznam.cz', 'sogou', 'sogou.com', 'm.sogou.com', 'so.com', 'm.so.com', 'coccoc', 'coccoc.com', 'brave', 'search.brave.com', 'avg.com', 'onet.pl', 'wp.pl', 'rambler.ru', 'mail.ru', 'go.mail.ru', 'dogpile.com', 'ekstrabladet.dk', 'search.smt.docomo.ne.jp')
+        OR LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) = 'organic' THEN 'Organic Search'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) IN ('referral', 'app', 'link') THEN 'Referral'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) IN ('email', 'e-mail', 'e_mail', 'e mail')
+        OR LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) IN ('email', 'e-mail', 'e_mail', 'e mail') THEN 'Email'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) = 'affiliate' THEN 'Affiliates'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) = 'audio' THEN 'Audio'
+      WHEN LOWER(session_traffic_source_last_click.cross_channel_campaign.source) = 'sms'
+        OR LOWER(session_traffic_source_last_click.cross_channel_campaign.medium) = 'sms' THEN 'SMS'
+      WHEN REGEXP_CONTAINS(LOWER(session_traffic_source_last_click.cross_channel_campaign.medium), r'(push$|mobile|notification)')
+        OR LOWER(session_traffic_source_last_click.cross_channel_campaign.source) = 'firebase' THEN 'Mobile Push Notifications'
+      ELSE 'Unassigned'
+    END AS session_channel_group,
+    session_traffic_source_last_click.cross_channel_campaign.campaign_id AS session_campaign_id,
+    session_traffic_source_last_click.manual_campaign.term AS session_term,
+    session_traffic_source_last_click.manual_campaign.content AS session_content,
+    session_traffic_source_last_click.cross_channel_campaign.source_platform AS session_source_platform
+
+-- [getTrafficSourceColumnList]
+session_source,
+  session_medium,
+  session_campaign,
+  session_channel_group,
+  session_campaign_id,
+  session_term,
+  session_content,
+  session_source_platform
+
+-- [getTrafficSourceAggregateSQL]
+ANY_VALUE(session_source) AS session_source,
+    ANY_VALUE(session_medium) AS session_medium,
+    ANY_VALUE(session_campaign) AS session_campaign,
+    ANY_VALUE(session_channel_group) AS session_channel_group,
+    ANY_VALUE(session_campaign_id) AS session_campaign_id,
+    ANY_VALUE(session_term) AS session_term,
+    ANY_VALUE(session_content) AS session_content,
+    ANY_VALUE(session_source_platform) AS session_source_platform
@@ -0,0 +1,5 @@
+-- [getDestinationDataset]
+-- ga4_reporting_dev
+
+-- [SAMPLE_FILTER_SQL]
+ABS(MOD(FARM_FINGERPRINT(COALESCE(user_pseudo_id, '')), 10000)) < 1000
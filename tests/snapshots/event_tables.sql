@@ -0,0 +1,90 @@
+-- [eventTables.fct_form_submits.EVENT_TABLE_SQL(rolling)]
+SELECT
+    event_date,
+    event_timestamp,
+    event_name,
+    event_key,
+    session_key,
+    page_session_key,
+    user_id,
+    user_pseudo_id,
+    stream_id,
+    form_id,
+    form_name,
+    page_location
+  FROM `base_events`
+  WHERE event_name IN ('form_start', 'form_submit')
+    AND event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 3 DAY)
+
+-- [eventTables.fct_form_submits.EVENT_TABLE_SQL(full)]
+SELECT
+    event_date,
+    event_timestamp,
+    event_name,
+    event_key,
+    session_key,
+    page_session_key,
+    user_id,
+    user_pseudo_id,
+    stream_id,
+    form_id,
+    form_name,
+    page_location
+  FROM `base_events`
+  WHERE event_name IN ('form_start', 'form_submit')
+
+-- [eventTables.fct_video_sessions.EVENT_TABLE_SQL(rolling)]
+SELECT
+    MIN(event_date) AS event_date,
+    session_key,
+    ANY_VALUE(user_id) AS user_id,
+    ANY_VALUE(user_pseudo_id) AS user_pseudo_id,
+    ANY_VALUE(stream_id) AS stream_id,
+    MIN(event_timestamp) AS session_start_timestamp,
+    MAX(event_timestamp) AS session_end_timestamp,
+    COUNT(*) AS event_count,
+    ARRAY_AGG(video_title IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)] AS video_title,
+    COUNTIF(event_name IN ('video_start')) AS videos_started,
+    COUNT(DISTINCT IF(event_name IN ('video_complete'), video_title, NULL)) AS videos_completed,
+    MAX(video_percent) AS max_video_percent,
+    ARRAY_AGG(video_title IGNORE NULLS ORDER BY event_timestamp DESC LIMIT 1)[SAFE_OFFSET(0)] AS last_video_title
+  FROM `base_events`
+  WHERE event_name IN ('video_start', 'video_progress', 'video_complete')
+    AND event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 4 DAY)
+  GROUP BY session_key
+  HAVING MIN(event_date) >= DATE_SUB(CURRENT_DATE(), INTERVAL 3 DAY)
+
+-- [eventTables.fct_video_sessions.EVENT_TABLE_SQL(full)]
+SELECT
+    MIN(event_date) AS event_date,
+    session_key,
+    ANY_VALUE(user_id) AS user_id,
+    ANY_VALUE(user_pseudo_id) AS user_pseudo_id,
+    ANY_VALUE(stream_id) AS stream_id,
+    MIN(event_timestamp) AS session_start_timestamp,
+    MAX(event_timestamp) AS session_end_timestamp,
+    COUNT(*) AS event_count,
+    ARRAY_AGG(video_title IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)] AS video_title,
+    COUNTIF(event_name IN ('video_start')) AS videos_started,
+    COUNT(DISTINCT IF(event_name IN ('video_complete'), video_title, NULL)) AS videos_completed,
+    MAX(video_percent) AS max_video_percent,
+    ARRAY_AGG(video_title IGNORE NULLS ORDER BY event_timestamp DESC LIMIT 1)[SAFE_OFFSET(0)] AS last_video_title
+  FROM `base_events`
+  WHERE event_name IN ('video_start', 'video_progress', 'video_complete')
+  GROUP BY session_key
+
+-- [eventTables.fct_form_submits.EVENT_TABLE_PREOPS_SQL]
+BEGIN
+  DELETE FROM `fct_form_submits`
+  WHERE event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 3 DAY);
+EXCEPTION WHEN ERROR THEN
+  SELECT 1; -- Table doesn't exist yet, skip silently
+END;
+
+-- [eventTables.fct_video_sessions.EVENT_TABLE_PREOPS_SQL]
+BEGIN
+  DELETE FROM `fct_video_sessions`
+  WHERE event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 3 DAY);
+EXCEPTION WHEN ERROR THEN
+  SELECT 1; -- Table doesn't exist yet, skip silently
+END;
@@ -0,0 +1,84 @@
+-- [funnels.onboarding.FUNNEL_CTES_SQL]
+-- Funnel onboarding: open, user-scoped, 3 steps
+funnel_onboarding_events AS (
+  SELECT
+    ul.resolved_user_id AS funnel_unit,
+    e.session_key,
+    e.event_date,
+    e.event_timestamp,
+    step
+  FROM `base_events` e
+  INNER JOIN user_lookup ul
+    ON e.user_id = ul.identifier
+  CROSS JOIN UNNEST([
+    IF(event_name = 'sign_up', 1, NULL),
+    IF(event_name = 'page_view' AND REGEXP_CONTAINS(CAST(page_location AS STRING), r'/profile'), 2, NULL),
+    IF(event_name = 'tutorial_complete', 3, NULL)
+  ]) AS step
+  WHERE e.event_name IN ('sign_up', 'page_view', 'tutorial_complete')
+    AND e.event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 60 DAY)
+    AND e.session_key IS NOT NULL
+    AND step IS NOT NULL
+),
+
+funnel_onboarding_step_1 AS (
+  SELECT
+    *,
+    IF(entry.step = 1, entry.event_timestamp, NULL) AS step_1_timestamp
+  FROM (
+    SELECT
+      funnel_unit,
+      ARRAY_AGG(STRUCT(step, event_date, event_timestamp, session_key) ORDER BY event_timestamp, step) AS step_events,
+      ARRAY_AGG(STRUCT(step, event_date, event_timestamp, session_key) ORDER BY event_timestamp, step LIMIT 1)[OFFSET(0)] AS entry
+    FROM funnel_onboarding_events
+    GROUP BY funnel_unit
+  )
+),
+
+funnel_onboarding_step_2 AS (
+  SELECT
+    *,
+    IF(step_1_timestamp IS NULL, IF(entry.step = 2, entry.event_timestamp, NULL), (
+      SELECT MIN(event_timestamp)
+      FROM UNNEST(step_events)
+      WHERE step = 2
+        AND event_timestamp >= step_1_timestamp
+        AND event_timestamp <= step_1_timestamp + 604800000000
+    )) AS step_2_timestamp
+  FROM funnel_onboarding_step_1
+),
+
+funnel_onboarding_step_3 AS (
+  SELECT
+    *,
+    IF(step_2_timestamp IS NULL, IF(entry.step = 3, entry.event_timestamp, NULL), (
+      SELECT MIN(event_timestamp)
+      FROM UNNEST(step_events)
+      WHERE step = 3
+        AND event_timestamp >= step_2_timestamp
+        AND event_timestamp <= step_2_timestamp + 604800000000
+    )) AS step_3_timestamp
+  FROM funnel_onboarding_step_2
+),
+
+funnel_onboarding_rows AS (
+  SELECT
+    'onboarding' AS funnel_name,
+    'open' AS funnel_type,
+    'user' AS funnel_scope,
+    entry.event_date AS funnel_date,
+    entry.session_key AS entry_session_key,
+    step.*
+  FROM funnel_onboarding_step_3
+  CROSS JOIN UNNEST([
+    STRUCT(1 AS step_number, 'sign_up' AS step_name, FALSE AS is_last_step, step_1_timestamp AS step_timestamp, step_2_timestamp AS next_step_timestamp),
+    STRUCT(2 AS step_number, 'Profile page' AS step_name, FALSE AS is_last_step, step_2_timestamp AS step_timestamp, step_3_timestamp AS next_step_timestamp),
+    STRUCT(3 AS step_number, 'tutorial_complete' AS step_name, TRUE AS is_last_step, step_3_timestamp AS step_timestamp, CAST(NULL AS INT64) AS next_step_timestamp)
+  ]) AS step
+  WHERE step.step_timestamp IS NOT NULL
+)
+
+-- [funnels.FUNNEL_ROWS_SQL]
+SELECT * FROM funnel_checkout_rows
+  UNION ALL
+  SELECT * FROM funnel_onboarding_rows
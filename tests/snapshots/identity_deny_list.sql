@@ -0,0 +1,36 @@
+-- [identity.ALLOWED_USER_ID_SQL]
+(user_id IS NULL OR user_id NOT IN ('undefined', '0', 'qa\'tester'))
+
+-- [identity.COMPONENT_LABELS_SQL]
+labels_1 AS (
+  SELECT
+    a.node,
+    MIN(l.label) AS label,
+    MIN(IF(a.neighbor = a.node, l.label, NULL)) AS previous_label
+  FROM adjacency a
+  INNER JOIN labels_0 l
+    ON a.neighbor = l.node
+  GROUP BY a.node
+),
+
+labels_2 AS (
+  SELECT
+    a.node,
+    MIN(l.label) AS label,
+    MIN(IF(a.neighbor = a.node, l.label, NULL)) AS previous_label
+  FROM adjacency a
+  INNER JOIN labels_1 l
+    ON a.neighbor = l.node
+  GROUP BY a.node
+),
+
+labels_3 AS (
+  SELECT
+    a.node,
+    MIN(l.label) AS label,
+    MIN(IF(a.neighbor = a.node, l.label, NULL)) AS previous_label
+  FROM adjacency a
+  INNER JOIN labels_2 l
+    ON a.neighbor = l.node
+  GROUP BY a.node
+)
@@ -0,0 +1,57 @@
+-- [keyEvents.KEY_EVENT_EVENT_COLUMNS_SQL]
+event_name = 'generate_lead' AS is_generate_lead_event,
+    IF(event_name = 'generate_lead', SAFE_CAST(lead_value AS FLOAT64), NULL) AS generate_lead_event_value,
+    event_name = 'form_submit' AND CAST(form_id AS STRING) IN ('contact', 'contact_footer') AS is_contact_request_event,
+    event_name = 'page_view' AND REGEXP_CONTAINS(CAST(page_location AS STRING), r'/pricing(/|$)') AS is_pricing_view_event,
+    event_name = 'file_download' AS is_file_download_event,
+    IF(event_name = 'file_download', SAFE_CAST(event_value_in_usd AS FLOAT64), NULL) AS file_download_event_value
+
+-- [keyEvents.KEY_EVENT_SESSION_AGGREGATES_SQL]
+IF(LOGICAL_OR(is_generate_lead_event), 1, 0) AS generate_lead_conversions,
+    ARRAY_AGG(generate_lead_event_value IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)] AS generate_lead_value,
+    IF(LOGICAL_OR(is_contact_request_event), 1, 0) AS contact_request_conversions,
+    IF(LOGICAL_OR(is_pricing_view_event), 1, 0) AS pricing_view_conversions,
+    COUNTIF(is_file_download_event) AS file_download_conversions,
+    SUM(file_download_event_value) AS file_download_value
+
+-- [keyEvents.KEY_EVENT_SESSION_COLUMNS_SQL]
+generate_lead_conversions,
+  generate_lead_value,
+  generate_lead_conversions > 0 AS has_generate_lead,
+  contact_request_conversions,
+  contact_request_conversions > 0 AS has_contact_request,
+  pricing_view_conversions,
+  pricing_view_conversions > 0 AS has_pricing_view,
+  file_download_conversions,
+  file_download_value,
+  file_download_conversions > 0 AS has_file_download,
+  generate_lead_conversions + contact_request_conversions + pricing_view_conversions + file_download_conversions AS key_event_count,
+  generate_lead_conversions + contact_request_conversions + pricing_view_conversions + file_download_conversions > 0 AS converted_session
+
+-- [keyEvents.KEY_EVENT_USER_AGGREGATES_SQL]
+SUM(s.generate_lead_conversions) AS total_generate_lead_conversions,
+    SUM(s.generate_lead_value) AS lifetime_generate_lead_value,
+    MIN(IF(s.has_generate_lead, s.session_date, NULL)) AS first_generate_lead_date,
+    SUM(s.contact_request_conversions) AS total_contact_request_conversions,
+    MIN(IF(s.has_contact_request, s.session_date, NULL)) AS first_contact_request_date,
+    SUM(s.pricing_view_conversions) AS total_pricing_view_conversions,
+    MIN(IF(s.has_pricing_view, s.session_date, NULL)) AS first_pricing_view_date,
+    SUM(s.file_download_conversions) AS total_file_download_conversions,
+    SUM(s.file_download_value) AS lifetime_file_download_value,
+    MIN(IF(s.has_file_download, s.session_date, NULL)) AS first_file_download_date,
+    COUNTIF(s.converted_session) AS converted_sessions,
+    MIN(IF(s.converted_session, s.session_date, NULL)) AS first_conversion_date
+
+-- [keyEvents.KEY_EVENT_USER_COLUMNS_SQL]
+COALESCE(km.total_generate_lead_conversions, 0) AS total_generate_lead_conversions,
+  COALESCE(km.lifetime_generate_lead_value, 0) AS lifetime_generate_lead_value,
+  km.first_generate_lead_date,
+  COALESCE(km.total_contact_request_conversions, 0) AS total_contact_request_conversions,
+  km.first_contact_request_date,
+  COALESCE(km.total_pricing_view_conversions, 0) AS total_pricing_view_conversions,
+  km.first_pricing_view_date,
+  COALESCE(km.total_file_download_conversions, 0) AS total_file_download_conversions,
+  COALESCE(km.lifetime_file_download_value, 0) AS lifetime_file_download_value,
+  km.first_file_download_date,
+  COALESCE(km.converted_sessions, 0) AS converted_sessions,
+  km.first_conversion_date
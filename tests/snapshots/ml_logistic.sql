@@ -0,0 +1,122 @@
+-- [ml.purchase_propensity.SNAPSHOT_DATES_SQL]
+SELECT snapshot_date, 'train' AS snapshot_type
+  FROM UNNEST(GENERATE_DATE_ARRAY(
+    DATE_SUB(CURRENT_DATE(), INTERVAL 35 DAY),
+    DATE_SUB(CURRENT_DATE(), INTERVAL 14 DAY),
+    INTERVAL 7 DAY
+  )) AS snapshot_date
+
+  UNION ALL
+
+  SELECT CURRENT_DATE() AS snapshot_date, 'score' AS snapshot_type
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(sessions)]
+COUNT(DISTINCT s.session_key) AS session_count,
+    ARRAY_AGG(s.session_channel_group ORDER BY s.session_start_timestamp DESC LIMIT 1)[SAFE_OFFSET(0)] AS last_session_channel_group
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(transactions)]
+SUM(t.net_revenue_in_usd) AS revenue_usd
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(events)]
+-- (empty)
+
+-- [ml.purchase_propensity.FEATURE_COLUMNS_SQL]
+COALESCE(sf.session_count, 0) AS session_count,
+  DATE_DIFF(sf.snapshot_date, u.first_seen_date, DAY) AS days_since_first_seen,
+  COALESCE(tf.revenue_usd, 0) AS revenue_usd,
+  sf.last_session_channel_group AS last_session_channel_group
+
+-- [ml.purchase_propensity.RETRAIN_CONDITION_SQL]
+TRUE
+
+-- [ml.purchase_propensity.ACTIVITY_FILTER_SQL]
+TRUE
+
+-- [ml.churn_risk.SNAPSHOT_DATES_SQL]
+SELECT snapshot_date, 'train' AS snapshot_type
+  FROM UNNEST(GENERATE_DATE_ARRAY(
+    DATE_SUB(CURRENT_DATE(), INTERVAL 84 DAY),
+    DATE_SUB(CURRENT_DATE(), INTERVAL 14 DAY),
+    INTERVAL 14 DAY
+  )) AS snapshot_date
+
+  UNION ALL
+
+  SELECT CURRENT_DATE() AS snapshot_date, 'score' AS snapshot_type
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(sessions)]
+COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 30 DAY)) AS sessions_last_30_days
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(transactions)]
+-- (empty)
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(events)]
+DATE_DIFF(sd.snapshot_date, MAX(e.event_date), DAY) AS days_since_last_event,
+    COUNTIF(e.event_date >= DATE_SUB(sd.snapshot_date, INTERVAL 7 DAY)) AS events_last_7_days
+
+-- [ml.churn_risk.FEATURE_COLUMNS_SQL]
+COALESCE(sf.sessions_last_30_days, 0) AS sessions_last_30_days,
+  ef.days_since_last_event AS days_since_last_event,
+  COALESCE(ef.events_last_7_days, 0) AS events_last_7_days
+
+-- [ml.churn_risk.RETRAIN_CONDITION_SQL]
+TRUE
+
+-- [ml.churn_risk.ACTIVITY_FILTER_SQL]
+e.event_name IN ('page_view', 'purchase')
+
+-- [ml.SEGMENT_METRICS_SQL]
+SELECT
+    u.resolved_user_id,
+    u.primary_user_id,
+    'transactions' AS rfm_basis,
+    p.resolved_user_id IS NOT NULL AS rfm_eligible,
+    DATE_DIFF(CURRENT_DATE(), p.last_purchase_date, DAY) AS recency_days,
+    p.purchase_count AS frequency,
+    p.net_revenue_usd AS monetary,
+    SAFE_DIVIDE(p.net_revenue_usd, p.purchase_count) AS average_order_value_usd,
+    u.active_days,
+    u.total_sessions,
+    u.total_page_views,
+    u.total_engagement_time_seconds,
+    u.days_since_first_seen,
+    u.days_since_last_seen
+  FROM `users` u
+  LEFT JOIN (
+    SELECT
+      ul.resolved_user_id,
+      MAX(IF(t.event_name = 'purchase', t.event_date, NULL)) AS last_purchase_date,
+      COUNT(DISTINCT IF(t.event_name = 'purchase', t.transaction_id, NULL)) AS purchase_count,
+      SUM(t.net_revenue_in_usd) AS net_revenue_usd
+    FROM `transactions` t
+    INNER JOIN `user_identity_graph` ul
+      ON t.user_id = ul.identifier
+    WHERE t.event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 365 DAY)
+    GROUP BY ul.resolved_user_id
+    HAVING purchase_count > 0
+  ) p
+    ON u.resolved_user_id = p.resolved_user_id
+
+-- [ml.SEGMENT_FEATURE_COLUMNS_SQL]
+COALESCE(recency_days, 365) AS recency_days,
+    COALESCE(frequency, 0) AS frequency,
+    COALESCE(monetary, 0) AS monetary,
+    active_days,
+    total_sessions,
+    total_engagement_time_seconds,
+    COALESCE(average_order_value_usd, 0) AS average_order_value_usd
+
+-- [ml.RFM_SEGMENT_LABEL_SQL]
+CASE
+    WHEN r_score IS NULL THEN 'Prospect'
+    WHEN r_score BETWEEN 4 AND 5 AND f_score BETWEEN 4 AND 5 AND m_score BETWEEN 4 AND 5 THEN 'Champions'
+    WHEN r_score BETWEEN 3 AND 5 AND f_score BETWEEN 3 AND 5 THEN 'Loyal'
+    WHEN r_score BETWEEN 5 AND 5 AND f_score BETWEEN 1 AND 1 THEN 'New'
+    WHEN r_score BETWEEN 4 AND 5 AND f_score BETWEEN 1 AND 3 THEN 'Potential Loyalists'
+    WHEN r_score BETWEEN 1 AND 2 AND f_score BETWEEN 3 AND 5 THEN 'At Risk'
+    WHEN r_score BETWEEN 1 AND 2 AND f_score BETWEEN 1 AND 2 THEN 'Hibernating'
+    ELSE 'Needs Attention'
+  END
+
+-- [ml.CLUSTER_LABEL_SQL]
+CONCAT('Cluster ', CAST(cluster_id AS STRING))
@@ -0,0 +1,105 @@
+-- [EXTRACT_EVENT_PARAMS]
+(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engagement_time_msec') AS engagement_time_msec,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'engaged_session_event') AS engaged_session_event,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'entrances') AS entrances,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_id') AS ga_session_id,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_number') AS ga_session_number,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'ignore_referrer') AS ignore_referrer,
+        (SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'percent_scrolled') AS percent_scrolled,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'session_engaged') AS session_engaged
+
+-- [EXTRACT_WEB_PARAMS]
+(SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'link_url') AS link_url,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_location') AS page_location,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_referrer') AS page_referrer,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'page_title') AS page_title
+
+-- [EXTRACT_APP_PARAMS]
+(SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_previous_screen') AS firebase_previous_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen') AS firebase_screen,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_class') AS firebase_screen_class,
+        (SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'firebase_screen_id') AS firebase_screen_id
+
+-- [EXTRACT_CUSTOM_PARAMS]
+(SELECT COALESCE(value.int_value, SAFE_CAST(value.string_value AS INT64), SAFE_CAST(value.double_value AS INT64), SAFE_CAST(value.float_value AS INT64)) FROM UNNEST(event_params) WHERE key = 'plan_id') AS plan_id,
+        COALESCE((SELECT COALESCE(
+          CASE
+            WHEN LOWER(TRIM(value.string_value)) IN ('true', '1', 'yes') THEN TRUE
+            WHEN LOWER(TRIM(value.string_value)) IN ('false', '0', 'no') THEN FALSE
+          END,
+          value.int_value != 0, value.double_value != 0, value.float_value != 0) FROM UNNEST(event_params) WHERE key = 'is_trial'), FALSE) AS is_trial,
+        (SELECT COALESCE(
+          SAFE_CAST(value.string_value AS TIMESTAMP),
+          (SELECT CASE
+            WHEN ABS(epoch) >= 100000000000000 THEN SAFE.TIMESTAMP_MICROS(epoch)
+            WHEN ABS(epoch) >= 100000000000 THEN SAFE.TIMESTAMP_MILLIS(epoch)
+            ELSE SAFE.TIMESTAMP_SECONDS(epoch)
+          END FROM UNNEST([COALESCE(value.int_value, SAFE_CAST(value.string_value AS INT64), SAFE_CAST(value.double_value AS INT64))]) AS epoch)) FROM UNNEST(event_params) WHERE key = 'renewal_at') AS renewal_at,
+        IF(event_name IN ('search', 'view_search_results'), REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE((SELECT value.string_value FROM UNNEST(event_params) WHERE key = 'search-term'), r'(?i)([?&#;](?:email|e-mail|mail|phone|tel|mobile|token|access_token|id_token|auth|password|pwd|ssn)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b', '[REDACTED:card_number]'), r'(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b', '[REDACTED:phone]'), NULL) AS search_term,
+        IF(event_name IN ('purchase'), COALESCE((SELECT COALESCE(value.string_value, CAST(value.int_value AS STRING), CAST(value.double_value AS STRING), CAST(value.float_value AS STRING)) FROM UNNEST(event_params) WHERE key = 'coupon'), '(none)'), NULL) AS coupon
+
+-- [EXTRACT_OTHER_PARAMS]
+(
+          SELECT JSON_OBJECT(
+            ARRAY_AGG(key ORDER BY key),
+            ARRAY_AGG(CASE
+              WHEN value.string_value IS NOT NULL THEN TO_JSON(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(value.string_value, r'(?i)([?&#;](?:email|e-mail|mail|phone|tel|mobile|token|access_token|id_token|auth|password|pwd|ssn)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\b(?:[2-6]\d{3}(?:(?:[ -]|%20)?\d{4}){3}|3[47]\d{2}(?:[ -]|%20)?\d{6}(?:[ -]|%20)?\d{5})\b', '[REDACTED:card_number]'), r'(?:(?:\+|%2B)\d{1,3}(?:[\s.-]|%20)?)?\(?\d{3}\)?(?:[\s.-]|%20)\d{3}(?:[\s.-]|%20)\d{4}|(?:\+|%2B)\d{8,14}\b', '[REDACTED:phone]'))
+              WHEN value.int_value IS NOT NULL THEN TO_JSON(value.int_value)
+              WHEN value.double_value IS NOT NULL THEN TO_JSON(value.double_value)
+              WHEN value.float_value IS NOT NULL THEN TO_JSON(value.float_value)
+              ELSE JSON 'null'
+            END ORDER BY key)
+          )
+          FROM UNNEST(event_params)
+          WHERE key NOT IN ('engagement_time_msec', 'engaged_session_event', 'entrances', 'ga_session_id', 'ga_session_number', 'ignore_referrer', 'percent_scrolled', 'session_engaged', 'firebase_previous_screen', 'firebase_screen', 'firebase_screen_class', 'firebase_screen_id', 'plan_id', 'is_trial', 'renewal_at', 'search-term', 'coupon', 'debug_mode')
+          HAVING COUNT(*) > 0
+        ) AS other_params
+
+-- [CONSOLIDATE_PARAMS]
+-- (empty)
+
+-- [GENERATE_EVENT_KEY_CONCAT]
+COALESCE(user_id, ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', CAST(event_timestamp AS STRING), '-', event_name, '-', COALESCE(CAST(event_server_timestamp_offset AS STRING), ''), '-', COALESCE(CAST(batch_event_index AS STRING), ''), '-', COALESCE(CAST(event_bundle_sequence_id AS STRING), ''), '-', COALESCE(CAST(engagement_time_msec AS STRING), ''), '-', COALESCE(CAST(engaged_session_event AS STRING), ''), '-', COALESCE(CAST(entrances AS STRING), ''), '-', COALESCE(CAST(ga_session_id AS STRING), ''), '-', COALESCE(CAST(ga_session_number AS STRING), ''), '-', COALESCE(CAST(ignore_referrer AS STRING), ''), '-', COALESCE(CAST(percent_scrolled AS STRING), ''), '-', COALESCE(CAST(session_engaged AS STRING), ''), '-', COALESCE(CAST(firebase_previous_screen AS STRING), ''), '-', COALESCE(CAST(firebase_screen AS STRING), ''), '-', COALESCE(CAST(firebase_screen_class AS STRING), ''), '-', COALESCE(CAST(firebase_screen_id AS STRING), ''), '-', COALESCE(CAST(plan_id AS STRING), ''), '-', COALESCE(CAST(is_trial AS STRING), ''), '-', COALESCE(CAST(renewal_at AS STRING), ''), '-', COALESCE(CAST(search_term AS STRING), ''), '-', COALESCE(CAST(coupon AS STRING), '')
+
+-- [EXTRACT_USER_PROPS]
+(SELECT value.string_value FROM UNNEST(user_properties) WHERE key = 'user_type') AS user_type,
+        COALESCE((SELECT COALESCE(value.double_value, value.float_value, CAST(value.int_value AS FLOAT64), SAFE_CAST(value.string_value AS FLOAT64)) FROM UNNEST(user_properties) WHERE key = 'lifetime_orders'), 0) AS lifetime_orders
+
+-- [EXTRACT_ITEMS_ARRAY]
+ARRAY(
+        (
+            SELECT
+                STRUCT(
+                    items.item_id,
+                    items.item_name,
+                    items.item_brand,
+                    items.item_variant,
+                    items.item_category,
+                    items.item_category2,
+                    items.item_category3,
+                    items.item_category4,
+                    items.item_category5,
+                    items.price_in_usd,
+                    items.price,
+                    items.quantity,
+                    items.item_revenue_in_usd,
+                    items.item_revenue,
+                    items.item_refund_in_usd,
+                    items.item_refund,
+                    items.coupon,
+                    items.affiliation,
+                    items.location_id,
+                    items.item_list_id,
+                    items.item_list_name,
+                    items.item_list_index,
+                    items.promotion_id,
+                    items.promotion_name,
+                    items.creative_name,
+                    items.creative_slot,
+                STRUCT(
+                IF(event_name IN ('purchase', 'add_to_cart'), (SELECT COALESCE(value.string_value, CAST(value.int_value AS STRING), CAST(value.double_value AS STRING), CAST(value.float_value AS STRING)) FROM UNNEST(items.item_params) WHERE key = 'item_size'), NULL) AS item_size
+            ) AS item_params_custom
+                )
+            FROM UNNEST(items) AS items
+        )
+    ) AS items
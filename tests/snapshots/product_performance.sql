@@ -0,0 +1,23 @@
+-- [products.PRODUCT_STAGE_METRICS_SQL]
+COUNT(DISTINCT IF(event_name = 'view_item_list', event_key, NULL)) AS list_impressions,
+    COUNT(DISTINCT IF(event_name = 'select_item', event_key, NULL)) AS list_clicks,
+    COUNT(DISTINCT IF(event_name = 'view_promotion', event_key, NULL)) AS promotion_impressions,
+    COUNT(DISTINCT IF(event_name = 'select_promotion', event_key, NULL)) AS promotion_clicks,
+    COUNT(DISTINCT IF(event_name = 'view_item', event_key, NULL)) AS views,
+    COUNT(DISTINCT IF(event_name = 'add_to_compare', event_key, NULL)) AS add_to_compare_events,
+    COUNT(DISTINCT IF(event_name = 'add_to_cart', event_key, NULL)) AS add_to_carts,
+    COUNT(DISTINCT IF(event_name = 'begin_checkout', event_key, NULL)) AS checkouts,
+    COUNT(DISTINCT IF(event_name = 'purchase', event_key, NULL)) AS purchases
+
+-- [products.PRODUCT_VALUE_METRICS_SQL]
+SUM(IF(event_name = 'purchase', quantity, 0)) AS items_purchased,
+    SUM(IF(event_name = 'purchase', item_revenue, 0)) AS item_revenue,
+    SUM(IF(event_name = 'purchase', item_revenue_in_usd, 0)) AS item_revenue_in_usd
+
+-- [products.PRODUCT_RATES_SQL]
+SAFE_DIVIDE(list_clicks, list_impressions) AS list_click_rate,
+  SAFE_DIVIDE(promotion_clicks, promotion_impressions) AS promotion_click_rate,
+  SAFE_DIVIDE(add_to_carts, views) AS view_to_cart_rate,
+  SAFE_DIVIDE(purchases, views) AS view_to_purchase_rate,
+  SAFE_DIVIDE(purchases, add_to_carts) AS cart_to_purchase_rate,
+  SAFE_DIVIDE(purchases, checkouts) AS checkout_to_purchase_rate
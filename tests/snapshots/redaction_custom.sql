@@ -0,0 +1,45 @@
+-- [redaction.getRedactedParamNames]
+-- link_url, page_location, page_referrer, search_term
+
+-- [redaction.getActiveDetectors]
+-- query_key, email, order_number
+
+-- [redaction.REDACT_SQL]
+REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(page_location, r'(?i)([?&#;](?:email|token)=)[^&#;]*', r'\1[REDACTED:query_key]'), r'[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}', '[REDACTED:email]'), r'\bORD-\d{8}\b', '[REDACTED:order_number]')
+
+-- [redaction.REDACTION_COUNTS_SQL]
+SELECT
+    event_date,
+    detector,
+    COUNT(*) AS redactions,
+    COUNT(DISTINCT session_key) AS redacted_sessions
+  FROM `base_events`,
+    UNNEST([link_url, page_location, page_referrer, search_term]) AS redacted_value,
+    UNNEST(REGEXP_EXTRACT_ALL(redacted_value, r'\[REDACTED:([a-z0-9_]+)\]')) AS detector
+  WHERE event_date >= @start_date
+  GROUP BY event_date, detector
+
+-- [discovery.CONFIGURED_PARAMS_SQL]
+SELECT
+    property_name,
+    configured.*
+  FROM UNNEST(['analytics_000000000']) AS property_name
+  CROSS JOIN UNNEST(ARRAY<STRUCT<scope STRING, param_key STRING, configured_type STRING, expected_type STRING, configured_array STRING>>[
+    ('event_param', 'engagement_time_msec', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'engaged_session_event', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'entrances', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'ga_session_id', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'ga_session_number', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'ignore_referrer', 'string', 'string', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'percent_scrolled', 'int', 'int', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'session_engaged', 'string', 'string', 'CORE_PARAMS_ARRAY'),
+    ('event_param', 'link_url', 'string', 'string', 'WEB_PARAMS_ARRAY'),
+    ('event_param', 'page_location', 'string', 'string', 'WEB_PARAMS_ARRAY'),
+    ('event_param', 'page_referrer', 'string', 'string', 'WEB_PARAMS_ARRAY'),
+    ('event_param', 'page_title', 'string', 'string', 'WEB_PARAMS_ARRAY'),
+    ('event_param', 'search_term', 'string', 'string', 'CUSTOM_PARAMS_ARRAY'),
+    ('user_property', 'user_type', 'string', 'string', 'CORE_USER_PROPS_ARRAY')
+  ]) AS configured
+
+-- [discovery.IGNORED_KEY_SQL]
+param_key IN ('debug_mode', 'batch_page_id', 'batch_ordering_id', 'firebase_event_origin', 'firebase_conversion', 'update_with_analytics', 'synthetic_bundle')
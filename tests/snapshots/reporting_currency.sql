@@ -0,0 +1,16 @@
+-- [currency.IN_REPORTING_CURRENCY_SQL]
+items.price * reporting_rate AS price_in_reporting_currency,
+  items.item_revenue * reporting_rate AS item_revenue_in_reporting_currency,
+  items.item_refund * reporting_rate AS item_refund_in_reporting_currency
+
+-- [currency.MISSING_RATES_SQL]
+SELECT
+  'transactions' AS model_name,
+  COALESCE(currency, '(not set)') AS currency,
+  COUNT(*) AS rows_without_rate,
+  MIN(event_date) AS first_event_date,
+  MAX(event_date) AS last_event_date
+FROM `transactions`
+WHERE reporting_rate IS NULL
+  AND (COALESCE(purchase_revenue, 0) != 0 OR COALESCE(refund_value, 0) != 0 OR COALESCE(shipping_value, 0) != 0 OR COALESCE(tax_value, 0) != 0)
+GROUP BY currency
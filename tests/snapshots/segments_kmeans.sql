@@ -0,0 +1,142 @@
+-- [ml.purchase_propensity.SNAPSHOT_DATES_SQL]
+SELECT snapshot_date, 'train' AS snapshot_type
+  FROM UNNEST(GENERATE_DATE_ARRAY(
+    DATE_SUB(CURRENT_DATE(), INTERVAL 100 DAY),
+    DATE_SUB(CURRENT_DATE(), INTERVAL 30 DAY),
+    INTERVAL 14 DAY
+  )) AS snapshot_date
+
+  UNION ALL
+
+  SELECT CURRENT_DATE() AS snapshot_date, 'score' AS snapshot_type
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(sessions)]
+COUNT(DISTINCT s.session_key) AS session_count,
+    COUNTIF(s.is_engaged_session) AS engaged_session_count,
+    COUNT(DISTINCT s.session_date) AS active_days,
+    COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 7 DAY)) AS sessions_last_7_days,
+    DATE_DIFF(sd.snapshot_date, MAX(s.session_date), DAY) AS days_since_last_session,
+    SUM(s.total_engagement_time_seconds) AS total_engagement_seconds,
+    SUM(s.page_view_count) AS page_view_count,
+    APPROX_TOP_COUNT(s.device_category, 1)[OFFSET(0)].value AS primary_device_category,
+    APPROX_TOP_COUNT(s.country, 1)[OFFSET(0)].value AS primary_country
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(transactions)]
+COUNT(DISTINCT IF(t.event_name = 'purchase', t.transaction_id, NULL)) AS purchase_count,
+    SUM(t.net_revenue_in_usd) AS revenue_usd,
+    DATE_DIFF(sd.snapshot_date, MAX(IF(t.event_name = 'purchase', t.event_date, NULL)), DAY) AS days_since_last_purchase
+
+-- [ml.purchase_propensity.FEATURE_AGGREGATES_SQL(events)]
+-- (empty)
+
+-- [ml.purchase_propensity.FEATURE_COLUMNS_SQL]
+COALESCE(sf.session_count, 0) AS session_count,
+  COALESCE(sf.engaged_session_count, 0) AS engaged_session_count,
+  COALESCE(sf.active_days, 0) AS active_days,
+  COALESCE(sf.sessions_last_7_days, 0) AS sessions_last_7_days,
+  sf.days_since_last_session AS days_since_last_session,
+  DATE_DIFF(sf.snapshot_date, u.first_seen_date, DAY) AS days_since_first_seen,
+  COALESCE(sf.total_engagement_seconds, 0) AS total_engagement_seconds,
+  COALESCE(sf.page_view_count, 0) AS page_view_count,
+  COALESCE(tf.purchase_count, 0) AS purchase_count,
+  COALESCE(tf.revenue_usd, 0) AS revenue_usd,
+  tf.days_since_last_purchase AS days_since_last_purchase,
+  sf.primary_device_category AS primary_device_category,
+  sf.primary_country AS primary_country
+
+-- [ml.purchase_propensity.RETRAIN_CONDITION_SQL]
+NOT model_exists OR MOD(UNIX_DATE(CURRENT_DATE()), 7) = 0
+
+-- [ml.purchase_propensity.ACTIVITY_FILTER_SQL]
+TRUE
+
+-- [ml.churn_risk.SNAPSHOT_DATES_SQL]
+SELECT snapshot_date, 'train' AS snapshot_type
+  FROM UNNEST(GENERATE_DATE_ARRAY(
+    DATE_SUB(CURRENT_DATE(), INTERVAL 98 DAY),
+    DATE_SUB(CURRENT_DATE(), INTERVAL 28 DAY),
+    INTERVAL 14 DAY
+  )) AS snapshot_date
+
+  UNION ALL
+
+  SELECT CURRENT_DATE() AS snapshot_date, 'score' AS snapshot_type
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(sessions)]
+COUNT(DISTINCT s.session_key) AS session_count,
+    COUNTIF(s.is_engaged_session) AS engaged_session_count,
+    COUNT(DISTINCT s.session_date) AS active_days,
+    COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 7 DAY)) AS sessions_last_7_days,
+    COUNTIF(s.session_date >= DATE_SUB(sd.snapshot_date, INTERVAL 30 DAY)) AS sessions_last_30_days,
+    DATE_DIFF(sd.snapshot_date, MAX(s.session_date), DAY) AS days_since_last_session,
+    SUM(s.total_engagement_time_seconds) AS total_engagement_seconds,
+    AVG(s.session_duration_seconds) AS avg_session_duration_seconds,
+    SUM(s.page_view_count) AS page_view_count,
+    APPROX_TOP_COUNT(s.device_category, 1)[OFFSET(0)].value AS primary_device_category,
+    APPROX_TOP_COUNT(s.platform, 1)[OFFSET(0)].value AS primary_platform
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(transactions)]
+-- (empty)
+
+-- [ml.churn_risk.FEATURE_AGGREGATES_SQL(events)]
+COUNT(*) AS event_count,
+    COUNT(DISTINCT e.event_name) AS distinct_event_names
+
+-- [ml.churn_risk.FEATURE_COLUMNS_SQL]
+COALESCE(sf.session_count, 0) AS session_count,
+  COALESCE(sf.engaged_session_count, 0) AS engaged_session_count,
+  COALESCE(sf.active_days, 0) AS active_days,
+  COALESCE(sf.sessions_last_7_days, 0) AS sessions_last_7_days,
+  COALESCE(sf.sessions_last_30_days, 0) AS sessions_last_30_days,
+  sf.days_since_last_session AS days_since_last_session,
+  DATE_DIFF(sf.snapshot_date, u.first_seen_date, DAY) AS days_since_first_seen,
+  COALESCE(sf.total_engagement_seconds, 0) AS total_engagement_seconds,
+  sf.avg_session_duration_seconds AS avg_session_duration_seconds,
+  COALESCE(sf.page_view_count, 0) AS page_view_count,
+  COALESCE(ef.event_count, 0) AS event_count,
+  COALESCE(ef.distinct_event_names, 0) AS distinct_event_names,
+  sf.primary_device_category AS primary_device_category,
+  sf.primary_platform AS primary_platform
+
+-- [ml.churn_risk.RETRAIN_CONDITION_SQL]
+NOT model_exists OR MOD(UNIX_DATE(CURRENT_DATE()), 7) = 0
+
+-- [ml.churn_risk.ACTIVITY_FILTER_SQL]
+TRUE
+
+-- [ml.SEGMENT_METRICS_SQL]
+SELECT
+    u.resolved_user_id,
+    u.primary_user_id,
+    'engagement' AS rfm_basis,
+    TRUE AS rfm_eligible,
+    u.days_since_last_seen AS recency_days,
+    u.active_days AS frequency,
+    u.total_engagement_time_seconds AS monetary,
+    u.active_days,
+    u.total_sessions,
+    u.total_page_views,
+    u.total_engagement_time_seconds,
+    u.days_since_first_seen,
+    u.days_since_last_seen
+  FROM `users` u
+
+-- [ml.SEGMENT_FEATURE_COLUMNS_SQL]
+COALESCE(recency_days, 365) AS recency_days,
+    COALESCE(frequency, 0) AS frequency,
+    total_page_views
+
+-- [ml.RFM_SEGMENT_LABEL_SQL]
+CASE
+    WHEN r_score IS NULL THEN 'Prospect'
+    WHEN r_score BETWEEN 3 AND 4 AND f_score BETWEEN 3 AND 4 THEN 'Power Users'
+    WHEN r_score BETWEEN 1 AND 1 THEN 'Lapsed'
+    ELSE 'Needs Attention'
+  END
+
+-- [ml.CLUSTER_LABEL_SQL]
+CASE cluster_id
+    WHEN 1 THEN 'Browsers'
+    WHEN 2 THEN 'Regulars'
+    ELSE CONCAT('Cluster ', CAST(cluster_id AS STRING))
+  END
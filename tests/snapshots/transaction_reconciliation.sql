@@ -0,0 +1,21 @@
+-- [transactions.DUPLICATE_ORDERS_CHECK_SQL]
+WITH recent_orders AS (
+  SELECT
+    COUNT(*) AS orders,
+    COUNTIF(duplicate_count > 1) AS duplicated_orders,
+    SUM(duplicate_count - 1) AS duplicate_hits
+  FROM `transactions`
+  WHERE event_name = 'purchase'
+    AND event_date >= DATE_SUB(CURRENT_DATE(), INTERVAL 3 DAY)
+    AND event_date < CURRENT_DATE()
+)
+
+SELECT
+  'DUPLICATE_ORDERS' AS check_name,
+  FORMAT('%d of %d orders (%.1f%%) had duplicate purchase hits (%d extra hits) in the last %d days; threshold is %.1f%%',
+    duplicated_orders, orders, 100 * duplicated_orders / orders, duplicate_hits,
+    3, CAST(1 AS FLOAT64)
+  ) AS detail
+FROM recent_orders
+WHERE orders > 0
+  AND 100 * duplicated_orders / orders > 1
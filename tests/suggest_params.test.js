@@ -0,0 +1,65 @@
+// Unit tests for scripts/suggest_params.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+const { parseExport, mergeRows, buildSnippet } = require(path.join(__dirname, '..', 'scripts', 'suggest_params.js'));
+
+const row = (overrides) => ({
+  property_name: 'web',
+  scope: 'event_param',
+  status: 'unconfigured',
+  configured_array: null,
+  configured_type: null,
+  observed_type: 'string',
+  occurrences: '100',
+  scope_rows: '1000',
+  top_event_names: ['page_view'],
+  sample_values: [],
+  lookback_days: '14',
+  ...overrides
+});
+
+describe('suggest_params', () => {
+  it('parses JSON array and newline-delimited exports', () => {
+    const rows = [row({ param_key: 'search_term' }), row({ param_key: 'plan', scope: 'user_property' })];
+    const fromArray = parseExport(JSON.stringify(rows));
+    const fromLines = parseExport(rows.map(r => JSON.stringify(r)).join('\n'));
+    assert.deepStrictEqual(fromArray, fromLines);
+    assert.strictEqual(fromArray[0].occurrences, 100);
+  });
+
+  it('merges properties and keeps the most actionable status', () => {
+    const rows = mergeRows(parseExport(JSON.stringify([
+      row({ param_key: 'plan_type', status: 'configured', configured_array: 'CUSTOM_PARAMS_ARRAY', configured_type: 'string' }),
+      row({ param_key: 'plan_type', property_name: 'app', status: 'type_mismatch', configured_array: 'CUSTOM_PARAMS_ARRAY', configured_type: 'string', observed_type: 'int', occurrences: '300', scope_rows: '1000' })
+    ])));
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].status, 'type_mismatch');
+    assert.strictEqual(rows[0].observed_type, 'int');
+    assert.strictEqual(rows[0].fill_rate, 0.2);
+    assert.deepStrictEqual(rows[0].properties, ['web', 'app']);
+  });
+
+  it('suggests entries per array and comments out unusable names', () => {
+    const snippet = buildSnippet(mergeRows(parseExport(JSON.stringify([
+      row({ param_key: 'search_term', occurrences: '250', top_event_names: ['view_search_results'], sample_values: ['shoes'] }),
+      row({ param_key: 'page-type' }),
+      row({ param_key: 'platform', occurrences: '5' }),
+      row({ param_key: 'rare_flag', occurrences: '1' }),
+      row({ param_key: 'membership', scope: 'user_property', observed_type: 'int' }),
+      row({ param_key: 'item_size', scope: 'item_param', scope_rows: '400' }),
+      row({ param_key: 'old_param', status: 'not_seen', configured_array: 'CUSTOM_PARAMS_ARRAY', configured_type: 'string', observed_type: null, occurrences: '0' }),
+      row({ param_key: 'debug_mode', status: 'ignored' })
+    ]))), { minFillRate: 0.005 });
+
+    assert.match(snippet, /\/\/ ---- Append to CUSTOM_PARAMS_ARRAY ----\n    \{ name: "search_term", type: "string" \},  \/\/ 25\.0% fill · view_search_results · e\.g\. "shoes"/);
+    assert.match(snippet, /    \/\/ \{ name: "page-type", type: "string" \},  \/\/ not a valid SQL identifier/);
+    assert.match(snippet, /    \/\/ \{ name: "platform", type: "string" \},  \/\/ collides with a GA4 export column/);
+    assert.doesNotMatch(snippet, /rare_flag|debug_mode/);
+    assert.match(snippet, /\/\/ ---- Append to CORE_USER_PROPS_ARRAY ----\n    \{ name: "membership", type: "int" \}/);
+    assert.match(snippet, /\/\/ ---- Append to CUSTOM_ITEMS_PARAMS ----\n    \{ name: "item_size", type: "string" \},  \/\/ 25\.0% fill/);
+    assert.match(snippet, /\/\/ CUSTOM_PARAMS_ARRAY old_param: not seen in the last 14 days/);
+  });
+});
@@ -0,0 +1,50 @@
+// Unit tests for includes/transactions.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, requireInclude } = require('./harness');
+
+describe('transactions', () => {
+  after(() => requireInclude('helper.js').resetConfig());
+
+  const { transactions } = loadFixture({
+    vars: { HAS_ECOMMERCE: 'true' },
+    config: { TRANSACTION_RECONCILIATION: { dedup_policy: 'last_wins' } }
+  });
+  const { DEDUP_ORDER_SQL, REFUND_STATUS_SQL, DUPLICATE_ORDERS_CHECK_SQL } = transactions;
+
+  it('merges TRANSACTION_RECONCILIATION over the defaults', () => {
+    assert.deepStrictEqual(transactions.getReconciliationConfig(), {
+      ...transactions.RECONCILIATION_DEFAULTS,
+      dedup_policy: 'last_wins'
+    });
+  });
+
+  it('ranks the kept purchase hit first for every dedup policy', () => {
+    assert.strictEqual(DEDUP_ORDER_SQL('first_wins'), 'event_timestamp, event_key');
+    assert.strictEqual(DEDUP_ORDER_SQL('last_wins'), 'event_timestamp DESC, event_key');
+    // Highest revenue wins, NULL revenue never beats a real amount, ties go to the earliest hit
+    assert.strictEqual(DEDUP_ORDER_SQL('max_revenue'), 'purchase_revenue DESC NULLS LAST, event_timestamp, event_key');
+  });
+
+  it('breaks ties on event_key so reruns keep the same hit', () => {
+    transactions.DEDUP_POLICIES.forEach(policy => {
+      assert.match(DEDUP_ORDER_SQL(policy), /, event_key$/, policy);
+    });
+  });
+
+  it('classifies refunds as none, full (to the cent) or partial, in that order', () => {
+    const sql = REFUND_STATUS_SQL('purchase_revenue', 'o.refunded_value');
+    const branches = [...sql.matchAll(/THEN '(\w+)'|ELSE '(\w+)'/g)].map(m => m[1] || m[2]);
+    assert.deepStrictEqual(branches, ['none', 'full', 'partial']);
+    assert.match(sql, /WHEN o\.refunded_value IS NULL OR o\.refunded_value = 0 THEN 'none'/);
+    assert.match(sql, /WHEN ROUND\(o\.refunded_value, 2\) >= ROUND\(COALESCE\(purchase_revenue, 0\), 2\) THEN 'full'/);
+  });
+
+  it('fails the duplicate check only above the threshold, over the refresh window', () => {
+    const sql = DUPLICATE_ORDERS_CHECK_SQL('`transactions`', { max_duplicate_order_pct: 1.5 }, 5);
+    assert.match(sql, /INTERVAL 5 DAY/);
+    assert.match(sql, /AND 100 \* duplicated_orders \/ orders > 1\.5$/);
+    assert.match(sql, /WHERE orders > 0/);
+  });
+});